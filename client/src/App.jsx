@@ -1,15 +1,10 @@
-import { useEffect, useMemo, useState } from "react";
-import { m } from "framer-motion";
-import { io } from "socket.io-client";
-import { Activity, BellRing, CircleGauge, Database, Gauge, Moon, Sun, TrendingUp, UsersRound } from "lucide-react";
+import { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import { Activity, BellRing, CircleGauge, FileDown, Gauge, LogOut, Moon, Radio, ShieldCheck, Sun, TrendingUp, UsersRound, X } from "lucide-react";
 import {
-  Area,
-  AreaChart,
   Bar,
   BarChart,
   CartesianGrid,
   Cell,
-  Line,
   LineChart,
   Pie,
   PieChart,
@@ -18,11 +13,27 @@ import {
   XAxis,
   YAxis,
 } from "recharts";
+import { apiDownload, apiFetch, defaultWorkspace, getSession, getWorkspace, onSessionChange, setSession, setWorkspace, socket } from "./api";
+import { hasRole } from "./constants";
+import AccessModal from "./components/AccessModal";
+import AlertStack from "./components/AlertStack";
+import CustomerDetail from "./components/CustomerDetail";
+import DriftPanel from "./components/DriftPanel";
+import ImbalancePanel from "./components/ImbalancePanel";
+import MappingWizard from "./components/MappingWizard";
+import ModelRegistryPanel from "./components/ModelRegistryPanel";
+import DatasetOverview from "./components/DatasetOverview";
+import LoginScreen from "./components/LoginScreen";
+import ModelSnapshot from "./components/ModelSnapshot";
+import RetrainingPanel from "./components/RetrainingPanel";
+import StreamControls from "./components/StreamControls";
+import ThresholdControl from "./components/ThresholdControl";
+import TrainingProgress from "./components/TrainingProgress";
+import TrendChart from "./components/TrendChart";
+import WhatIfPanel from "./components/WhatIfPanel";
+import WorkspaceSwitcher from "./components/WorkspaceSwitcher";
 import "./App.css";
 
-const API_URL = import.meta.env.VITE_API_URL || "http://localhost:4000";
-const socket = io(API_URL, { transports: ["websocket"] });
-
 const defaultData = {
   kpis: { activeSessions: 0, avgChurnRisk: 0, predictedChurners: 0, totalMinutes: 0, avgServiceCalls: 0 },
   platformMetrics: [],
@@ -30,7 +41,6 @@ const defaultData = {
   trend: [],
   liveFeed: [],
   topRiskCustomers: [],
-  streamCustomers: [],
   alerts: [],
   modelStats: null,
   states: [],
@@ -38,10 +48,34 @@ const defaultData = {
   updateAt: null,
 };
 
-const MotionDiv = m.div;
+const allSegments = { platform: "All", state: "All", riskBand: "All" };
+
+// One incremental change from a patch (see server/patches.js): items added at one end of a bounded list and as many
+// dropped from the other, changed fields of some rows of a list (by position or by id), or changed fields of an object.
+function applyChange(value, change) {
+  if (change.append) return [...value.slice(change.drop), ...change.append];
+  if (change.prepend) return [...change.prepend, ...value.slice(0, Math.max(0, value.length - change.drop))];
+  if (change.order) {
+    const byId = new Map(value.map((row) => [row[change.key], row]));
+    return change.order.map((id) => (change.rows[id] ? { ...byId.get(id), ...change.rows[id] } : byId.get(id)));
+  }
+  if (change.rows) return value.map((row, i) => (change.rows[i] ? { ...row, ...change.rows[i] } : row));
+  const next = { ...value, ...(change.fields || {}) };
+  Object.entries(change.nested || {}).forEach(([field, nested]) => {
+    next[field] = applyChange(value[field], nested);
+  });
+  return next;
+}
 
-function normalizePayload(payload) {
+// Snapshots replace the dashboard state; patches (which carry `set` and `changes`) are applied over the previous state.
+function normalizePayload(payload, previous = defaultData) {
   if (!payload || typeof payload !== "object") return defaultData;
+  if (payload.set) {
+    const changed = Object.fromEntries(
+      Object.entries(payload.changes || {}).map(([key, change]) => [key, applyChange(previous[key], change)]),
+    );
+    return normalizePayload({ ...previous, ...payload.set, ...changed, seq: payload.seq });
+  }
   const liveFeed =
     Array.isArray(payload.liveFeed) && payload.liveFeed.length > 0
       ? payload.liveFeed
@@ -50,10 +84,10 @@ function normalizePayload(payload) {
           id: item.id,
           platform: item.platform,
           state: item.state || item.region || "NA",
-          tier: item.tier || "Standard",
-          interactionPulse: item.interactionPulse || 0,
+          tier: item.tier ?? null,
+          interactionPulse: item.interactionPulse ?? null,
           risk: item.risk || item.avgRisk || 0,
-          bufferingRate: item.bufferingRate || 0,
+          bufferingRate: item.bufferingRate ?? null,
         }))
         : [];
 
@@ -66,9 +100,9 @@ function normalizePayload(payload) {
     trend: Array.isArray(payload.trend) ? payload.trend : [],
     liveFeed,
     topRiskCustomers: Array.isArray(payload.topRiskCustomers) ? payload.topRiskCustomers : [],
-    streamCustomers: Array.isArray(payload.streamCustomers) ? payload.streamCustomers : [],
     alerts: Array.isArray(payload.alerts) ? payload.alerts : [],
     states: Array.isArray(payload.states) ? payload.states : [],
+    jobs: Array.isArray(payload.jobs) ? payload.jobs : [],
     platforms: Array.isArray(payload.platforms) ? payload.platforms : [],
   };
 }
@@ -87,19 +121,137 @@ function StatCard({ icon, label, value }) {
 
 function App() {
   const [data, setData] = useState(defaultData);
-  const [filters, setFilters] = useState({ platform: "All", state: "All", riskBand: "All" });
+  const [filters, setFilters] = useState(allSegments);
+  const [segment, setSegment] = useState(null);
   const [theme, setTheme] = useState(() => localStorage.getItem("theme") || "dark");
+  const [pendingUpload, setPendingUpload] = useState(null);
+  const [uploadBusy, setUploadBusy] = useState(false);
+  const [uploadError, setUploadError] = useState(null);
+  const [notice, setNotice] = useState(null);
+  const [jobProgress, setJobProgress] = useState({});
+  const [whatIfId, setWhatIfId] = useState("");
+  const [detailId, setDetailId] = useState(null);
+  const [session, setSessionState] = useState(getSession);
+  const [accessOpen, setAccessOpen] = useState(false);
+  const [workspaceId, setWorkspaceId] = useState(getWorkspace);
+  // Sequence number of the last applied update; null while waiting for a snapshot.
+  const seqRef = useRef(null);
+  const token = session?.token;
+  const user = session?.user;
+  const can = (role) => hasRole(user, role);
+  const runningJobs = data.jobs.map((job) => jobProgress[job.id] || job).filter((job) => job.status === "running");
+
+  useEffect(() => onSessionChange(setSessionState), []);
+
+  // Drops everything from the previous workspace; the socket sends the new one's state as soon as it has joined.
+  const switchWorkspace = useCallback((id) => {
+    setWorkspace(id);
+    setWorkspaceId(id);
+    setData(defaultData);
+    setPendingUpload(null);
+    setDetailId(null);
+    setWhatIfId("");
+    setFilters(allSegments);
+    setSegment(null);
+    seqRef.current = null;
+    socket.emit("workspace:join", id, (result) => {
+      if (!result?.error) return;
+      setNotice({ kind: "error", text: result.error });
+      socket.emit("analytics:resync");
+    });
+  }, []);
+  const showError = useCallback((text) => setNotice({ kind: "error", text }), []);
 
   useEffect(() => {
-    fetch(`${API_URL}/api/snapshot`)
-      .then((res) => res.json())
-      .then((payload) => setData(normalizePayload(payload)))
+    if (!token) return undefined;
+    // Roles can change while a session is open; pick up the current one.
+    apiFetch("/api/auth/me")
+      .then((me) => {
+        const current = getSession();
+        if (current && current.user.role !== me.role) setSession({ ...current, user: { ...current.user, role: me.role } });
+      })
       .catch(() => { });
 
-    const onUpdate = (payload) => setData(normalizePayload(payload));
-    socket.on("analytics:update", onUpdate);
-    return () => socket.off("analytics:update", onUpdate);
-  }, []);
+    // The socket sends a snapshot on every (re)connect, then patches; a skipped sequence number means the dashboard
+    // is out of date, so patches are ignored until the requested snapshot arrives.
+    const onSnapshot = (payload) => {
+      seqRef.current = payload.seq;
+      setData(normalizePayload(payload));
+    };
+    const onPatch = (patch) => {
+      if (seqRef.current === null) return;
+      if (patch.seq !== seqRef.current + 1) {
+        seqRef.current = null;
+        socket.emit("analytics:resync");
+        return;
+      }
+      seqRef.current = patch.seq;
+      setData((previous) => normalizePayload(patch, previous));
+    };
+    const onDisconnect = () => {
+      seqRef.current = null;
+    };
+    // A stored workspace that no longer exists is refused at the handshake; fall back to the default one.
+    const onConnectError = (err) => {
+      if (err.message === "Unauthorized") setSession(null);
+      else if (err.data?.status === 404 && getWorkspace() !== defaultWorkspace) {
+        setWorkspace(defaultWorkspace);
+        setWorkspaceId(defaultWorkspace);
+        setNotice({ kind: "error", text: `${err.message}; switched back to the default workspace.` });
+        socket.connect();
+      }
+    };
+    const onWorkspaceRemoved = ({ id, fallback }) => {
+      if (id !== getWorkspace()) return;
+      switchWorkspace(fallback);
+      setNotice({ kind: "error", text: "This workspace was deleted; switched back to the default workspace." });
+    };
+    // Progress events arrive between state patches; a finished training run is announced once it is done.
+    const onTrainingProgress = (job) => {
+      setJobProgress((previous) => ({ ...previous, [job.id]: job }));
+      if (job.status === "running" || job.kind === "challenger") return;
+      if (job.status === "completed") {
+        setNotice({ kind: "success", text: `${job.label} finished${job.modelVersion ? `: model v${job.modelVersion} is live` : ""}.` });
+      } else if (job.status === "failed") {
+        setNotice({ kind: "error", text: `${job.label} failed: ${job.error}` });
+      } else {
+        setNotice({ kind: "success", text: `${job.label} was cancelled.` });
+      }
+    };
+    socket.on("analytics:snapshot", onSnapshot);
+    socket.on("analytics:patch", onPatch);
+    socket.on("training:progress", onTrainingProgress);
+    socket.on("disconnect", onDisconnect);
+    socket.on("connect_error", onConnectError);
+    socket.on("workspace:removed", onWorkspaceRemoved);
+    socket.connect();
+    return () => {
+      socket.off("analytics:snapshot", onSnapshot);
+      socket.off("analytics:patch", onPatch);
+      socket.off("training:progress", onTrainingProgress);
+      socket.off("disconnect", onDisconnect);
+      socket.off("connect_error", onConnectError);
+      socket.off("workspace:removed", onWorkspaceRemoved);
+      socket.disconnect();
+    };
+  }, [token, switchWorkspace]);
+
+  // The filtered panels are computed by the server over every scored customer and pushed whenever they change.
+  useEffect(() => {
+    if (!token) return undefined;
+    const subscribe = () =>
+      socket.emit("segment:subscribe", filters, (result) => {
+        if (result?.error) setNotice({ kind: "error", text: `${result.error}: ${result.details?.join("; ")}` });
+        else setSegment(result.segment);
+      });
+    if (socket.connected) subscribe();
+    socket.on("connect", subscribe);
+    socket.on("segment:update", setSegment);
+    return () => {
+      socket.off("connect", subscribe);
+      socket.off("segment:update", setSegment);
+    };
+  }, [token, workspaceId, filters]);
 
   useEffect(() => {
     document.documentElement.setAttribute("data-theme", theme);
@@ -117,74 +269,20 @@ function App() {
     [],
   );
 
-  const allCustomers = useMemo(() => {
-    if (data.streamCustomers.length > 0) return data.streamCustomers;
-    return data.topRiskCustomers.map((customer, index) => ({
-      id: `${customer.id || "row"}-${index}`,
-      platform: customer.platform || "Unknown",
-      state: customer.state || "NA",
-      tier: customer.tier || "Standard",
-      interactionPulse: customer.interactionPulse || 0,
-      risk: customer.risk || 0,
-      serviceCalls: customer.serviceCalls || 0,
-      minutes: customer.minutes || 0,
-      riskDrivers: customer.riskDrivers || [],
-    }));
-  }, [data.streamCustomers, data.topRiskCustomers]);
-
-  const filteredCustomers = useMemo(() => {
-    return allCustomers.filter((row) => {
-      if (filters.platform !== "All" && row.platform !== filters.platform) return false;
-      if (filters.state !== "All" && row.state !== filters.state) return false;
-      if (filters.riskBand === "High" && row.risk < 67) return false;
-      if (filters.riskBand === "Medium" && (row.risk < 34 || row.risk >= 67)) return false;
-      if (filters.riskBand === "Low" && row.risk >= 34) return false;
-      return true;
-    });
-  }, [allCustomers, filters]);
-
-  const filteredPlatformMetrics = useMemo(() => {
-    const platforms = data.platforms.length ? data.platforms : [...new Set(allCustomers.map((row) => row.platform))];
-    return platforms
-      .map((platform) => {
-        const group = filteredCustomers.filter((row) => row.platform === platform);
-        if (!group.length) return null;
-        const avg = (sum) => Number((sum / group.length).toFixed(2));
-        return {
-          name: platform,
-          activeUsers: group.length,
-          avgRisk: avg(group.reduce((acc, cur) => acc + cur.risk, 0)),
-          serviceLoad: avg(group.reduce((acc, cur) => acc + (cur.serviceCalls || 0), 0)),
-        };
-      })
-      .filter(Boolean);
-  }, [filteredCustomers, data.platforms, allCustomers]);
+  const filteredPlatformMetrics = useMemo(
+    () => (segment?.platformMetrics || []).filter((platform) => platform.activeUsers > 0),
+    [segment],
+  );
 
   const filteredRiskDistribution = useMemo(() => {
-    const total = filteredCustomers.length || 1;
     const riskColors =
       theme === "light"
-        ? { low: "#ffe4d6", medium: "#ffb48f", high: "#df6f6f" }
-        : { low: "#ffd8c4", medium: "#ffb485", high: "#ff8f98" };
-    const buckets = [
-      { name: "Low", color: riskColors.low, test: (r) => r < 34 },
-      { name: "Medium", color: riskColors.medium, test: (r) => r >= 34 && r < 67 },
-      { name: "High", color: riskColors.high, test: (r) => r >= 67 },
-    ];
-    return buckets.map((bucket) => {
-      const users = filteredCustomers.filter((row) => bucket.test(row.risk)).length;
-      return { name: bucket.name, users, color: bucket.color, share: Number(((users / total) * 100).toFixed(2)) };
-    });
-  }, [filteredCustomers, theme]);
+        ? { Low: "#ffe4d6", Medium: "#ffb48f", High: "#df6f6f" }
+        : { Low: "#ffd8c4", Medium: "#ffb485", High: "#ff8f98" };
+    return (segment?.riskDistribution || []).map((bucket) => ({ ...bucket, color: riskColors[bucket.name] }));
+  }, [segment, theme]);
 
-  const filteredTopRisk = useMemo(
-    () =>
-      [...filteredCustomers]
-        .sort((a, b) => b.risk - a.risk)
-        .slice(0, 10)
-        .map((row) => ({ ...row, riskDrivers: row.riskDrivers || [] })),
-    [filteredCustomers],
-  );
+  const filteredTopRisk = useMemo(() => segment?.topRiskCustomers || [], [segment]);
 
   const pulseRows = useMemo(() => {
     if (data.liveFeed.length > 0) {
@@ -199,12 +297,13 @@ function App() {
     }
     return filteredTopRisk.map((customer, index) => ({
       id: `${customer.id || "row"}-${index}`,
+      customerId: customer.id,
       platform: customer.platform || "Unknown",
       state: customer.state || "NA",
-      tier: customer.tier || "Standard",
-      interactionPulse: customer.interactionPulse || 0,
+      tier: customer.tier ?? null,
+      interactionPulse: customer.interactionPulse ?? null,
       risk: customer.risk || 0,
-      bufferingRate: customer.serviceCalls || 0,
+      bufferingRate: customer.serviceCalls ?? null,
     }));
   }, [data.liveFeed, filteredTopRisk, filters]);
 
@@ -244,46 +343,86 @@ function App() {
       secondary: "#ffc6a8",
     };
 
-  const globalDrivers = useMemo(() => {
-    const aggregated = {};
-    filteredCustomers.forEach((customer) => {
-      customer.riskDrivers?.forEach((driver) => {
-        if (driver.direction === "up") {
-          if (!aggregated[driver.feature]) aggregated[driver.feature] = 0;
-          aggregated[driver.feature] += driver.impact;
-        }
-      });
-    });
-    return Object.entries(aggregated)
-      .map(([feature, impact]) => ({ feature, impact }))
-      .sort((a, b) => b.impact - a.impact)
-      .slice(0, 3);
-  }, [filteredCustomers]);
+  const globalDrivers = segment?.drivers || [];
 
   const handleUpload = async (e) => {
     const file = e.target.files[0];
+    e.target.value = "";
     if (!file) return;
 
     const formData = new FormData();
     formData.append("dataset", file);
 
     try {
-      const res = await fetch(`${API_URL}/api/upload`, {
+      const result = await apiFetch("/api/upload", { method: "POST", body: formData });
+      setUploadError(null);
+      setPendingUpload(result.upload);
+    } catch (err) {
+      setNotice({ kind: "error", text: `Upload failed: ${err.message}` });
+    }
+  };
+
+  const reviewMapping = async (mapping) => {
+    setUploadBusy(true);
+    try {
+      const result = await apiFetch(`/api/upload/${encodeURIComponent(pendingUpload.id)}/mapping`, {
         method: "POST",
-        body: formData,
+        body: { mapping },
       });
-      const result = await res.json();
-      if (result.success) {
-        alert(`Successfully uploaded dataset: ${result.rows} rows analyzed.`);
-      } else {
-        alert("Upload failed: " + (result.error || "Unknown error"));
-      }
+      setUploadError(null);
+      setPendingUpload(result.upload);
+      return true;
     } catch (err) {
-      console.error(err);
-      alert("Error uploading dataset.");
+      setUploadError(err);
+      return false;
+    } finally {
+      setUploadBusy(false);
     }
   };
 
+  const activateUpload = async (algorithm) => {
+    setUploadBusy(true);
+    try {
+      const result = await apiFetch(`/api/upload/${encodeURIComponent(pendingUpload.id)}/activate`, {
+        method: "POST",
+        body: { algorithm },
+      });
+      setNotice({ kind: "success", text: `Training ${result.job.label} started; the dashboard switches over when it finishes.` });
+      setPendingUpload(null);
+    } catch (err) {
+      setUploadError(err);
+    } finally {
+      setUploadBusy(false);
+    }
+  };
+
+  const handleBatchScore = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+
+    const formData = new FormData();
+    formData.append("file", file);
+    try {
+      await apiDownload("/api/score/batch", { method: "POST", body: formData });
+    } catch (err) {
+      setNotice({ kind: "error", text: `Scoring failed: ${err.message}` });
+    }
+  };
+
+  const toggleDemoSource = () => {
+    apiFetch("/api/stream/source", { method: "POST", body: { demo: !data.streamSource?.demo } }).catch((err) =>
+      setNotice({ kind: "error", text: `Could not switch stream source: ${err.message}` }),
+    );
+  };
+
+  const cancelUpload = () => {
+    apiFetch(`/api/upload/${encodeURIComponent(pendingUpload.id)}`, { method: "DELETE" }).catch(() => { });
+    setPendingUpload(null);
+  };
+
+  if (!session) return <LoginScreen />;
+
   return (
     <div className="app-shell">
       <div className="ambient-bg" />
@@ -303,19 +442,90 @@ function App() {
         ))}
       </div>
 
+      {pendingUpload && (
+        <MappingWizard
+          key={pendingUpload.id}
+          upload={pendingUpload}
+          busy={uploadBusy}
+          error={uploadError}
+          onReview={reviewMapping}
+          onActivate={activateUpload}
+          onCancel={cancelUpload}
+        />
+      )}
+
+      {detailId && (
+        <CustomerDetail
+          customerId={detailId}
+          palette={palette}
+          onClose={() => setDetailId(null)}
+          onWhatIf={can("analyst") ? setWhatIfId : null}
+        />
+      )}
+
+      {accessOpen && <AccessModal currentUser={user} onClose={() => setAccessOpen(false)} />}
+
       <header className="topbar glass">
         <div>
           <h1>Churn Retention System</h1>
           <p>Realtime customer behavior analysis and churn prediction command center</p>
         </div>
         <div className="topbar-actions">
-          <div className="meta">Live at {data.updateAt ? new Date(data.updateAt).toLocaleTimeString() : "--:--:--"}</div>
+          <WorkspaceSwitcher workspaceId={workspaceId} canManage={can("admin")} onSwitch={switchWorkspace} onError={showError} />
+
+          <div className="meta">
+            {data.stream?.mode === "replay" ? "Replay at" : "Live at"}{" "}
+            {data.updateAt ? new Date(data.updateAt).toLocaleTimeString() : "--:--:--"}
+            {data.stream?.mode === "replay" && (
+              <span className="stream-badge replay" title={`Replaying from ${new Date(data.stream.replay.from).toLocaleString()}`}>
+                Replay
+              </span>
+            )}
+            {data.stream?.paused && <span className="stream-badge paused">Paused</span>}
+          </div>
 
-          <label className="upload-btn" title="Upload new dataset CSV">
-            <Activity size={16} />
-            <span>Upload Dataset</span>
-            <input type="file" accept=".csv" onChange={handleUpload} style={{ display: "none" }} />
-          </label>
+          {can("analyst") && <StreamControls stream={data.stream} onError={showError} />}
+
+          {can("admin") && (
+            <label className="upload-btn" title="Upload new dataset CSV">
+              <Activity size={16} />
+              <span>Upload Dataset</span>
+              <input type="file" accept=".csv" onChange={handleUpload} style={{ display: "none" }} />
+            </label>
+          )}
+
+          {can("analyst") && (
+            <label className="upload-btn" title="Score a CSV file and download it with risk columns">
+              <FileDown size={16} />
+              <span>Score CSV</span>
+              <input type="file" accept=".csv" onChange={handleBatchScore} style={{ display: "none" }} />
+            </label>
+          )}
+
+          {can("admin") && (
+            <button
+              className={`upload-btn ${data.streamSource?.demo ? "" : "source-off"}`}
+              onClick={toggleDemoSource}
+              title={`Replay the dataset as a demo stream. ${data.streamSource?.ingestedCustomers || 0} customers received via /api/events.`}
+            >
+              <Radio size={16} />
+              <span>Demo replay {data.streamSource?.demo ? "on" : "off"}</span>
+            </button>
+          )}
+
+          {can("admin") && (
+            <button className="theme-toggle" onClick={() => setAccessOpen(true)} aria-label="Users and API keys" title="Users and API keys">
+              <ShieldCheck size={16} />
+            </button>
+          )}
+
+          <div className="user-chip" title={`Signed in as ${user.username}`}>
+            <span>{user.username}</span>
+            <small>{user.role}</small>
+            <button className="icon-btn" onClick={() => setSession(null)} aria-label="Sign out" title="Sign out">
+              <LogOut size={14} />
+            </button>
+          </div>
 
           <button
             className="theme-toggle"
@@ -328,38 +538,46 @@ function App() {
         </div>
       </header>
 
-      <section className="dashboard-grid">
+      <TrainingProgress jobs={runningJobs} canCancel={can("admin")} onError={showError} />
+
+      {notice && (
+        <div className={`notice glass ${notice.kind}`}>
+          <span>{notice.text}</span>
+          <button className="icon-btn" onClick={() => setNotice(null)} aria-label="Dismiss">
+            <X size={14} />
+          </button>
+        </div>
+      )}
+
+      <section className="dashboard-grid" key={workspaceId}>
         <aside className="glass left-rail">
           <h3>Realtime Signals</h3>
           <div className="stats-grid">
             <StatCard icon={<UsersRound size={18} />} label="Active Sessions" value={data.kpis.activeSessions.toLocaleString()} />
             <StatCard icon={<CircleGauge size={18} />} label="Avg Risk" value={`${data.kpis.avgChurnRisk}%`} />
             <StatCard icon={<BellRing size={18} />} label="Predicted Churn" value={data.kpis.predictedChurners.toLocaleString()} />
-            <StatCard icon={<Activity size={18} />} label="Stream Minutes" value={data.kpis.totalMinutes.toLocaleString()} />
-            <StatCard icon={<Gauge size={18} />} label="Service Calls" value={data.kpis.avgServiceCalls} />
+            {data.kpis.totalMinutes !== null && (
+              <StatCard icon={<Activity size={18} />} label="Stream Minutes" value={data.kpis.totalMinutes.toLocaleString()} />
+            )}
+            {data.kpis.avgServiceCalls !== null && (
+              <StatCard icon={<Gauge size={18} />} label="Service Calls" value={data.kpis.avgServiceCalls} />
+            )}
           </div>
 
-          <div className="model-box">
-            <h4>Model Snapshot</h4>
-            <div className="model-grid">
-              <div>
-                <small>Accuracy</small>
-                <p>{data.modelStats?.accuracy ?? 0}%</p>
-              </div>
-              <div>
-                <small>Precision</small>
-                <p>{data.modelStats?.precision ?? 0}%</p>
-              </div>
-              <div>
-                <small>Recall</small>
-                <p>{data.modelStats?.recall ?? 0}%</p>
-              </div>
-              <div>
-                <small>F1</small>
-                <p>{data.modelStats?.f1 ?? 0}%</p>
-              </div>
-            </div>
-          </div>
+          <ModelSnapshot stats={data.modelStats} palette={palette} />
+
+          <ImbalancePanel imbalance={data.imbalance} modelVersion={data.modelVersion} canManage={can("admin")} palette={palette} />
+
+          <ThresholdControl
+            policy={data.thresholdPolicy}
+            datasetKey={data.datasetInfo?.path}
+            palette={palette}
+            canEdit={can("admin")}
+          />
+
+          <ModelRegistryPanel modelVersion={data.modelVersion} canManage={can("admin")} palette={palette} />
+
+          <RetrainingPanel retraining={data.retraining} canManage={can("admin")} />
 
           <div className="drivers-box">
             <div className="dataset-head">
@@ -384,42 +602,17 @@ function App() {
             </div>
           </div>
 
-          <div className="dataset-box">
-            <div className="dataset-head">
-              <Database size={16} />
-              <h4>Dataset Overview</h4>
-            </div>
-            <div className="dataset-grid">
-              <div>
-                <small>Active Source</small>
-                <p title={data.datasetInfo?.path}>{data.datasetInfo?.path?.split(/[/\\]/).pop() || "None"}</p>
-              </div>
-              <div>
-                <small>Total Records</small>
-                <p>{data.datasetInfo?.rows?.toLocaleString() || 0}</p>
-              </div>
-              <div className="status-cell">
-                <small>System Status</small>
-                <p className="status-ready">Model Active</p>
-              </div>
-            </div>
-          </div>
+          <DatasetOverview
+            datasetInfo={data.datasetInfo}
+            modelVersion={data.modelVersion}
+            canManage={can("admin")}
+            onStaged={(upload) => {
+              setUploadError(null);
+              setPendingUpload(upload);
+            }}
+          />
 
-          <div className="alerts-box">
-            <h4>Alert Stack</h4>
-            {data.alerts.length === 0 && <p className="muted">No anomalies in current window.</p>}
-            {data.alerts.map((alert) => (
-              <MotionDiv
-                key={alert.id}
-                className={`alert-item ${alert.severity}`}
-                initial={{ opacity: 0, y: 8 }}
-                animate={{ opacity: 1, y: 0 }}
-              >
-                <p>{alert.title}</p>
-                <small>{alert.message}</small>
-              </MotionDiv>
-            ))}
-          </div>
+          <AlertStack alerts={data.alerts} canAcknowledge={can("analyst")} canConfigure={can("admin")} />
         </aside>
 
         <main className="right-stage">
@@ -451,9 +644,15 @@ function App() {
                 <option>High</option>
               </select>
             </label>
-            <button className="reset-btn" onClick={() => setFilters({ platform: "All", state: "All", riskBand: "All" })}>
+            <button className="reset-btn" onClick={() => setFilters(allSegments)}>
               Reset
             </button>
+            {segment && (
+              <small className="muted segment-summary">
+                {segment.kpis.customers.toLocaleString()} customers · avg risk {segment.kpis.avgChurnRisk}% ·{" "}
+                {segment.kpis.predictedChurners.toLocaleString()} above threshold
+              </small>
+            )}
           </section>
 
           <section className="platform-strip">
@@ -461,30 +660,16 @@ function App() {
               <article className="glass platform-card" key={platform.name}>
                 <p>{platform.name}</p>
                 <strong>{platform.avgRisk}%</strong>
-                <small>{platform.activeUsers} active · service load {platform.serviceLoad}</small>
+                <small>
+                  {platform.activeUsers} active{platform.serviceLoad !== null && ` · service load ${platform.serviceLoad}`}
+                </small>
               </article>
             ))}
           </section>
 
           <section className="analytics-grid">
             <article className="glass panel churn-card">
-              <h3>Churn Dynamics</h3>
-              <ResponsiveContainer width="100%" height={220}>
-                <AreaChart data={data.trend}>
-                  <defs>
-                    <linearGradient id="riskFill" x1="0" y1="0" x2="0" y2="1">
-                      <stop offset="0%" stopColor={palette.areaFillStart} stopOpacity={0.7} />
-                      <stop offset="100%" stopColor={palette.areaFillEnd} stopOpacity={0.05} />
-                    </linearGradient>
-                  </defs>
-                  <CartesianGrid strokeDasharray="3 3" stroke={palette.grid} />
-                  <XAxis dataKey="time" stroke={palette.axis} />
-                  <YAxis stroke={palette.axis} />
-                  <Tooltip contentStyle={{ background: palette.tooltipBg, border: `1px solid ${palette.tooltipBorder}` }} />
-                  <Area type="monotone" dataKey="risk" stroke={palette.areaStroke} fill="url(#riskFill)" strokeWidth={2.4} />
-                  <Line type="monotone" dataKey="churners" stroke={palette.line} strokeWidth={2.4} dot={false} />
-                </AreaChart>
-              </ResponsiveContainer>
+              <TrendChart liveTrend={data.trend} palette={palette} />
             </article>
 
             <article className="glass panel cohort-card">
@@ -517,7 +702,9 @@ function App() {
                       <Cell key={item.name} fill={item.avgRisk > 67 ? palette.high : item.avgRisk > 35 ? palette.med : palette.low} />
                     ))}
                   </Bar>
-                  <Bar dataKey="serviceLoad" fill={palette.secondary} radius={[8, 8, 0, 0]} />
+                  {data.kpis.avgServiceCalls !== null && (
+                    <Bar dataKey="serviceLoad" fill={palette.secondary} radius={[8, 8, 0, 0]} />
+                  )}
                 </BarChart>
               </ResponsiveContainer>
             </article>
@@ -526,7 +713,11 @@ function App() {
               <h3>Top-Risk Customers</h3>
               <div className="risk-list">
                 {filteredTopRisk.map((customer) => (
-                  <div className="risk-item" key={`${customer.id}-${customer.risk}`}>
+                  <div
+                    className="risk-item clickable"
+                    key={`${customer.id}-${customer.risk}`}
+                    onClick={() => setDetailId(customer.id)}
+                  >
                     <div>
                       <p>{customer.id}</p>
                       <small>
@@ -549,17 +740,27 @@ function App() {
               <div className="feed-list">
                 {pulseRows.length === 0 && <p className="muted">Stream warming up. Waiting for live pulse events...</p>}
                 {pulseRows.map((pulse, index) => (
-                  <div key={pulse.id || `${pulse.platform}-${index}`} className="feed-item">
+                  <div
+                    key={pulse.id || `${pulse.platform}-${index}`}
+                    className={`feed-item ${pulse.customerId ? "clickable" : ""}`}
+                    onClick={() => pulse.customerId && setDetailId(pulse.customerId)}
+                  >
                     <span>{pulse.platform}</span>
                     <span>{pulse.state}</span>
-                    <span>{pulse.tier}</span>
-                    <span>Interaction {Number(pulse.interactionPulse || 0).toFixed(0)}</span>
+                    {pulse.tier && <span>{pulse.tier}</span>}
+                    {pulse.interactionPulse !== null && <span>Interaction {Number(pulse.interactionPulse).toFixed(0)}</span>}
                     <span>Risk {Number(pulse.risk || 0).toFixed(2)}%</span>
-                    <span>Friction {Number(pulse.bufferingRate || 0).toFixed(2)}</span>
+                    {pulse.bufferingRate !== null && <span>Friction {Number(pulse.bufferingRate).toFixed(2)}</span>}
                   </div>
                 ))}
               </div>
             </article>
+
+            <DriftPanel drift={data.drift} palette={palette} />
+
+            {can("analyst") && (
+              <WhatIfPanel customers={filteredTopRisk} customerId={whatIfId} onCustomerChange={setWhatIfId} />
+            )}
           </section>
           <div className="credit-text">done by bhuvan kio💩</div>
         </main>
@@ -0,0 +1,88 @@
+import { io } from "socket.io-client";
+
+export const API_URL = import.meta.env.VITE_API_URL || "http://localhost:4000";
+
+const sessionKey = "session";
+const sessionListeners = new Set();
+
+export function getSession() {
+  try {
+    const session = JSON.parse(localStorage.getItem(sessionKey));
+    return session && Date.parse(session.expiresAt) > Date.now() ? session : null;
+  } catch {
+    return null;
+  }
+}
+
+export function setSession(session) {
+  if (session) localStorage.setItem(sessionKey, JSON.stringify(session));
+  else localStorage.removeItem(sessionKey);
+  sessionListeners.forEach((listener) => listener(session));
+}
+
+export function onSessionChange(listener) {
+  sessionListeners.add(listener);
+  return () => sessionListeners.delete(listener);
+}
+
+const workspaceKey = "workspace";
+export const defaultWorkspace = "default";
+
+export function getWorkspace() {
+  return localStorage.getItem(workspaceKey) || defaultWorkspace;
+}
+
+export function setWorkspace(id) {
+  localStorage.setItem(workspaceKey, id);
+}
+
+// Every request is scoped to the selected workspace.
+function requestHeaders() {
+  const token = getSession()?.token;
+  return { "X-Workspace-Id": getWorkspace(), ...(token ? { Authorization: `Bearer ${token}` } : {}) };
+}
+
+// Connected by App once signed in; the token and workspace are read again on every reconnect.
+export const socket = io(API_URL, {
+  transports: ["websocket"],
+  autoConnect: false,
+  auth: (cb) => cb({ token: getSession()?.token, workspace: getWorkspace() }),
+});
+
+export async function apiFetch(path, options = {}) {
+  const isForm = options.body instanceof FormData;
+  const res = await fetch(`${API_URL}${path}`, {
+    ...options,
+    headers: {
+      ...(isForm || options.body === undefined ? {} : { "Content-Type": "application/json" }),
+      ...requestHeaders(),
+      ...(options.headers || {}),
+    },
+    body: isForm || options.body === undefined ? options.body : JSON.stringify(options.body),
+  });
+  const payload = await res.json().catch(() => ({}));
+  if (res.status === 401 && getSession()) setSession(null);
+  if (!res.ok) {
+    const error = new Error(payload.error || `Request failed (${res.status})`);
+    error.details = payload.details || [];
+    throw error;
+  }
+  return payload;
+}
+
+export async function apiDownload(path, options = {}) {
+  const res = await fetch(`${API_URL}${path}`, { ...options, headers: { ...requestHeaders(), ...(options.headers || {}) } });
+  if (res.status === 401 && getSession()) setSession(null);
+  if (!res.ok) {
+    const payload = await res.json().catch(() => ({}));
+    throw new Error(payload.error || `Request failed (${res.status})`);
+  }
+  const disposition = res.headers.get("Content-Disposition") || "";
+  const filename = disposition.match(/filename="([^"]+)"/)?.[1] || "download";
+  const url = URL.createObjectURL(await res.blob());
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+}
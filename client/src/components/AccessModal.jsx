@@ -0,0 +1,229 @@
+import { useCallback, useEffect, useState } from "react";
+import { KeyRound, Trash2, X } from "lucide-react";
+import { apiFetch } from "../api";
+import { roleOptions } from "../constants";
+
+const blankUser = { username: "", password: "", role: "viewer" };
+const blankKey = { name: "", role: "viewer" };
+
+function formatDate(value) {
+  return value ? new Date(value).toLocaleString([], { dateStyle: "short", timeStyle: "short" }) : "never";
+}
+
+function RoleSelect({ value, onChange }) {
+  return (
+    <select className="inline-select" value={value} onChange={(e) => onChange(e.target.value)}>
+      {roleOptions.map((option) => (
+        <option key={option.value} value={option.value}>
+          {option.label}
+        </option>
+      ))}
+    </select>
+  );
+}
+
+function AccessModal({ currentUser, onClose }) {
+  const [users, setUsers] = useState([]);
+  const [apiKeys, setApiKeys] = useState([]);
+  const [userForm, setUserForm] = useState(blankUser);
+  const [keyForm, setKeyForm] = useState(blankKey);
+  const [passwordFor, setPasswordFor] = useState(null);
+  const [createdKey, setCreatedKey] = useState(null);
+  const [error, setError] = useState(null);
+
+  const load = useCallback(() => {
+    apiFetch("/api/users").then(setUsers).catch(setError);
+    apiFetch("/api/api-keys").then(setApiKeys).catch(setError);
+  }, []);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const run = async (path, options) => {
+    try {
+      const result = await apiFetch(path, options);
+      setError(null);
+      load();
+      return result;
+    } catch (err) {
+      setError(err);
+      return null;
+    }
+  };
+
+  const createUser = async () => {
+    if (await run("/api/users", { method: "POST", body: userForm })) setUserForm(blankUser);
+  };
+
+  const resetPassword = async () => {
+    const path = `/api/users/${passwordFor.id}`;
+    if (await run(path, { method: "PUT", body: { password: passwordFor.password } })) setPasswordFor(null);
+  };
+
+  const createKey = async () => {
+    const apiKey = await run("/api/api-keys", { method: "POST", body: keyForm });
+    if (apiKey) {
+      setCreatedKey(apiKey);
+      setKeyForm(blankKey);
+    }
+  };
+
+  return (
+    <div className="modal-backdrop" onClick={onClose}>
+      <div className="modal glass webhooks-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-head">
+          <div>
+            <h3>Access</h3>
+            <small>Viewers see the dashboard, analysts can also run what-if and export scores, admins manage data and models.</small>
+          </div>
+          <button className="icon-btn" onClick={onClose} aria-label="Close access settings">
+            <X size={16} />
+          </button>
+        </div>
+
+        {error && (
+          <div className="form-error">
+            <p>{error.message}</p>
+            {error.details?.map((detail) => (
+              <small key={detail}>{detail}</small>
+            ))}
+          </div>
+        )}
+
+        <div className="webhooks-layout access-layout">
+          <section>
+            <h4>Users</h4>
+            <div className="registry-list">
+              {users.map((user) => (
+                <div key={user.id} className={`registry-item ${user.id === currentUser.id ? "active" : ""}`}>
+                  <div>
+                    <p>{user.username}</p>
+                    {passwordFor?.id === user.id ? (
+                      <form
+                        className="dataset-rename"
+                        onSubmit={(e) => {
+                          e.preventDefault();
+                          resetPassword();
+                        }}
+                      >
+                        <input
+                          type="password"
+                          placeholder="New password"
+                          value={passwordFor.password}
+                          onChange={(e) => setPasswordFor({ ...passwordFor, password: e.target.value })}
+                          autoFocus
+                        />
+                        <button className="reset-btn" type="submit">
+                          Save
+                        </button>
+                      </form>
+                    ) : (
+                      <small>added {formatDate(user.createdAt)}</small>
+                    )}
+                  </div>
+                  <div className="registry-actions">
+                    <RoleSelect
+                      value={user.role}
+                      onChange={(role) => run(`/api/users/${user.id}`, { method: "PUT", body: { role } })}
+                    />
+                    <button
+                      className="icon-btn"
+                      onClick={() => setPasswordFor(passwordFor?.id === user.id ? null : { id: user.id, password: "" })}
+                      title="Set password"
+                      aria-label="Set password"
+                    >
+                      <KeyRound size={13} />
+                    </button>
+                    <button
+                      className="icon-btn"
+                      onClick={() => run(`/api/users/${user.id}`, { method: "DELETE" })}
+                      disabled={user.id === currentUser.id}
+                      title="Remove user"
+                      aria-label="Remove user"
+                    >
+                      <Trash2 size={13} />
+                    </button>
+                  </div>
+                </div>
+              ))}
+            </div>
+            <div className="webhook-form">
+              <label>
+                Username
+                <input value={userForm.username} onChange={(e) => setUserForm((prev) => ({ ...prev, username: e.target.value }))} />
+              </label>
+              <label>
+                Password
+                <input
+                  type="password"
+                  value={userForm.password}
+                  onChange={(e) => setUserForm((prev) => ({ ...prev, password: e.target.value }))}
+                />
+              </label>
+              <div className="modal-actions">
+                <RoleSelect value={userForm.role} onChange={(role) => setUserForm((prev) => ({ ...prev, role }))} />
+                <button className="primary-btn" onClick={createUser}>
+                  Add user
+                </button>
+              </div>
+            </div>
+          </section>
+
+          <section>
+            <h4>API keys</h4>
+            <small className="muted">
+              Send as <code>Authorization: Bearer &lt;key&gt;</code> or <code>X-API-Key</code>. Ingesting events needs an admin key.
+            </small>
+            <div className="registry-list">
+              {apiKeys.length === 0 && <p className="muted">No API keys yet.</p>}
+              {apiKeys.map((apiKey) => (
+                <div key={apiKey.id} className="registry-item">
+                  <div>
+                    <p>
+                      {apiKey.name} <small>{apiKey.role}</small>
+                    </p>
+                    <small>
+                      {apiKey.prefix}… · last used {formatDate(apiKey.lastUsedAt)}
+                    </small>
+                  </div>
+                  <button
+                    className="icon-btn"
+                    onClick={() => run(`/api/api-keys/${apiKey.id}`, { method: "DELETE" })}
+                    title="Revoke key"
+                    aria-label="Revoke key"
+                  >
+                    <Trash2 size={13} />
+                  </button>
+                </div>
+              ))}
+            </div>
+            <div className="webhook-form">
+              <label>
+                Key name
+                <input
+                  value={keyForm.name}
+                  placeholder="CRM event feed"
+                  onChange={(e) => setKeyForm((prev) => ({ ...prev, name: e.target.value }))}
+                />
+              </label>
+              <div className="modal-actions">
+                <RoleSelect value={keyForm.role} onChange={(role) => setKeyForm((prev) => ({ ...prev, role }))} />
+                <button className="primary-btn" onClick={createKey}>
+                  Create key
+                </button>
+              </div>
+              {createdKey && (
+                <small className="muted">
+                  {createdKey.name} (shown once): <code>{createdKey.key}</code>
+                </small>
+              )}
+            </div>
+          </section>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default AccessModal;
@@ -0,0 +1,181 @@
+import { useEffect, useState } from "react";
+import { Plus, Trash2, X } from "lucide-react";
+import { apiFetch } from "../api";
+
+const metricOptions = [
+  { value: "avgRisk", label: "Average risk %" },
+  { value: "flaggedUsers", label: "Customers above threshold" },
+  { value: "flaggedShare", label: "Share above threshold %" },
+  { value: "highRiskUsers", label: "High-band customers" },
+  { value: "activeUsers", label: "Active customers" },
+  { value: "serviceLoad", label: "Average service calls" },
+  { value: "featureDrift", label: "Feature drift (PSI)", scopes: ["feature"] },
+  { value: "predictionDrift", label: "Prediction drift (PSI)", scopes: ["global"] },
+];
+const scopeOptions = ["global", "platform", "state", "tier"];
+// Drift metrics only make sense per feature or for the whole window.
+const scopesFor = (metric) => metricOptions.find((option) => option.value === metric)?.scopes || scopeOptions;
+const operatorOptions = [">", ">=", "<", "<="];
+const severityOptions = ["info", "warning", "critical"];
+
+const blankRule = {
+  name: "",
+  metric: "avgRisk",
+  scope: { type: "platform", value: "*" },
+  operator: ">",
+  threshold: 60,
+  duration: 0,
+  severity: "warning",
+  enabled: true,
+};
+
+function AlertRulesModal({ onClose }) {
+  const [rules, setRules] = useState([]);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    apiFetch("/api/alert-rules")
+      .then(setRules)
+      .catch((err) => setError(err));
+  }, []);
+
+  const updateRule = (index, patch) =>
+    setRules((prev) => prev.map((rule, i) => (i === index ? { ...rule, ...patch, dirty: true } : rule)));
+
+  const save = async (index) => {
+    const { dirty: _dirty, id, ...rule } = rules[index];
+    const body = { ...rule, threshold: Number(rule.threshold), duration: Number(rule.duration) };
+    try {
+      const saved = await apiFetch(id ? `/api/alert-rules/${encodeURIComponent(id)}` : "/api/alert-rules", {
+        method: id ? "PUT" : "POST",
+        body,
+      });
+      setRules((prev) => prev.map((item, i) => (i === index ? saved : item)));
+      setError(null);
+    } catch (err) {
+      setError(err);
+    }
+  };
+
+  const remove = async (index) => {
+    const { id } = rules[index];
+    try {
+      if (id) await apiFetch(`/api/alert-rules/${encodeURIComponent(id)}`, { method: "DELETE" });
+      setRules((prev) => prev.filter((_rule, i) => i !== index));
+      setError(null);
+    } catch (err) {
+      setError(err);
+    }
+  };
+
+  return (
+    <div className="modal-backdrop" onClick={onClose}>
+      <div className="modal glass rules-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-head">
+          <div>
+            <h3>Alert Rules</h3>
+            <small>Rules are evaluated on every stream tick; a breach must hold for the duration before an alert opens.</small>
+          </div>
+          <div className="modal-head-actions">
+            <button className="reset-btn" onClick={() => setRules((prev) => [...prev, { ...blankRule, dirty: true }])}>
+              <Plus size={13} /> Add rule
+            </button>
+            <button className="icon-btn" onClick={onClose} aria-label="Close alert rules">
+              <X size={16} />
+            </button>
+          </div>
+        </div>
+
+        <div className="rules-table">
+          <div className="rule-row mapping-header">
+            <span>On</span>
+            <span>Name</span>
+            <span>Metric</span>
+            <span>Scope</span>
+            <span>Condition</span>
+            <span>For (s)</span>
+            <span>Severity</span>
+            <span />
+          </div>
+          {rules.map((rule, index) => (
+            <div className="rule-row" key={rule.id || `new-${index}`}>
+              <input type="checkbox" checked={rule.enabled} onChange={(e) => updateRule(index, { enabled: e.target.checked })} />
+              <input value={rule.name} placeholder="Rule name" onChange={(e) => updateRule(index, { name: e.target.value })} />
+              <select
+                value={rule.metric}
+                onChange={(e) => {
+                  const scopes = scopesFor(e.target.value);
+                  updateRule(index, {
+                    metric: e.target.value,
+                    ...(!scopes.includes(rule.scope.type) && { scope: { type: scopes[0], value: "*" } }),
+                  });
+                }}
+              >
+                {metricOptions.map((option) => (
+                  <option key={option.value} value={option.value}>
+                    {option.label}
+                  </option>
+                ))}
+              </select>
+              <div className="rule-pair">
+                <select
+                  value={rule.scope.type}
+                  onChange={(e) => updateRule(index, { scope: { type: e.target.value, value: "*" } })}
+                >
+                  {scopesFor(rule.metric).map((option) => (
+                    <option key={option} value={option}>
+                      {option}
+                    </option>
+                  ))}
+                </select>
+                <input
+                  value={rule.scope.value}
+                  disabled={rule.scope.type === "global"}
+                  title="* matches every value"
+                  onChange={(e) => updateRule(index, { scope: { ...rule.scope, value: e.target.value } })}
+                />
+              </div>
+              <div className="rule-pair">
+                <select value={rule.operator} onChange={(e) => updateRule(index, { operator: e.target.value })}>
+                  {operatorOptions.map((option) => (
+                    <option key={option} value={option}>
+                      {option}
+                    </option>
+                  ))}
+                </select>
+                <input type="number" step="any" value={rule.threshold} onChange={(e) => updateRule(index, { threshold: e.target.value })} />
+              </div>
+              <input type="number" min={0} value={rule.duration} onChange={(e) => updateRule(index, { duration: e.target.value })} />
+              <select value={rule.severity} onChange={(e) => updateRule(index, { severity: e.target.value })}>
+                {severityOptions.map((option) => (
+                  <option key={option} value={option}>
+                    {option}
+                  </option>
+                ))}
+              </select>
+              <div className="rule-pair">
+                <button className="reset-btn" onClick={() => save(index)} disabled={!rule.dirty}>
+                  Save
+                </button>
+                <button className="icon-btn" onClick={() => remove(index)} aria-label="Delete rule">
+                  <Trash2 size={14} />
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+
+        {error && (
+          <div className="form-error">
+            <p>{error.message}</p>
+            {error.details?.map((detail) => (
+              <small key={detail}>{detail}</small>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default AlertRulesModal;
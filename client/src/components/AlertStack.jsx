@@ -0,0 +1,119 @@
+import { useEffect, useState } from "react";
+import { m } from "framer-motion";
+import { Check, SlidersHorizontal, Webhook } from "lucide-react";
+import { apiFetch } from "../api";
+import AlertRulesModal from "./AlertRulesModal";
+import WebhooksModal from "./WebhooksModal";
+
+const MotionDiv = m.div;
+
+function formatTime(value) {
+  return value ? new Date(value).toLocaleString([], { dateStyle: "short", timeStyle: "medium" }) : "—";
+}
+
+function AlertStack({ alerts, canAcknowledge, canConfigure }) {
+  const [view, setView] = useState("active");
+  const [history, setHistory] = useState([]);
+  const [rulesOpen, setRulesOpen] = useState(false);
+  const [webhooksOpen, setWebhooksOpen] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (view !== "history") return undefined;
+    const load = () =>
+      apiFetch("/api/alerts?status=resolved&limit=30")
+        .then(setHistory)
+        .catch((err) => setError(err.message));
+    load();
+    const timer = setInterval(load, 6600);
+    return () => clearInterval(timer);
+  }, [view]);
+
+  const acknowledge = async (id) => {
+    try {
+      await apiFetch(`/api/alerts/${encodeURIComponent(id)}/ack`, { method: "POST" });
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="alerts-box">
+      <div className="dataset-head">
+        <h4>Alert Stack</h4>
+        <div className="alerts-tabs">
+          <button className={view === "active" ? "active" : ""} onClick={() => setView("active")}>
+            Active {alerts.length > 0 ? `(${alerts.length})` : ""}
+          </button>
+          <button className={view === "history" ? "active" : ""} onClick={() => setView("history")}>
+            History
+          </button>
+        </div>
+        {canConfigure && (
+          <>
+            <button className="icon-btn" onClick={() => setRulesOpen(true)} title="Edit alert rules" aria-label="Edit alert rules">
+              <SlidersHorizontal size={14} />
+            </button>
+            <button className="icon-btn" onClick={() => setWebhooksOpen(true)} title="Webhooks" aria-label="Webhooks">
+              <Webhook size={14} />
+            </button>
+          </>
+        )}
+      </div>
+      {error && <small className="error-text">{error}</small>}
+
+      {view === "active" && (
+        <>
+          {alerts.length === 0 && <p className="muted">No anomalies in current window.</p>}
+          {alerts.map((alert) => (
+            <MotionDiv
+              key={alert.id}
+              className={`alert-item ${alert.severity} ${alert.status}`}
+              initial={{ opacity: 0, y: 8 }}
+              animate={{ opacity: 1, y: 0 }}
+            >
+              <div className="alert-item-head">
+                <p>{alert.title}</p>
+                {alert.status === "open" ? (
+                  canAcknowledge && (
+                    <button className="reset-btn" onClick={() => acknowledge(alert.id)} title="Acknowledge">
+                      <Check size={12} /> Ack
+                    </button>
+                  )
+                ) : (
+                  <small className="alert-status">acknowledged</small>
+                )}
+              </div>
+              <small>{alert.message}</small>
+              <small className="alert-meta">
+                since {formatTime(alert.openedAt)} · now {alert.lastValue}
+              </small>
+            </MotionDiv>
+          ))}
+        </>
+      )}
+
+      {view === "history" && (
+        <>
+          {history.length === 0 && <p className="muted">No resolved alerts yet.</p>}
+          {history.map((alert) => (
+            <div key={alert.id} className={`alert-item resolved ${alert.severity}`}>
+              <p>{alert.title}</p>
+              <small>{alert.message}</small>
+              <small className="alert-meta">
+                {formatTime(alert.openedAt)} → {formatTime(alert.resolvedAt)}
+                {alert.acknowledgedAt ? " · acknowledged" : ""}
+              </small>
+            </div>
+          ))}
+        </>
+      )}
+
+      {rulesOpen && <AlertRulesModal onClose={() => setRulesOpen(false)} />}
+      {webhooksOpen && <WebhooksModal onClose={() => setWebhooksOpen(false)} />}
+    </div>
+  );
+}
+
+export default AlertStack;
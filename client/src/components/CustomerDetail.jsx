@@ -0,0 +1,170 @@
+import { useEffect, useState } from "react";
+import { FlaskConical, X } from "lucide-react";
+import {
+  Bar,
+  BarChart,
+  CartesianGrid,
+  Cell,
+  Line,
+  LineChart,
+  ReferenceLine,
+  ResponsiveContainer,
+  Tooltip,
+  XAxis,
+  YAxis,
+} from "recharts";
+import { apiFetch } from "../api";
+
+// Floating bars: each feature starts where the previous cumulative log-odds ended.
+function waterfallData(waterfall) {
+  let running = waterfall.bias;
+  const steps = [{ name: "Baseline", range: [0, waterfall.bias], effect: waterfall.bias, kind: "total" }];
+  waterfall.contributions.forEach((item) => {
+    const next = running + item.effect;
+    steps.push({ name: item.feature, range: [running, next], effect: item.effect, value: item.value, kind: item.effect >= 0 ? "up" : "down" });
+    running = next;
+  });
+  steps.push({ name: "Score", range: [0, waterfall.logit], effect: waterfall.logit, kind: "total" });
+  return steps;
+}
+
+function CustomerDetail({ customerId, palette, onClose, onWhatIf }) {
+  const [detail, setDetail] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const load = () =>
+      apiFetch(`/api/customers/${encodeURIComponent(customerId)}`)
+        .then((payload) => {
+          setDetail(payload);
+          setError(null);
+        })
+        .catch((err) => setError(err.message));
+    load();
+    const timer = setInterval(load, 4400);
+    return () => clearInterval(timer);
+  }, [customerId]);
+
+  const steps = detail ? waterfallData(detail.waterfall) : [];
+  const tooltipStyle = { background: palette.tooltipBg, border: `1px solid ${palette.tooltipBorder}` };
+  const history = (detail?.history || []).map((entry) => ({
+    ...entry,
+    label: new Date(entry.time).toLocaleTimeString("en-US", { hour12: false }),
+  }));
+
+  return (
+    <div className="modal-backdrop" onClick={onClose}>
+      <div className="modal glass customer-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-head">
+          <div>
+            <h3>Customer {customerId}</h3>
+            {detail && (
+              <small>
+                {detail.platform} · {detail.tier ? `${detail.tier} · ` : ""}{detail.state} · model v{detail.modelVersion ?? "—"}
+                {detail.inWindow ? " · in stream window" : ""}
+              </small>
+            )}
+          </div>
+          <div className="modal-head-actions">
+            {onWhatIf && (
+              <button
+                className="reset-btn"
+                onClick={() => {
+                  onWhatIf(customerId);
+                  onClose();
+                }}
+              >
+                <FlaskConical size={13} /> What-if
+              </button>
+            )}
+            <button className="icon-btn" onClick={onClose} aria-label="Close customer detail">
+              <X size={16} />
+            </button>
+          </div>
+        </div>
+
+        {error && <small className="error-text">{error}</small>}
+
+        {detail && (
+          <>
+            <div className="customer-kpis">
+              <div>
+                <small>Churn risk</small>
+                <p className={detail.flagged ? "risk-flagged" : "risk-clear"}>{detail.churnRisk}%</p>
+              </div>
+              <div>
+                <small>Band</small>
+                <p>{detail.band}</p>
+              </div>
+              <div>
+                <small>Decision</small>
+                <p>{detail.flagged ? `Above ${detail.threshold}%` : `Below ${detail.threshold}%`}</p>
+              </div>
+              <div>
+                <small>Label</small>
+                <p>{detail.actualChurn ? "Churned" : "Stayed"}</p>
+              </div>
+            </div>
+
+            <div className="customer-charts">
+              <section>
+                <h4>Driver waterfall (log-odds)</h4>
+                <ResponsiveContainer width="100%" height={260}>
+                  <BarChart data={steps} layout="vertical" margin={{ left: 40, right: 12 }}>
+                    <CartesianGrid strokeDasharray="3 3" stroke={palette.grid} />
+                    <XAxis type="number" stroke={palette.axis} fontSize={11} />
+                    <YAxis type="category" dataKey="name" stroke={palette.axis} fontSize={11} width={110} />
+                    <Tooltip
+                      contentStyle={tooltipStyle}
+                      formatter={(_range, _name, item) => [item.payload.effect.toFixed(3), "effect"]}
+                    />
+                    <ReferenceLine x={0} stroke={palette.axis} />
+                    <Bar dataKey="range" isAnimationActive={false}>
+                      {steps.map((step) => (
+                        <Cell
+                          key={step.name}
+                          fill={step.kind === "total" ? palette.secondary : step.kind === "up" ? palette.high : palette.low}
+                        />
+                      ))}
+                    </Bar>
+                  </BarChart>
+                </ResponsiveContainer>
+              </section>
+
+              <section>
+                <h4>Risk in stream window</h4>
+                {history.length === 0 && <p className="muted">Not seen in the stream yet.</p>}
+                {history.length > 0 && (
+                  <ResponsiveContainer width="100%" height={260}>
+                    <LineChart data={history}>
+                      <CartesianGrid strokeDasharray="3 3" stroke={palette.grid} />
+                      <XAxis dataKey="label" stroke={palette.axis} fontSize={11} />
+                      <YAxis domain={[0, 100]} stroke={palette.axis} fontSize={11} />
+                      <Tooltip contentStyle={tooltipStyle} />
+                      <ReferenceLine y={detail.threshold} stroke={palette.line} strokeDasharray="4 4" />
+                      <Line type="stepAfter" dataKey="risk" stroke={palette.areaStroke} strokeWidth={2} isAnimationActive={false} />
+                    </LineChart>
+                  </ResponsiveContainer>
+                )}
+              </section>
+            </div>
+
+            <section>
+              <h4>Raw record</h4>
+              <div className="raw-record">
+                {Object.entries(detail.raw).map(([column, value]) => (
+                  <div key={column}>
+                    <small>{column}</small>
+                    <span>{value === "" ? "—" : value}</span>
+                  </div>
+                ))}
+              </div>
+            </section>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default CustomerDetail;
@@ -0,0 +1,182 @@
+import { useEffect, useState } from "react";
+import { Check, Database, Library, Pencil, Trash2, X } from "lucide-react";
+import { apiFetch } from "../api";
+
+function formatDate(value) {
+  return value ? new Date(value).toLocaleString([], { dateStyle: "short", timeStyle: "short" }) : "bundled";
+}
+
+function DatasetOverview({ datasetInfo, modelVersion, canManage, onStaged }) {
+  const [datasets, setDatasets] = useState([]);
+  const [libraryOpen, setLibraryOpen] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+  const [editing, setEditing] = useState(null);
+  const [confirmDelete, setConfirmDelete] = useState(null);
+  const [revision, setRevision] = useState(0);
+  const activeId = datasetInfo?.id;
+  const reload = () => setRevision((value) => value + 1);
+
+  useEffect(() => {
+    apiFetch("/api/datasets")
+      .then((result) => setDatasets(result.datasets))
+      .catch((err) => setError(err.message));
+  }, [activeId, datasetInfo?.name, modelVersion?.version, libraryOpen, revision]);
+
+  const activate = async (id) => {
+    setBusy(true);
+    try {
+      const result = await apiFetch(`/api/datasets/${encodeURIComponent(id)}/activate`, { method: "POST", body: {} });
+      // Datasets that were never activated come back as a staged upload to review first.
+      if (result.staged) onStaged(result.upload);
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const rename = async () => {
+    try {
+      await apiFetch(`/api/datasets/${encodeURIComponent(editing.id)}`, { method: "PUT", body: { name: editing.name } });
+      setEditing(null);
+      setError(null);
+      reload();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const remove = async (id) => {
+    try {
+      await apiFetch(`/api/datasets/${encodeURIComponent(id)}`, { method: "DELETE" });
+      setConfirmDelete(null);
+      setError(null);
+      reload();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="dataset-box">
+      <div className="dataset-head">
+        <Database size={16} />
+        <h4>Dataset Overview</h4>
+        <button
+          className={`icon-btn ${libraryOpen ? "active" : ""}`}
+          onClick={() => setLibraryOpen((open) => !open)}
+          title="Dataset library"
+          aria-label="Dataset library"
+        >
+          <Library size={14} />
+        </button>
+      </div>
+      <div className="dataset-grid">
+        <div>
+          <small>Active Source</small>
+          {canManage && datasets.length > 1 ? (
+            <select
+              className="inline-select dataset-picker"
+              value={activeId || ""}
+              onChange={(e) => activate(e.target.value)}
+              disabled={busy}
+              title={datasetInfo?.path}
+            >
+              {datasets.map((dataset) => (
+                <option key={dataset.id} value={dataset.id}>
+                  {dataset.name}
+                  {dataset.status === "staged" ? " (review)" : ""}
+                </option>
+              ))}
+            </select>
+          ) : (
+            <p title={datasetInfo?.path}>{datasetInfo?.name || datasetInfo?.path?.split(/[/\\]/).pop() || "None"}</p>
+          )}
+        </div>
+        <div>
+          <small>Total Records</small>
+          <p title={datasetInfo?.parseReport?.rejected?.map((row) => `Line ${row.line}: ${row.reason}`).join("\n")}>
+            {datasetInfo?.rows?.toLocaleString() || 0}
+            {datasetInfo?.parseReport?.rejectedCount > 0 && (
+              <small className="muted"> ({datasetInfo.parseReport.rejectedCount} skipped)</small>
+            )}
+          </p>
+        </div>
+        <div className="status-cell">
+          <small>System Status</small>
+          <p className="status-ready">
+            {busy ? "Switching dataset..." : modelVersion ? `Model v${modelVersion.version} Active` : "Model Active"}
+          </p>
+        </div>
+      </div>
+      {error && <small className="error-text">{error}</small>}
+
+      {libraryOpen && (
+        <div className="registry-list dataset-library">
+          {datasets.map((dataset) => (
+            <div key={dataset.id} className={`registry-item ${dataset.active ? "active" : ""}`}>
+              <div>
+                {editing?.id === dataset.id ? (
+                  <form
+                    className="dataset-rename"
+                    onSubmit={(e) => {
+                      e.preventDefault();
+                      rename();
+                    }}
+                  >
+                    <input value={editing.name} onChange={(e) => setEditing({ ...editing, name: e.target.value })} autoFocus />
+                    <button className="icon-btn" type="submit" aria-label="Save name">
+                      <Check size={13} />
+                    </button>
+                    <button className="icon-btn" type="button" onClick={() => setEditing(null)} aria-label="Cancel rename">
+                      <X size={13} />
+                    </button>
+                  </form>
+                ) : (
+                  <p title={dataset.originalName}>{dataset.name}</p>
+                )}
+                <small>
+                  {dataset.rows?.toLocaleString() ?? "—"} rows · {dataset.columns.length} columns · {formatDate(dataset.uploadedAt)}
+                  {" · "}
+                  {dataset.status === "staged" ? "not reviewed" : dataset.modelVersion ? `model v${dataset.modelVersion}` : "no model yet"}
+                </small>
+              </div>
+              {canManage && (
+                <div className="registry-actions">
+                  {!dataset.active && (
+                    <button className="reset-btn" onClick={() => activate(dataset.id)} disabled={busy}>
+                      {dataset.status === "staged" ? "Review" : "Activate"}
+                    </button>
+                  )}
+                  <button
+                    className="icon-btn"
+                    onClick={() => setEditing({ id: dataset.id, name: dataset.name })}
+                    title="Rename"
+                    aria-label="Rename dataset"
+                  >
+                    <Pencil size={13} />
+                  </button>
+                  {!dataset.active && !dataset.builtIn && (
+                    <button
+                      className={confirmDelete === dataset.id ? "reset-btn risk-flagged" : "icon-btn"}
+                      onClick={() => (confirmDelete === dataset.id ? remove(dataset.id) : setConfirmDelete(dataset.id))}
+                      onBlur={() => setConfirmDelete(null)}
+                      title="Delete"
+                      aria-label="Delete dataset"
+                    >
+                      {confirmDelete === dataset.id ? "Delete?" : <Trash2 size={13} />}
+                    </button>
+                  )}
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default DatasetOverview;
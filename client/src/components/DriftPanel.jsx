@@ -0,0 +1,77 @@
+import { CartesianGrid, Line, LineChart, ReferenceLine, ResponsiveContainer, Tooltip, XAxis, YAxis } from "recharts";
+
+function DriftLevel({ level }) {
+  return <span className={`drift-level ${level}`}>{level}</span>;
+}
+
+// PSI and KS of each feature and of the predicted risk, live window against the model's training rows.
+function DriftPanel({ drift, palette }) {
+  return (
+    <article className="glass panel drift-card">
+      <div className="trend-head">
+        <h3>Distribution Drift</h3>
+        {drift && (
+          <small className="muted">
+            {drift.rows} live vs {drift.referenceRows} training customers
+          </small>
+        )}
+      </div>
+      {!drift ? (
+        <p className="muted">Drift is measured once the stream window holds enough customers.</p>
+      ) : (
+        <div className="drift-body">
+          <div>
+            <div className="drift-prediction">
+              <span>Predicted risk</span>
+              <strong>PSI {drift.prediction.psi}</strong>
+              <span>KS {drift.prediction.ks}</span>
+              <span>
+                Mean {drift.prediction.referenceMean}% → {drift.prediction.mean}%
+              </span>
+              <DriftLevel level={drift.prediction.level} />
+            </div>
+            <ResponsiveContainer width="100%" height={150}>
+              <LineChart data={drift.trend}>
+                <CartesianGrid strokeDasharray="3 3" stroke={palette.grid} />
+                <XAxis dataKey="time" stroke={palette.axis} />
+                <YAxis stroke={palette.axis} domain={[0, (max) => Math.max(max, drift.levels.significant * 1.2)]} />
+                <Tooltip contentStyle={{ background: palette.tooltipBg, border: `1px solid ${palette.tooltipBorder}` }} />
+                <ReferenceLine y={drift.levels.moderate} stroke={palette.med} strokeDasharray="4 4" />
+                <ReferenceLine y={drift.levels.significant} stroke={palette.high} strokeDasharray="4 4" />
+                <Line type="monotone" dataKey="psi" name="Prediction PSI" stroke={palette.line} strokeWidth={2} dot={false} />
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+          <table className="drift-table">
+            <thead>
+              <tr>
+                <th>Feature</th>
+                <th>PSI</th>
+                <th>KS</th>
+                <th>Training → live mean</th>
+                <th />
+              </tr>
+            </thead>
+            <tbody>
+              {drift.features.map((feature) => (
+                <tr key={feature.key}>
+                  <td>{feature.name}</td>
+                  <td>{feature.psi}</td>
+                  <td>{feature.ks}</td>
+                  <td>
+                    {feature.referenceMean} → {feature.mean}
+                  </td>
+                  <td>
+                    <DriftLevel level={feature.level} />
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </article>
+  );
+}
+
+export default DriftPanel;
@@ -0,0 +1,154 @@
+import { useState } from "react";
+import { Play, Scale } from "lucide-react";
+import { CartesianGrid, Line, LineChart, ResponsiveContainer, Tooltip, XAxis, YAxis } from "recharts";
+import { apiFetch } from "../api";
+
+const strategyLabels = {
+  none: "None",
+  classWeight: "Class weights",
+  oversample: "Oversample",
+  undersample: "Undersample",
+  smote: "SMOTE",
+};
+
+// What a comparison run actually applied, which can be less than the strategy asked for (e.g. already balanced data).
+function describeApplied(applied) {
+  if (!applied) return "";
+  const parts = [];
+  if (applied.resampling !== "none") parts.push(`${strategyLabels[applied.resampling]} resampling`);
+  parts.push(applied.classWeight === "balanced" ? "balanced class weights" : "unweighted loss");
+  return parts.join(" + ");
+}
+
+function trainingRows(result) {
+  return `${result.trainRows.toLocaleString()} training rows, ${(result.trainPositiveShare * 100).toFixed(1)}% churn`;
+}
+
+function formatDate(value) {
+  return new Date(value).toLocaleString([], { dateStyle: "short", timeStyle: "short" });
+}
+
+// Imbalance strategies for the serving dataset: the one the next training run uses and, after a comparison, each
+// strategy's held-out precision, recall and calibration with a reliability curve for the selected one.
+function ImbalancePanel({ imbalance, modelVersion, canManage, palette }) {
+  const [selected, setSelected] = useState(null);
+  const [error, setError] = useState(null);
+  if (!imbalance) return null;
+  const { strategies, strategy, servingStrategy, report } = imbalance;
+  const shown = report?.results.find((result) => result.strategy === (selected || strategy)) || report?.results[0];
+
+  const call = async (path, options) => {
+    try {
+      await apiFetch(path, options);
+      setError(null);
+      return true;
+    } catch (err) {
+      setError(err.message);
+      return false;
+    }
+  };
+  const choose = (value) => call("/api/imbalance", { method: "PUT", body: { strategy: value } });
+  const adoptAndRetrain = async (value) => {
+    if (await choose(value)) {
+      await call("/api/retrain", { method: "POST", body: { algorithm: modelVersion?.algorithm || "logistic" } });
+    }
+  };
+
+  return (
+    <div className="registry-box">
+      <div className="dataset-head">
+        <Scale size={16} />
+        <h4>Class Imbalance</h4>
+        {canManage && (
+          <button
+            className="reset-btn registry-rollback"
+            onClick={() => call("/api/imbalance/compare", { method: "POST" })}
+            title="Refit with every strategy and compare on the holdout"
+          >
+            <Play size={13} />
+            Compare
+          </button>
+        )}
+      </div>
+      <small className="muted">
+        Serving model: {strategyLabels[servingStrategy] || "—"}
+        {report && ` · ${(report.positiveShare * 100).toFixed(1)}% churn in training rows`}
+      </small>
+      {canManage && (
+        <div className="registry-train">
+          <select className="inline-select" value={strategy} onChange={(e) => choose(e.target.value)}>
+            {strategies.map((value) => (
+              <option key={value} value={value}>
+                Next run: {strategyLabels[value]}
+              </option>
+            ))}
+          </select>
+        </div>
+      )}
+      {error && <small className="error-text">{error}</small>}
+
+      {report && (
+        <div className="registry-compare">
+          <small className="muted">
+            {report.algorithm} · {report.holdoutRows.toLocaleString()} holdout rows · threshold {report.threshold}% ·{" "}
+            {formatDate(report.finishedAt)}
+          </small>
+          <div className="compare-row imbalance-row">
+            <span />
+            <span>Prec.</span>
+            <span>Recall</span>
+            <span>Brier</span>
+            <span>ECE</span>
+          </div>
+          {report.results.map((result) => (
+            <div
+              key={result.strategy}
+              className={`compare-row imbalance-row clickable ${result.strategy === shown?.strategy ? "active" : ""} ${
+                result.strategy === strategy ? "retrain-metric" : ""
+              }`}
+              onClick={() => setSelected(result.strategy)}
+              title={`${describeApplied(result.applied)} · ${trainingRows(result)}`}
+            >
+              <span>{strategyLabels[result.strategy]}</span>
+              <span>{result.metrics.precision}</span>
+              <span>{result.metrics.recall}</span>
+              <span>{result.metrics.brier}</span>
+              <span>{result.metrics.ece}</span>
+            </div>
+          ))}
+          {shown && (
+            <>
+              <small className="muted">
+                Reliability of {strategyLabels[shown.strategy]}
+                {shown.applied && ` (${describeApplied(shown.applied)})`}: observed vs predicted churn
+              </small>
+              <ResponsiveContainer width="100%" height={120}>
+                <LineChart
+                  data={shown.metrics.calibrationCurve.map((point) => ({ ...point, ideal: point.predicted }))}
+                  margin={{ top: 4, right: 6, left: -26, bottom: 0 }}
+                >
+                  <CartesianGrid strokeDasharray="3 3" stroke={palette.grid} />
+                  <XAxis dataKey="predicted" type="number" domain={[0, 1]} stroke={palette.axis} tickCount={3} fontSize={10} />
+                  <YAxis domain={[0, 1]} stroke={palette.axis} tickCount={3} fontSize={10} />
+                  <Tooltip
+                    contentStyle={{ background: palette.tooltipBg, border: `1px solid ${palette.tooltipBorder}` }}
+                    labelFormatter={(predicted) => `Predicted ${predicted}`}
+                  />
+                  <Line type="linear" dataKey="ideal" name="Perfect" stroke={palette.grid} strokeDasharray="4 4" dot={false} isAnimationActive={false} />
+                  <Line type="linear" dataKey="observed" name="Observed" stroke={palette.line} strokeWidth={2} isAnimationActive={false} />
+                </LineChart>
+              </ResponsiveContainer>
+              {canManage && shown.strategy !== servingStrategy && (
+                <button className="reset-btn" onClick={() => adoptAndRetrain(shown.strategy)}>
+                  Use {strategyLabels[shown.strategy]} & retrain
+                </button>
+              )}
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ImbalancePanel;
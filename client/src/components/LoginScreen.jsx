@@ -0,0 +1,52 @@
+import { useState } from "react";
+import { LogIn } from "lucide-react";
+import { apiFetch, setSession } from "../api";
+
+function LoginScreen() {
+  const [username, setUsername] = useState("");
+  const [password, setPassword] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const submit = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    try {
+      const session = await apiFetch("/api/auth/login", { method: "POST", body: { username, password } });
+      setSession({ token: session.token, expiresAt: session.expiresAt, user: session.user });
+    } catch (err) {
+      setError(err.message);
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="app-shell login-shell">
+      <div className="ambient-bg" />
+      <div className="grid-overlay" />
+      <form className="glass login-card" onSubmit={submit}>
+        <h1>Churn Retention System</h1>
+        <p className="muted">Sign in to open the command center.</p>
+        <label>
+          Username
+          <input value={username} onChange={(e) => setUsername(e.target.value)} autoComplete="username" autoFocus />
+        </label>
+        <label>
+          Password
+          <input
+            type="password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            autoComplete="current-password"
+          />
+        </label>
+        {error && <small className="error-text">{error}</small>}
+        <button className="primary-btn" type="submit" disabled={busy || !username || !password}>
+          <LogIn size={14} /> {busy ? "Signing in..." : "Sign in"}
+        </button>
+      </form>
+    </div>
+  );
+}
+
+export default LoginScreen;
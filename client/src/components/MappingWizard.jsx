@@ -0,0 +1,145 @@
+import { useState } from "react";
+import { X } from "lucide-react";
+import { algorithmOptions } from "../constants";
+import QualityReport from "./QualityReport";
+
+const roleOptions = [
+  { value: "numeric", label: "Numeric feature" },
+  { value: "boolean", label: "Yes/No feature" },
+  { value: "label", label: "Churn label" },
+  { value: "id", label: "Customer ID" },
+  { value: "segment", label: "Segment" },
+  { value: "usage", label: "Usage feature (minutes)" },
+  { value: "support", label: "Support contacts feature" },
+  { value: "activity", label: "Activity (pulse only)" },
+  { value: "ignore", label: "Ignore" },
+];
+
+const featureRoles = new Set(["numeric", "boolean", "usage", "support"]);
+
+function MappingWizard({ upload, busy, error, onReview, onActivate, onCancel }) {
+  const [fields, setFields] = useState(upload.suggestedMapping.fields);
+  const [algorithm, setAlgorithm] = useState("logistic");
+  const [step, setStep] = useState("mapping");
+
+  const updateField = (column, patch) =>
+    setFields((prev) => prev.map((field) => (field.column === column ? { ...field, ...patch } : field)));
+
+  const profileFor = (column) => upload.profiles?.find((profile) => profile.column === column);
+  const featureCount = fields.filter((field) => featureRoles.has(field.role)).length;
+  const hasLabel = fields.filter((field) => field.role === "label").length === 1;
+
+  return (
+    <div className="modal-backdrop">
+      <div className="modal glass">
+        <div className="modal-head">
+          <div>
+            <h3>{step === "mapping" ? "Map Dataset Columns" : "Review Data Quality"}</h3>
+            <small>
+              {upload.originalName} · {upload.rows.toLocaleString()} rows · {upload.headers.length} columns
+              {upload.parseReport && ` · ${upload.parseReport.encoding}, "${upload.parseReport.delimiter === "\t" ? "tab" : upload.parseReport.delimiter}" delimited`}
+            </small>
+          </div>
+          <button className="icon-btn" onClick={onCancel} aria-label="Cancel upload" disabled={busy}>
+            <X size={16} />
+          </button>
+        </div>
+
+        {step === "mapping" && upload.parseReport?.rejectedCount > 0 && (
+          <div className="form-error">
+            <p>{upload.parseReport.rejectedCount.toLocaleString()} malformed rows will be skipped</p>
+            {upload.parseReport.rejected.slice(0, 8).map((row) => (
+              <small key={row.line}>
+                Line {row.line}: {row.reason}
+              </small>
+            ))}
+            {upload.parseReport.rejectedCount > 8 && <small>…and {upload.parseReport.rejectedCount - 8} more</small>}
+          </div>
+        )}
+
+        {step === "mapping" && (
+          <div className="mapping-table">
+            <div className="mapping-row mapping-header">
+              <span>Column</span>
+              <span>Sample values</span>
+              <span>Role</span>
+              <span>Display name</span>
+            </div>
+            {fields.map((field) => (
+              <div className="mapping-row" key={field.column}>
+                <span className="mapping-column">{field.column}</span>
+                <small className="muted">{profileFor(field.column)?.samples.join(", ") || "—"}</small>
+                <select value={field.role} onChange={(e) => updateField(field.column, { role: e.target.value })}>
+                  {roleOptions.map((option) => (
+                    <option key={option.value} value={option.value}>
+                      {option.label}
+                    </option>
+                  ))}
+                </select>
+                <input
+                  value={field.name}
+                  disabled={!featureRoles.has(field.role)}
+                  onChange={(e) => updateField(field.column, { name: e.target.value })}
+                />
+              </div>
+            ))}
+          </div>
+        )}
+
+        {step === "review" && upload.report && <QualityReport upload={upload} />}
+
+        {error && (
+          <div className="form-error">
+            <p>{error.message}</p>
+            {error.details?.map((detail) => (
+              <small key={detail}>{detail}</small>
+            ))}
+          </div>
+        )}
+
+        {step === "mapping" && (
+          <div className="modal-actions">
+            <small className="muted">
+              {featureCount} model features · {hasLabel ? "label mapped" : "choose one churn label"}
+            </small>
+            <button className="reset-btn" onClick={onCancel} disabled={busy}>
+              Cancel
+            </button>
+            <button
+              className="primary-btn"
+              onClick={async () => {
+                if (await onReview({ fields })) setStep("review");
+              }}
+              disabled={busy || !hasLabel || featureCount === 0}
+            >
+              {busy ? "Checking..." : "Check data quality"}
+            </button>
+          </div>
+        )}
+
+        {step === "review" && (
+          <div className="modal-actions">
+            <small className="muted">
+              {upload.report?.canActivate ? "Activating retrains the model and replaces the live dataset" : "Fix the errors above before activating"}
+            </small>
+            <select className="inline-select" value={algorithm} onChange={(e) => setAlgorithm(e.target.value)}>
+              {algorithmOptions.map((option) => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+            <button className="reset-btn" onClick={() => setStep("mapping")} disabled={busy}>
+              Back to mapping
+            </button>
+            <button className="primary-btn" onClick={() => onActivate(algorithm)} disabled={busy || !upload.report?.canActivate}>
+              {busy ? "Training..." : "Activate dataset"}
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default MappingWizard;
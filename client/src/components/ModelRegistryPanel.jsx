@@ -0,0 +1,134 @@
+import { useEffect, useState } from "react";
+import { FlaskConical, GitBranch, RotateCcw } from "lucide-react";
+import { apiFetch } from "../api";
+import { algorithmOptions } from "../constants";
+import SearchModal from "./SearchModal";
+
+const lowerIsBetter = ["logLoss", "brier", "ece"];
+
+function formatDate(value) {
+  return value ? new Date(value).toLocaleString([], { dateStyle: "short", timeStyle: "short" }) : "—";
+}
+
+function ModelRegistryPanel({ modelVersion, canManage, palette }) {
+  const [versions, setVersions] = useState([]);
+  const [comparison, setComparison] = useState(null);
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [algorithm, setAlgorithm] = useState("gbt");
+  const [searchOpen, setSearchOpen] = useState(false);
+  const servingVersion = modelVersion?.version;
+
+  useEffect(() => {
+    apiFetch("/api/models")
+      .then((result) => setVersions(result.versions))
+      .catch(() => { });
+  }, [servingVersion]);
+
+  const run = async (path, body) => {
+    setBusy(true);
+    try {
+      await apiFetch(path, { method: "POST", body });
+      setComparison(null);
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const compareWithServing = async (version) => {
+    try {
+      setComparison(await apiFetch(`/api/models/compare?a=${servingVersion}&b=${version}`));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="registry-box">
+      <div className="dataset-head">
+        <GitBranch size={16} />
+        <h4>Model Registry</h4>
+        {canManage && (
+          <button className="reset-btn registry-rollback" onClick={() => run("/api/models/rollback")} disabled={busy} title="Roll back">
+            <RotateCcw size={13} />
+            Rollback
+          </button>
+        )}
+      </div>
+      <small className="muted">
+        Serving v{servingVersion ?? "—"} · {modelVersion?.algorithm || "logistic"} · {formatDate(modelVersion?.createdAt)}
+      </small>
+      {canManage && (
+        <div className="registry-train">
+          <select className="inline-select" value={algorithm} onChange={(e) => setAlgorithm(e.target.value)}>
+            {algorithmOptions.map((option) => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+          <button className="reset-btn" onClick={() => run("/api/retrain", { algorithm })} disabled={busy}>
+            {busy ? "Working..." : "Retrain"}
+          </button>
+          <button className="icon-btn" onClick={() => setSearchOpen(true)} title="Hyperparameter search" aria-label="Hyperparameter search">
+            <FlaskConical size={13} />
+          </button>
+        </div>
+      )}
+      {error && <small className="error-text">{error}</small>}
+      {searchOpen && <SearchModal palette={palette} onClose={() => setSearchOpen(false)} />}
+
+      <div className="registry-list">
+        {versions.map((item) => (
+          <div key={item.version} className={`registry-item ${item.active ? "active" : ""}`}>
+            <div>
+              <p>
+                v{item.version} <small>{item.dataset.name}</small>
+              </p>
+              <small>
+                AUC {item.metrics.aucRoc ?? "—"} · F1 {item.metrics.f1 ?? "—"}% · {formatDate(item.createdAt)}
+              </small>
+            </div>
+            {!item.active && (
+              <div className="registry-actions">
+                <button className="reset-btn" onClick={() => compareWithServing(item.version)}>
+                  Diff
+                </button>
+                {canManage && (
+                  <button className="reset-btn" onClick={() => run(`/api/models/${item.version}/activate`)} disabled={busy}>
+                    Activate
+                  </button>
+                )}
+              </div>
+            )}
+          </div>
+        ))}
+      </div>
+
+      {comparison && (
+        <div className="registry-compare">
+          <small>
+            v{comparison.a.version} → v{comparison.b.version}
+            {!comparison.sameDataset && " · different dataset"}
+          </small>
+          {comparison.metrics.map((row) => (
+            <div key={row.metric} className="compare-row">
+              <span>{row.metric}</span>
+              <span>{row.a ?? "—"}</span>
+              <span>{row.b ?? "—"}</span>
+              <span className={(row.delta >= 0) === !lowerIsBetter.includes(row.metric) ? "delta-good" : "delta-bad"}>
+                {row.delta > 0 ? "+" : ""}
+                {row.delta}
+              </span>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ModelRegistryPanel;
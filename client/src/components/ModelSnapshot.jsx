@@ -0,0 +1,112 @@
+import { CartesianGrid, Line, LineChart, ResponsiveContainer, Tooltip, XAxis, YAxis } from "recharts";
+
+function ConfusionMatrix({ confusion }) {
+  const cells = [
+    { key: "tn", label: "True stay", value: confusion.tn, good: true },
+    { key: "fp", label: "False churn", value: confusion.fp, good: false },
+    { key: "fn", label: "Missed churn", value: confusion.fn, good: false },
+    { key: "tp", label: "Caught churn", value: confusion.tp, good: true },
+  ];
+  return (
+    <div className="confusion-grid">
+      <span />
+      <small>Pred stay</small>
+      <small>Pred churn</small>
+      <small>Stayed</small>
+      {cells.slice(0, 2).map((cell) => (
+        <div key={cell.key} className={`confusion-cell ${cell.good ? "good" : "bad"}`} title={cell.label}>
+          {cell.value.toLocaleString()}
+        </div>
+      ))}
+      <small>Churned</small>
+      {cells.slice(2).map((cell) => (
+        <div key={cell.key} className={`confusion-cell ${cell.good ? "good" : "bad"}`} title={cell.label}>
+          {cell.value.toLocaleString()}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+function ModelSnapshot({ stats, palette }) {
+  const rocData = (stats?.rocCurve || []).map((point) => ({ ...point, chance: point.fpr }));
+  const cv = stats?.crossValidation;
+
+  return (
+    <div className="model-box">
+      <h4>Model Snapshot</h4>
+      {stats?.evaluation && (
+        <small className="muted">
+          Holdout {stats.evaluation.testRows.toLocaleString()} rows · threshold {stats.threshold}%
+        </small>
+      )}
+      <div className="model-grid">
+        <div>
+          <small>Accuracy</small>
+          <p>{stats?.accuracy ?? 0}%</p>
+        </div>
+        <div>
+          <small>Precision</small>
+          <p>{stats?.precision ?? 0}%</p>
+        </div>
+        <div>
+          <small>Recall</small>
+          <p>{stats?.recall ?? 0}%</p>
+        </div>
+        <div>
+          <small>F1</small>
+          <p>{stats?.f1 ?? 0}%</p>
+        </div>
+        <div>
+          <small>AUC-ROC</small>
+          <p>{stats?.aucRoc ?? 0}</p>
+        </div>
+        <div>
+          <small>AUC-PR</small>
+          <p>{stats?.aucPr ?? 0}</p>
+        </div>
+        <div>
+          <small>Log-loss</small>
+          <p>{stats?.logLoss ?? 0}</p>
+        </div>
+        <div>
+          <small>Brier</small>
+          <p>{stats?.brier ?? "—"}</p>
+        </div>
+        <div>
+          <small>ECE</small>
+          <p>{stats?.ece ?? "—"}</p>
+        </div>
+        {cv && (
+          <div>
+            <small>{cv.folds}-fold AUC</small>
+            <p>
+              {cv.summary.aucRoc.mean} ± {cv.summary.aucRoc.std}
+            </p>
+          </div>
+        )}
+      </div>
+
+      {rocData.length > 0 && (
+        <div className="model-charts">
+          <ResponsiveContainer width="100%" height={130}>
+            <LineChart data={rocData} margin={{ top: 4, right: 6, left: -26, bottom: 0 }}>
+              <CartesianGrid strokeDasharray="3 3" stroke={palette.grid} />
+              <XAxis dataKey="fpr" type="number" domain={[0, 1]} stroke={palette.axis} tickCount={3} fontSize={10} />
+              <YAxis domain={[0, 1]} stroke={palette.axis} tickCount={3} fontSize={10} />
+              <Tooltip
+                contentStyle={{ background: palette.tooltipBg, border: `1px solid ${palette.tooltipBorder}` }}
+                labelFormatter={(fpr) => `FPR ${fpr}`}
+              />
+              <Line type="linear" dataKey="chance" stroke={palette.grid} strokeDasharray="4 4" dot={false} isAnimationActive={false} />
+              <Line type="stepAfter" dataKey="tpr" stroke={palette.line} strokeWidth={2} dot={false} isAnimationActive={false} />
+            </LineChart>
+          </ResponsiveContainer>
+          {stats.confusion && <ConfusionMatrix confusion={stats.confusion} />}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ModelSnapshot;
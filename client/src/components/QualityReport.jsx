@@ -0,0 +1,110 @@
+import { AlertTriangle, CircleCheck, OctagonX } from "lucide-react";
+
+function formatRange(range) {
+  return range ? `${range.min} – ${range.max}` : "—";
+}
+
+function QualityReport({ upload }) {
+  const { report } = upload;
+  const sampleColumns = report.columns.map((column) => column.column);
+
+  return (
+    <div className="quality-report">
+      <div className="quality-summary">
+        <div>
+          <small>Rows</small>
+          <p>{report.rows.toLocaleString()}</p>
+        </div>
+        <div>
+          <small>Skipped rows</small>
+          <p>{report.rejectedRows.count.toLocaleString()}</p>
+        </div>
+        <div>
+          <small>Churn rate</small>
+          <p>{report.labelBalance ? `${report.labelBalance.positiveRate}%` : "—"}</p>
+        </div>
+        <div>
+          <small>Duplicate ids</small>
+          <p>{report.duplicates ? report.duplicates.rows.toLocaleString() : "n/a"}</p>
+        </div>
+      </div>
+
+      <div className="quality-issues">
+        {report.issues.length === 0 && (
+          <p className="quality-issue ok">
+            <CircleCheck size={14} /> No data-quality issues found.
+          </p>
+        )}
+        {report.issues.map((issue) => (
+          <p key={issue.message} className={`quality-issue ${issue.level}`}>
+            {issue.level === "error" ? <OctagonX size={14} /> : <AlertTriangle size={14} />}
+            {issue.message}
+          </p>
+        ))}
+      </div>
+
+      <div className="mapping-table">
+        <div className="quality-row mapping-header">
+          <span>Column</span>
+          <span>Role</span>
+          <span>Empty</span>
+          <span>Invalid</span>
+          <span>Range (this file)</span>
+          <span>Range (live)</span>
+        </div>
+        {report.columns.map((column) => (
+          <div className="quality-row" key={column.column}>
+            <span className="mapping-column">{column.column}</span>
+            <small>{column.role}</small>
+            <span className={column.nullRate > 20 ? "risk-flagged" : ""}>{column.nullRate}%</span>
+            <span className={column.invalid ? "risk-flagged" : ""} title={column.invalidSamples.join(", ")}>
+              {column.invalid}
+            </span>
+            <small>{formatRange(column.range)}</small>
+            <small className={column.outOfLiveRange > 5 ? "risk-flagged" : ""}>
+              {formatRange(column.liveRange)}
+              {column.outOfLiveRange > 0 ? ` · ${column.outOfLiveRange}% outside` : ""}
+            </small>
+          </div>
+        ))}
+      </div>
+
+      <section>
+        <h4>Sample rows</h4>
+        <div className="quality-sample">
+          <table>
+            <thead>
+              <tr>
+                {sampleColumns.map((column) => (
+                  <th key={column}>{column}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {upload.sample.map((record, index) => (
+                <tr key={index}>
+                  {sampleColumns.map((column) => (
+                    <td key={column}>{record[column] === "" ? "—" : record[column]}</td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </section>
+
+      {report.rejectedRows.count > 0 && (
+        <section>
+          <h4>Skipped rows</h4>
+          {report.rejectedRows.rows.slice(0, 10).map((row) => (
+            <small key={row.line} className="muted quality-rejected">
+              Line {row.line}: {row.reason}
+            </small>
+          ))}
+        </section>
+      )}
+    </div>
+  );
+}
+
+export default QualityReport;
@@ -0,0 +1,194 @@
+import { useEffect, useState } from "react";
+import { Check, Play, SlidersHorizontal, Swords, X } from "lucide-react";
+import { apiFetch } from "../api";
+
+const metricLabels = {
+  aucRoc: "AUC ROC",
+  aucPr: "AUC PR",
+  f1: "F1 %",
+  recall: "Recall %",
+  precision: "Precision %",
+  accuracy: "Accuracy %",
+  logLoss: "Log loss",
+};
+const triggerLabels = { manual: "Manual", schedule: "Schedule", drift: "Drift", metricDrop: "Metric drop" };
+
+function formatDate(value) {
+  return value ? new Date(value).toLocaleString([], { dateStyle: "short", timeStyle: "short" }) : "—";
+}
+
+function PolicyForm({ policy, onSaved, onCancel }) {
+  const [draft, setDraft] = useState(policy);
+  const [error, setError] = useState(null);
+  const set = (key, value) => setDraft({ ...draft, [key]: value });
+
+  const save = async () => {
+    try {
+      onSaved(await apiFetch("/api/retraining/policy", { method: "PUT", body: draft }));
+    } catch (err) {
+      setError(err.details?.[0] || err.message);
+    }
+  };
+
+  return (
+    <div className="retrain-policy">
+      <label>
+        <input type="checkbox" checked={draft.enabled} onChange={(e) => set("enabled", e.target.checked)} />
+        Automatic retraining
+      </label>
+      <label>
+        Every
+        <input type="number" min={0} step="any" value={draft.intervalHours} onChange={(e) => set("intervalHours", e.target.value)} />
+        hours (0 = off)
+      </label>
+      <label>
+        <input type="checkbox" checked={draft.onDrift} onChange={(e) => set("onDrift", e.target.checked)} />
+        On drift, PSI ≥
+        <input type="number" min={0.01} step="any" value={draft.driftPsi} onChange={(e) => set("driftPsi", e.target.value)} />
+      </label>
+      <label>
+        <input type="checkbox" checked={draft.onMetricDrop} onChange={(e) => set("onMetricDrop", e.target.checked)} />
+        On a held-out drop ≥
+        <input type="number" min={0} step="any" value={draft.maxDrop} onChange={(e) => set("maxDrop", e.target.value)} />
+      </label>
+      <label>
+        Promote when
+        <select className="inline-select" value={draft.metric} onChange={(e) => set("metric", e.target.value)}>
+          {Object.entries(metricLabels).map(([value, label]) => (
+            <option key={value} value={value}>
+              {label}
+            </option>
+          ))}
+        </select>
+        improves by
+        <input type="number" min={0} step="any" value={draft.margin} onChange={(e) => set("margin", e.target.value)} />
+      </label>
+      <label>
+        Cooldown
+        <input type="number" min={0} value={draft.cooldownMinutes} onChange={(e) => set("cooldownMinutes", e.target.value)} />
+        min
+      </label>
+      {error && <small className="error-text">{error}</small>}
+      <div className="registry-train">
+        <button className="reset-btn" onClick={save}>
+          <Check size={13} /> Save
+        </button>
+        <button className="reset-btn" onClick={onCancel}>
+          <X size={13} /> Cancel
+        </button>
+      </div>
+    </div>
+  );
+}
+
+// Scheduled champion/challenger retraining: the policy, the run in progress and the latest comparison report.
+function RetrainingPanel({ retraining, canManage }) {
+  const [reports, setReports] = useState([]);
+  const [editing, setEditing] = useState(false);
+  const [error, setError] = useState(null);
+  const lastReportId = retraining?.lastReport?.id;
+
+  useEffect(() => {
+    apiFetch("/api/retraining")
+      .then((result) => setReports(result.reports))
+      .catch(() => { });
+  }, [lastReportId]);
+
+  if (!retraining) return null;
+  const { policy, running, lastReport } = retraining;
+
+  const runNow = async () => {
+    try {
+      await apiFetch("/api/retraining/run", { method: "POST" });
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="registry-box">
+      <div className="dataset-head">
+        <Swords size={16} />
+        <h4>Champion vs Challenger</h4>
+        {canManage && (
+          <>
+            <button className="reset-btn registry-rollback" onClick={runNow} disabled={Boolean(running)} title="Train a challenger now">
+              <Play size={13} />
+              Run
+            </button>
+            <button className="icon-btn" onClick={() => setEditing(!editing)} title="Retraining policy" aria-label="Retraining policy">
+              <SlidersHorizontal size={13} />
+            </button>
+          </>
+        )}
+      </div>
+      <small className="muted">
+        {policy.enabled
+          ? `Auto${policy.intervalHours > 0 ? ` every ${policy.intervalHours}h` : ""}${policy.onDrift ? ` · drift ≥ ${policy.driftPsi}` : ""}${policy.onMetricDrop ? ` · drop ≥ ${policy.maxDrop}` : ""} · margin ${policy.margin} ${metricLabels[policy.metric]}`
+          : "Automatic retraining off"}
+      </small>
+      {editing && <PolicyForm policy={policy} onSaved={() => setEditing(false)} onCancel={() => setEditing(false)} />}
+      {error && <small className="error-text">{error}</small>}
+      {running && (
+        <small className="retrain-running">
+          Training a {running.algorithm} challenger · {triggerLabels[running.trigger.reason]} · since {formatDate(running.startedAt)}
+        </small>
+      )}
+
+      {lastReport && (
+        <div className="registry-compare">
+          <small>
+            {triggerLabels[lastReport.trigger.reason]} · {formatDate(lastReport.finishedAt)} ·{" "}
+            <strong className={`retrain-decision ${lastReport.decision}`}>{lastReport.decision}</strong>
+          </small>
+          {lastReport.trigger.detail && <small className="muted">{lastReport.trigger.detail}</small>}
+          {lastReport.error && <small className="error-text">{lastReport.error}</small>}
+          {lastReport.champion.metrics && (
+            <>
+              <div className="compare-row">
+                <span />
+                <span>v{lastReport.champion.version ?? "—"}</span>
+                <span>{lastReport.challenger.version ? `v${lastReport.challenger.version}` : "challenger"}</span>
+                <span>Δ</span>
+              </div>
+              {Object.keys(metricLabels).map((metric) => {
+                const champion = lastReport.champion.metrics[metric];
+                const challenger = lastReport.challenger.metrics[metric];
+                const delta = Number((challenger - champion).toFixed(4));
+                return (
+                  <div key={metric} className={`compare-row ${metric === lastReport.metric ? "retrain-metric" : ""}`}>
+                    <span>{metricLabels[metric]}</span>
+                    <span>{champion}</span>
+                    <span>{challenger}</span>
+                    <span className={(delta >= 0) === (metric !== "logLoss") ? "delta-good" : "delta-bad"}>
+                      {delta > 0 ? "+" : ""}
+                      {delta}
+                    </span>
+                  </div>
+                );
+              })}
+              <small className="muted">
+                {lastReport.trainRows} training / {lastReport.holdoutRows} holdout rows · needs +{lastReport.margin}
+              </small>
+            </>
+          )}
+        </div>
+      )}
+
+      {reports.length > 1 && (
+        <div className="registry-list">
+          {reports.slice(1, 6).map((report) => (
+            <small key={report.id}>
+              {formatDate(report.startedAt)} · {triggerLabels[report.trigger.reason]} ·{" "}
+              <span className={`retrain-decision ${report.decision}`}>{report.decision}</span>
+              {report.improvement !== null && ` (${report.improvement >= 0 ? "+" : ""}${report.improvement})`}
+            </small>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default RetrainingPanel;
@@ -0,0 +1,368 @@
+import { useCallback, useEffect, useMemo, useState } from "react";
+import { ArrowDown, ArrowUp, Play, X } from "lucide-react";
+import { CartesianGrid, Legend, Line, LineChart, ResponsiveContainer, Tooltip, XAxis, YAxis } from "recharts";
+import { apiFetch, socket } from "../api";
+
+const searchedParams = [
+  { key: "epochs", label: "Epochs" },
+  { key: "learningRate", label: "Learning rate" },
+  { key: "l2", label: "L2" },
+];
+
+const metricOptions = [
+  { value: "logLoss", label: "Log loss" },
+  { value: "aucRoc", label: "AUC ROC" },
+  { value: "aucPr", label: "AUC PR" },
+  { value: "f1", label: "F1 %" },
+  { value: "recall", label: "Recall %" },
+  { value: "precision", label: "Precision %" },
+  { value: "accuracy", label: "Accuracy %" },
+];
+
+// Table columns: the candidate's hyperparameters, how long it trained and its mean cross-validated metrics.
+const columns = [
+  ...searchedParams.map(({ key, label }) => ({ key, label, value: (result) => result.params[key] })),
+  { key: "classWeight", label: "Weights", value: (result) => result.params.classWeight },
+  { key: "epochsRun", label: "Ran", value: (result) => result.epochsRun },
+  ...["aucRoc", "f1", "recall", "logLoss"].map((metric) => ({
+    key: metric,
+    label: metricOptions.find((option) => option.value === metric).label,
+    value: (result) => result.crossValidation.summary[metric].mean,
+    std: (result) => result.crossValidation.summary[metric].std,
+  })),
+];
+
+function formFromDefaults(defaults) {
+  return {
+    strategy: "grid",
+    folds: 5,
+    trials: 12,
+    metric: "logLoss",
+    grid: Object.fromEntries(searchedParams.map(({ key }) => [key, defaults.grid[key].join(", ")])),
+    random: defaults.random,
+    classWeight: ["none"],
+    earlyStopping: false,
+    patience: 25,
+  };
+}
+
+function requestBody(form) {
+  const space = Object.fromEntries(
+    searchedParams.map(({ key }) => [
+      key,
+      form.strategy === "grid"
+        ? form.grid[key].split(",").filter((value) => value.trim() !== "").map(Number)
+        : { min: Number(form.random[key].min), max: Number(form.random[key].max) },
+    ]),
+  );
+  return {
+    strategy: form.strategy,
+    folds: Number(form.folds),
+    trials: Number(form.trials),
+    metric: form.metric,
+    space,
+    classWeight: form.classWeight,
+    earlyStopping: form.earlyStopping,
+    patience: Number(form.patience),
+  };
+}
+
+function formatDate(value) {
+  return new Date(value).toLocaleString([], { dateStyle: "short", timeStyle: "short" });
+}
+
+// Hyperparameter search for the logistic learner: launch a grid or random search, compare the cross-validated
+// candidates and train the serving model with the one you pick.
+function SearchModal({ palette, onClose }) {
+  const [form, setForm] = useState(null);
+  const [searches, setSearches] = useState([]);
+  const [search, setSearch] = useState(null);
+  const [selected, setSelected] = useState(0);
+  const [sort, setSort] = useState({ key: "logLoss", ascending: true });
+  const [running, setRunning] = useState(false);
+  const [error, setError] = useState(null);
+
+  const open = useCallback(async (id) => {
+    try {
+      const result = await apiFetch(`/api/search/${encodeURIComponent(id)}`);
+      setSearch(result);
+      setSelected(result.best.index);
+      setSort({ key: result.spec.metric, ascending: result.spec.metric === "logLoss" });
+    } catch (err) {
+      setError(err);
+    }
+  }, []);
+
+  const load = useCallback(
+    () =>
+      apiFetch("/api/search")
+        .then((result) => {
+          setSearches(result.searches);
+          setForm((previous) => previous || formFromDefaults(result.defaults));
+          return result.searches;
+        })
+        .catch(setError),
+    [],
+  );
+
+  useEffect(() => {
+    load().then((list) => list?.[0] && open(list[0].id));
+  }, [load, open]);
+
+  // A finished search shows up in the list; the one just launched opens by itself.
+  useEffect(() => {
+    const onProgress = (job) => {
+      if (job.kind !== "search" || job.status === "running") return;
+      setRunning(false);
+      load();
+      if (job.status === "completed") open(job.id);
+    };
+    socket.on("training:progress", onProgress);
+    return () => socket.off("training:progress", onProgress);
+  }, [load, open]);
+
+  const rows = useMemo(() => {
+    if (!search) return [];
+    const column = columns.find((item) => item.key === sort.key) || columns[0];
+    return search.results
+      .map((result, index) => ({ result, index }))
+      .sort((a, b) => {
+        const x = column.value(a.result);
+        const y = column.value(b.result);
+        const order = typeof x === "string" ? x.localeCompare(y) : x - y;
+        return sort.ascending ? order : -order;
+      });
+  }, [search, sort]);
+
+  if (!form) return null;
+  const set = (key, value) => setForm({ ...form, [key]: value });
+  const toggleWeight = (value) =>
+    set("classWeight", form.classWeight.includes(value) ? form.classWeight.filter((item) => item !== value) : [...form.classWeight, value]);
+
+  const launch = async () => {
+    try {
+      await apiFetch("/api/search", { method: "POST", body: requestBody(form) });
+      setRunning(true);
+      setError(null);
+    } catch (err) {
+      setError(err);
+    }
+  };
+
+  const train = async (params) => {
+    try {
+      await apiFetch("/api/retrain", { method: "POST", body: { algorithm: "logistic", hyperparameters: params } });
+      onClose();
+    } catch (err) {
+      setError(err);
+    }
+  };
+
+  const chosen = search?.results[selected];
+
+  return (
+    <div className="modal-backdrop" onClick={onClose}>
+      <div className="modal glass search-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-head">
+          <div>
+            <h3>Hyperparameter Search</h3>
+            <small>Each candidate is scored with stratified k-fold cross-validation on the training split; the holdout is left untouched.</small>
+          </div>
+          <button className="icon-btn" onClick={onClose} aria-label="Close search">
+            <X size={16} />
+          </button>
+        </div>
+
+        <div className="search-layout">
+          <div className="webhook-form">
+            <label>
+              Strategy
+              <select className="inline-select" value={form.strategy} onChange={(e) => set("strategy", e.target.value)}>
+                <option value="grid">Grid (every combination)</option>
+                <option value="random">Random (sampled from ranges)</option>
+              </select>
+            </label>
+            {searchedParams.map(({ key, label }) =>
+              form.strategy === "grid" ? (
+                <label key={key}>
+                  {label} (comma-separated)
+                  <input value={form.grid[key]} onChange={(e) => set("grid", { ...form.grid, [key]: e.target.value })} />
+                </label>
+              ) : (
+                <label key={key}>
+                  {label} range
+                  <span className="search-range">
+                    {["min", "max"].map((bound) => (
+                      <input
+                        key={bound}
+                        type="number"
+                        step="any"
+                        value={form.random[key][bound]}
+                        aria-label={`${label} ${bound}`}
+                        onChange={(e) => set("random", { ...form.random, [key]: { ...form.random[key], [bound]: e.target.value } })}
+                      />
+                    ))}
+                  </span>
+                </label>
+              ),
+            )}
+            <div className="search-row">
+              <label>
+                Folds
+                <input type="number" min={2} max={10} value={form.folds} onChange={(e) => set("folds", e.target.value)} />
+              </label>
+              {form.strategy === "random" && (
+                <label>
+                  Trials
+                  <input type="number" min={1} max={60} value={form.trials} onChange={(e) => set("trials", e.target.value)} />
+                </label>
+              )}
+              <label>
+                Rank by
+                <select className="inline-select" value={form.metric} onChange={(e) => set("metric", e.target.value)}>
+                  {metricOptions.map((option) => (
+                    <option key={option.value} value={option.value}>
+                      {option.label}
+                    </option>
+                  ))}
+                </select>
+              </label>
+            </div>
+            <div className="webhook-events">
+              <label>
+                <input type="checkbox" checked={form.classWeight.includes("none")} onChange={() => toggleWeight("none")} />
+                Unweighted loss
+              </label>
+              <label>
+                <input type="checkbox" checked={form.classWeight.includes("balanced")} onChange={() => toggleWeight("balanced")} />
+                Balanced class weights
+              </label>
+              <label>
+                <input type="checkbox" checked={form.earlyStopping} onChange={(e) => set("earlyStopping", e.target.checked)} />
+                Early stopping on validation loss
+              </label>
+            </div>
+            {form.earlyStopping && (
+              <label>
+                Patience (epochs without improvement)
+                <input type="number" min={1} max={500} value={form.patience} onChange={(e) => set("patience", e.target.value)} />
+              </label>
+            )}
+            {error && (
+              <div className="form-error">
+                <p>{error.message}</p>
+                {error.details?.map((detail) => (
+                  <small key={detail}>{detail}</small>
+                ))}
+              </div>
+            )}
+            <div className="modal-actions">
+              <button className="reset-btn" onClick={launch} disabled={running}>
+                <Play size={13} /> {running ? "Searching..." : "Run search"}
+              </button>
+            </div>
+
+            {searches.length > 0 && (
+              <div className="registry-list">
+                {searches.map((item) => (
+                  <div
+                    key={item.id}
+                    className={`registry-item clickable ${item.id === search?.id ? "active" : ""}`}
+                    onClick={() => open(item.id)}
+                  >
+                    <div>
+                      <p>
+                        {item.spec.strategy} · {item.candidates} candidates <small>{item.dataset.name}</small>
+                      </p>
+                      <small>
+                        best {item.spec.metric} {item.best.score} · {formatDate(item.finishedAt)}
+                      </small>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+
+          <div className="search-results">
+            {!search && <small className="muted">No search has run in this workspace yet.</small>}
+            {search && (
+              <>
+                <small className="muted">
+                  {search.spec.folds}-fold CV on {search.trainRows.toLocaleString()} training rows of {search.dataset.name} · mean ± std
+                </small>
+                <div className="search-table">
+                  <div className="search-table-row search-table-head">
+                    {columns.map((column) => (
+                      <button
+                        key={column.key}
+                        onClick={() => setSort({ key: column.key, ascending: sort.key === column.key ? !sort.ascending : true })}
+                      >
+                        {column.label}
+                        {sort.key === column.key && (sort.ascending ? <ArrowUp size={11} /> : <ArrowDown size={11} />)}
+                      </button>
+                    ))}
+                  </div>
+                  {rows.map(({ result, index }) => (
+                    <div
+                      key={index}
+                      className={`search-table-row clickable ${index === selected ? "active" : ""} ${index === search.best.index ? "best" : ""}`}
+                      onClick={() => setSelected(index)}
+                    >
+                      {columns.map((column) => (
+                        <span key={column.key} title={column.std ? `± ${column.std(result)}` : undefined}>
+                          {column.value(result)}
+                        </span>
+                      ))}
+                    </div>
+                  ))}
+                </div>
+
+                {chosen && (
+                  <div className="search-curve">
+                    <div className="dataset-head">
+                      <h4>
+                        Candidate {selected + 1}
+                        {selected === search.best.index && " · best"}
+                      </h4>
+                      <button className="reset-btn registry-rollback" onClick={() => train(chosen.params)}>
+                        <Play size={13} /> Train with this config
+                      </button>
+                    </div>
+                    <small className="muted">Loss by epoch on the first fold{chosen.params.earlyStopping ? ", with the held-out tenth used for early stopping" : ""}</small>
+                    <ResponsiveContainer width="100%" height={180}>
+                      <LineChart data={chosen.curve} margin={{ top: 6, right: 8, left: -18, bottom: 0 }}>
+                        <CartesianGrid strokeDasharray="3 3" stroke={palette.grid} />
+                        <XAxis dataKey="epoch" type="number" domain={["dataMin", "dataMax"]} stroke={palette.axis} fontSize={10} />
+                        <YAxis stroke={palette.axis} fontSize={10} domain={["auto", "auto"]} />
+                        <Tooltip
+                          contentStyle={{ background: palette.tooltipBg, border: `1px solid ${palette.tooltipBorder}` }}
+                          labelFormatter={(epoch) => `Epoch ${epoch}`}
+                        />
+                        <Legend wrapperStyle={{ fontSize: 11 }} />
+                        <Line type="monotone" dataKey="loss" name="Training loss" stroke={palette.line} strokeWidth={2} dot={false} isAnimationActive={false} />
+                        {chosen.params.earlyStopping && (
+                          <Line
+                            type="monotone"
+                            dataKey="validationLoss"
+                            name="Validation loss"
+                            stroke={palette.secondary}
+                            strokeWidth={2}
+                            dot={false}
+                            isAnimationActive={false}
+                          />
+                        )}
+                      </LineChart>
+                    </ResponsiveContainer>
+                  </div>
+                )}
+              </>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default SearchModal;
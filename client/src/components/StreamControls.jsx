@@ -0,0 +1,150 @@
+import { useState } from "react";
+import { Check, History, Pause, Play, Radio, SlidersHorizontal, StepForward, X } from "lucide-react";
+import { apiFetch } from "../api";
+
+const speeds = [0.25, 0.5, 1, 2, 4, 10];
+
+// datetime-local inputs work in local time without a zone suffix.
+function localInputValue(time) {
+  const date = new Date(time);
+  date.setMinutes(date.getMinutes() - date.getTimezoneOffset());
+  return date.toISOString().slice(0, 16);
+}
+
+function StreamControls({ stream, onError }) {
+  const [editing, setEditing] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const send = async (command) => {
+    setBusy(true);
+    try {
+      await apiFetch("/api/stream/control", { method: "POST", body: command });
+      return true;
+    } catch (err) {
+      onError(err.details?.[0] || err.message);
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const apply = async () => {
+    const settings = await send({ action: "configure", batchSize: editing.batchSize, windowSize: editing.windowSize });
+    // Seeking replays from the last KPI sample recorded at or before the chosen time.
+    if (settings && editing.replayFrom) {
+      if (await send({ action: "seek", time: new Date(editing.replayFrom).toISOString() })) setEditing(null);
+    } else if (settings) {
+      setEditing(null);
+    }
+  };
+
+  if (!stream) return null;
+
+  if (editing) {
+    return (
+      <form
+        className="user-chip dataset-rename stream-controls"
+        onSubmit={(e) => {
+          e.preventDefault();
+          apply();
+        }}
+      >
+        <label title="Demo rows streamed per tick">
+          Batch
+          <input
+            type="number"
+            min={1}
+            max={500}
+            value={editing.batchSize}
+            onChange={(e) => setEditing({ ...editing, batchSize: e.target.value })}
+            disabled={busy}
+          />
+        </label>
+        <label title="Customers kept in the live window">
+          Window
+          <input
+            type="number"
+            min={50}
+            max={5000}
+            value={editing.windowSize}
+            onChange={(e) => setEditing({ ...editing, windowSize: e.target.value })}
+            disabled={busy}
+          />
+        </label>
+        <label title="Replay the stream from a recorded time">
+          <History size={13} />
+          <input
+            type="datetime-local"
+            value={editing.replayFrom}
+            max={localInputValue(Date.now())}
+            onChange={(e) => setEditing({ ...editing, replayFrom: e.target.value })}
+            disabled={busy}
+          />
+        </label>
+        <button className="icon-btn" type="submit" disabled={busy} aria-label="Apply stream settings">
+          <Check size={13} />
+        </button>
+        <button className="icon-btn" type="button" onClick={() => setEditing(null)} disabled={busy} aria-label="Cancel">
+          <X size={13} />
+        </button>
+      </form>
+    );
+  }
+
+  return (
+    <div className="user-chip stream-controls">
+      <button
+        className="icon-btn"
+        onClick={() => send({ action: stream.paused ? "resume" : "pause" })}
+        disabled={busy}
+        title={stream.paused ? "Resume stream" : "Pause stream"}
+        aria-label={stream.paused ? "Resume stream" : "Pause stream"}
+      >
+        {stream.paused ? <Play size={13} /> : <Pause size={13} />}
+      </button>
+      <button
+        className="icon-btn"
+        onClick={() => send({ action: "step" })}
+        disabled={busy || !stream.paused}
+        title="Advance one tick"
+        aria-label="Advance one tick"
+      >
+        <StepForward size={13} />
+      </button>
+      <select
+        className="inline-select"
+        value={stream.speed}
+        onChange={(e) => send({ action: "configure", speed: Number(e.target.value) })}
+        disabled={busy}
+        aria-label="Stream speed"
+      >
+        {speeds.map((speed) => (
+          <option key={speed} value={speed}>
+            {speed}x
+          </option>
+        ))}
+      </select>
+      <button
+        className="icon-btn"
+        onClick={() =>
+          setEditing({
+            batchSize: stream.batchSize,
+            windowSize: stream.windowSize,
+            replayFrom: stream.replay ? localInputValue(stream.replay.from) : "",
+          })
+        }
+        title="Batch size, window size and replay"
+        aria-label="Stream settings"
+      >
+        <SlidersHorizontal size={13} />
+      </button>
+      {stream.mode === "replay" && (
+        <button className="reset-btn" onClick={() => send({ action: "live" })} disabled={busy} title="Return to the live stream">
+          <Radio size={13} /> Live
+        </button>
+      )}
+    </div>
+  );
+}
+
+export default StreamControls;
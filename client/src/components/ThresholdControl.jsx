@@ -0,0 +1,133 @@
+import { useEffect, useState } from "react";
+import { SlidersHorizontal } from "lucide-react";
+import { CartesianGrid, Line, LineChart, ReferenceLine, ResponsiveContainer, Tooltip, XAxis, YAxis } from "recharts";
+import { apiFetch } from "../api";
+
+const modeLabels = {
+  cost: "Minimize cost",
+  precision: "Target precision",
+  recall: "Target recall",
+  fixed: "Manual",
+};
+
+function toForm(policy) {
+  return {
+    mode: policy?.mode || "fixed",
+    threshold: policy?.threshold ?? 50,
+    interventionCost: policy?.interventionCost ?? 25,
+    churnCost: policy?.churnCost ?? 250,
+    target: policy?.target ?? 0.6,
+  };
+}
+
+function ThresholdControl({ policy, datasetKey, palette, canEdit }) {
+  const [form, setForm] = useState(() => toForm(policy));
+  const [sweep, setSweep] = useState([]);
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    apiFetch("/api/threshold")
+      .then((result) => {
+        setSweep(result.sweep);
+        setForm(toForm(result.policy));
+      })
+      .catch(() => { });
+  }, [datasetKey]);
+
+  const apply = async (next = form) => {
+    setBusy(true);
+    try {
+      const result = await apiFetch("/api/threshold", { method: "POST", body: next });
+      setSweep(result.sweep);
+      setError(null);
+    } catch (err) {
+      setError(err);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const update = (patch) => setForm((prev) => ({ ...prev, ...patch }));
+  const commitSlider = () => apply({ mode: "fixed", threshold: form.threshold });
+
+  return (
+    <div className="threshold-box">
+      <div className="dataset-head">
+        <SlidersHorizontal size={16} />
+        <h4>Decision Threshold</h4>
+        <strong className="threshold-value">{policy?.threshold ?? 50}%</strong>
+      </div>
+
+      {canEdit && (
+        <div className="threshold-form">
+          <select value={form.mode} onChange={(e) => update({ mode: e.target.value })}>
+            {Object.entries(modeLabels).map(([mode, label]) => (
+              <option key={mode} value={mode}>
+                {label}
+              </option>
+            ))}
+          </select>
+
+          {form.mode === "fixed" && (
+            <input
+              type="range"
+              min={0}
+              max={100}
+              value={form.threshold}
+              onChange={(e) => update({ threshold: Number(e.target.value) })}
+              onPointerUp={commitSlider}
+              onKeyUp={commitSlider}
+            />
+          )}
+          {form.mode === "cost" && (
+            <>
+              <label>
+                Intervention cost
+                <input type="number" min={0} value={form.interventionCost} onChange={(e) => update({ interventionCost: e.target.value })} />
+              </label>
+              <label>
+                Lost customer value
+                <input type="number" min={0} value={form.churnCost} onChange={(e) => update({ churnCost: e.target.value })} />
+              </label>
+            </>
+          )}
+          {(form.mode === "precision" || form.mode === "recall") && (
+            <label>
+              Target {form.mode}
+              <input type="number" min={0.05} max={1} step={0.05} value={form.target} onChange={(e) => update({ target: e.target.value })} />
+            </label>
+          )}
+          {form.mode !== "fixed" && (
+            <button className="primary-btn" onClick={() => apply()} disabled={busy}>
+              Optimize
+            </button>
+          )}
+        </div>
+      )}
+
+      {policy?.expectedCost != null && (
+        <small className="muted">
+          Expected holdout cost {policy.expectedCost.toLocaleString()} · {policy.flaggedInHoldout} flagged
+        </small>
+      )}
+      {error && <small className="error-text">{error.details?.[0] || error.message}</small>}
+
+      {sweep.length > 0 && (
+        <ResponsiveContainer width="100%" height={110}>
+          <LineChart data={sweep} margin={{ top: 4, right: 6, left: -26, bottom: 0 }}>
+            <CartesianGrid strokeDasharray="3 3" stroke={palette.grid} />
+            <XAxis dataKey="threshold" stroke={palette.axis} tickCount={5} fontSize={10} />
+            <YAxis domain={[0, 1]} stroke={palette.axis} tickCount={3} fontSize={10} />
+            <Tooltip contentStyle={{ background: palette.tooltipBg, border: `1px solid ${palette.tooltipBorder}` }} />
+            <Line type="monotone" dataKey="precision" stroke={palette.areaStroke} dot={false} isAnimationActive={false} />
+            <Line type="monotone" dataKey="recall" stroke={palette.line} dot={false} isAnimationActive={false} />
+            <ReferenceLine x={policy?.threshold ?? 50} stroke={palette.axis} strokeDasharray="4 4" />
+          </LineChart>
+        </ResponsiveContainer>
+      )}
+    </div>
+  );
+}
+
+export default ThresholdControl;
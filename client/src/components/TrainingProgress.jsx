@@ -0,0 +1,53 @@
+import { Cpu, X } from "lucide-react";
+import { apiFetch } from "../api";
+
+function formatEta(seconds) {
+  if (seconds === null || seconds === undefined) return "estimating…";
+  if (seconds < 60) return `${seconds}s left`;
+  return `${Math.floor(seconds / 60)}m ${seconds % 60}s left`;
+}
+
+// Training and scoring jobs running in server workers, with their live progress from training:progress events.
+function TrainingProgress({ jobs, canCancel, onError }) {
+  if (!jobs.length) return null;
+
+  const cancel = async (id) => {
+    try {
+      await apiFetch(`/api/jobs/${encodeURIComponent(id)}/cancel`, { method: "POST" });
+    } catch (err) {
+      onError(`Could not cancel the job: ${err.message}`);
+    }
+  };
+
+  return (
+    <div className="training-jobs glass">
+      {jobs.map((job) => (
+        <div key={job.id} className="training-job">
+          <Cpu size={15} />
+          <div className="training-job-body">
+            <div className="training-job-head">
+              <strong>{job.label}</strong>
+              <small className="muted">
+                {job.phase}
+                {job.total > 0 && ` · ${job.step}/${job.total}`}
+                {job.loss !== null && ` · loss ${job.loss}`}
+                {job.phase !== "loading" && ` · ${formatEta(job.etaSeconds)}`}
+              </small>
+            </div>
+            <div className="training-bar" role="progressbar" aria-valuenow={Math.round(job.progress * 100)} aria-valuemin={0} aria-valuemax={100}>
+              <span style={{ width: `${job.progress * 100}%` }} />
+            </div>
+          </div>
+          <small>{Math.round(job.progress * 100)}%</small>
+          {canCancel && (
+            <button className="icon-btn" onClick={() => cancel(job.id)} title="Cancel job" aria-label="Cancel job">
+              <X size={13} />
+            </button>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default TrainingProgress;
@@ -0,0 +1,150 @@
+import { useEffect, useState } from "react";
+import { Area, AreaChart, Brush, CartesianGrid, Line, ReferenceArea, ResponsiveContainer, Tooltip, XAxis, YAxis } from "recharts";
+import { apiFetch } from "../api";
+
+const hour = 60 * 60 * 1000;
+const ranges = [
+  { key: "live", label: "Live" },
+  { key: "1h", label: "1h", span: hour },
+  { key: "24h", label: "24h", span: 24 * hour },
+  { key: "7d", label: "7d", span: 7 * 24 * hour },
+];
+
+function formatTick(time, span) {
+  const date = new Date(time);
+  return span > 24 * hour
+    ? date.toLocaleString([], { month: "short", day: "numeric", hour: "2-digit" })
+    : date.toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" });
+}
+
+// "Live" plots the in-memory stream trend; the presets read stored KPI history. Dragging across the chart zooms into
+// that range, which is fetched again at a finer resolution; the brush pans and narrows within what is loaded.
+function TrendChart({ liveTrend, palette }) {
+  const [rangeKey, setRangeKey] = useState("live");
+  const [zoom, setZoom] = useState(null);
+  const [selection, setSelection] = useState(null);
+  const [history, setHistory] = useState(null);
+  const [error, setError] = useState(null);
+  const range = ranges.find((item) => item.key === rangeKey);
+
+  useEffect(() => {
+    if (!range.span) return undefined;
+    const load = () => {
+      const to = zoom?.to ?? Date.now();
+      const from = zoom?.from ?? to - range.span;
+      const query = new URLSearchParams({ from: new Date(from).toISOString(), to: new Date(to).toISOString() });
+      apiFetch(`/api/history?${query}`)
+        .then((result) => {
+          setHistory(result);
+          setError(null);
+        })
+        .catch((err) => setError(err.message));
+    };
+    load();
+    // A zoomed view is a fixed window; the presets keep following the present.
+    if (zoom) return undefined;
+    const timer = setInterval(load, 30000);
+    return () => clearInterval(timer);
+  }, [range, zoom]);
+
+  const selectRange = (key) => {
+    setRangeKey(key);
+    setZoom(null);
+    setHistory(null);
+  };
+
+  const live = !range.span;
+  const span = zoom ? zoom.to - zoom.from : range.span;
+  const points = live
+    ? liveTrend
+    : (history?.points || []).map((point) => ({
+      time: Date.parse(point.time),
+      risk: point.avgChurnRisk,
+      churners: point.predictedChurners,
+    }));
+
+  const finishSelection = () => {
+    if (selection && selection.start !== selection.end) {
+      setZoom({ from: Math.min(selection.start, selection.end), to: Math.max(selection.start, selection.end) });
+    }
+    setSelection(null);
+  };
+
+  return (
+    <>
+      <div className="trend-head">
+        <h3>Churn Dynamics</h3>
+        <div className="range-presets">
+          {zoom && (
+            <button className="reset-btn" onClick={() => setZoom(null)}>
+              Reset zoom
+            </button>
+          )}
+          {ranges.map((item) => (
+            <button
+              key={item.key}
+              className={`reset-btn ${rangeKey === item.key ? "active" : ""}`}
+              onClick={() => selectRange(item.key)}
+            >
+              {item.label}
+            </button>
+          ))}
+        </div>
+      </div>
+      {error && <small className="error-text">{error}</small>}
+      {!live && history && points.length === 0 && <p className="muted">No KPI history recorded in this range yet.</p>}
+      <ResponsiveContainer width="100%" height={live ? 220 : 196}>
+        <AreaChart
+          data={points}
+          onMouseDown={(e) => !live && e?.activeLabel !== undefined && setSelection({ start: e.activeLabel, end: e.activeLabel })}
+          onMouseMove={(e) => selection && e?.activeLabel !== undefined && setSelection({ ...selection, end: e.activeLabel })}
+          onMouseUp={finishSelection}
+          onMouseLeave={() => setSelection(null)}
+        >
+          <defs>
+            <linearGradient id="riskFill" x1="0" y1="0" x2="0" y2="1">
+              <stop offset="0%" stopColor={palette.areaFillStart} stopOpacity={0.7} />
+              <stop offset="100%" stopColor={palette.areaFillEnd} stopOpacity={0.05} />
+            </linearGradient>
+          </defs>
+          <CartesianGrid strokeDasharray="3 3" stroke={palette.grid} />
+          {live ? (
+            <XAxis dataKey="time" stroke={palette.axis} />
+          ) : (
+            <XAxis
+              dataKey="time"
+              type="number"
+              scale="time"
+              domain={["dataMin", "dataMax"]}
+              tickFormatter={(time) => formatTick(time, span)}
+              stroke={palette.axis}
+            />
+          )}
+          <YAxis stroke={palette.axis} />
+          <Tooltip
+            contentStyle={{ background: palette.tooltipBg, border: `1px solid ${palette.tooltipBorder}` }}
+            labelFormatter={(time) => (live ? time : new Date(time).toLocaleString())}
+          />
+          <Area type="monotone" dataKey="risk" stroke={palette.areaStroke} fill="url(#riskFill)" strokeWidth={2.4} />
+          <Line type="monotone" dataKey="churners" stroke={palette.line} strokeWidth={2.4} dot={false} />
+          {selection && (
+            <ReferenceArea x1={selection.start} x2={selection.end} fill={palette.secondary} fillOpacity={0.25} />
+          )}
+          {!live && points.length > 1 && (
+            <Brush
+              key={history?.from}
+              dataKey="time"
+              height={18}
+              stroke={palette.areaStroke}
+              fill="transparent"
+              travellerWidth={8}
+              tickFormatter={(time) => formatTick(time, span)}
+            />
+          )}
+        </AreaChart>
+      </ResponsiveContainer>
+    </>
+  );
+}
+
+export default TrendChart;
@@ -0,0 +1,253 @@
+import { useCallback, useEffect, useState } from "react";
+import { Send, Trash2, X } from "lucide-react";
+import { apiFetch } from "../api";
+
+const eventOptions = [
+  { value: "alert.opened", label: "Alert opened" },
+  { value: "alert.resolved", label: "Alert resolved" },
+  { value: "customer.high_risk", label: "Customer crossed risk threshold" },
+];
+
+const blankForm = { name: "", url: "", events: ["alert.opened"], riskThreshold: "", template: "", secret: "", enabled: true };
+
+function formFor(hook) {
+  return {
+    name: hook.name,
+    url: hook.url,
+    events: hook.events,
+    riskThreshold: hook.riskThreshold ?? "",
+    template: hook.template ? JSON.stringify(hook.template, null, 2) : "",
+    secret: "",
+    enabled: hook.enabled,
+  };
+}
+
+function formatTime(value) {
+  return value ? new Date(value).toLocaleTimeString("en-US", { hour12: false }) : "—";
+}
+
+function WebhooksModal({ onClose }) {
+  const [hooks, setHooks] = useState([]);
+  const [selectedId, setSelectedId] = useState(null);
+  const [form, setForm] = useState(blankForm);
+  const [deliveries, setDeliveries] = useState([]);
+  const [createdSecret, setCreatedSecret] = useState(null);
+  const [error, setError] = useState(null);
+
+  const loadHooks = useCallback(() => apiFetch("/api/webhooks").then(setHooks).catch(setError), []);
+
+  useEffect(() => {
+    loadHooks();
+  }, [loadHooks]);
+
+  useEffect(() => {
+    if (!selectedId) return undefined;
+    const load = () =>
+      apiFetch(`/api/webhooks/${selectedId}/deliveries?limit=20`)
+        .then(setDeliveries)
+        .catch(setError);
+    load();
+    const timer = setInterval(load, 3000);
+    return () => clearInterval(timer);
+  }, [selectedId]);
+
+  const select = (hook) => {
+    setSelectedId(hook?.id || null);
+    setForm(hook ? formFor(hook) : blankForm);
+    setDeliveries([]);
+    setCreatedSecret(null);
+    setError(null);
+  };
+
+  const toggleEvent = (event) =>
+    setForm((prev) => ({
+      ...prev,
+      events: prev.events.includes(event) ? prev.events.filter((item) => item !== event) : [...prev.events, event],
+    }));
+
+  const save = async () => {
+    const { secret, ...rest } = form;
+    const body = { ...rest, riskThreshold: form.riskThreshold === "" ? null : Number(form.riskThreshold) };
+    if (secret) body.secret = secret;
+    try {
+      const saved = await apiFetch(selectedId ? `/api/webhooks/${selectedId}` : "/api/webhooks", {
+        method: selectedId ? "PUT" : "POST",
+        body,
+      });
+      if (!selectedId) setCreatedSecret(saved.secret);
+      setSelectedId(saved.id);
+      setError(null);
+      loadHooks();
+    } catch (err) {
+      setError(err);
+    }
+  };
+
+  const remove = async () => {
+    try {
+      await apiFetch(`/api/webhooks/${selectedId}`, { method: "DELETE" });
+      select(null);
+      loadHooks();
+    } catch (err) {
+      setError(err);
+    }
+  };
+
+  const sendTest = async () => {
+    try {
+      const delivery = await apiFetch(`/api/webhooks/${selectedId}/test`, { method: "POST" });
+      setDeliveries((prev) => [delivery, ...prev]);
+    } catch (err) {
+      setError(err);
+    }
+  };
+
+  return (
+    <div className="modal-backdrop" onClick={onClose}>
+      <div className="modal glass webhooks-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-head">
+          <div>
+            <h3>Webhooks</h3>
+            <small>POSTs JSON to your endpoint, signed with HMAC-SHA256 in the X-Churn-Signature header.</small>
+          </div>
+          <button className="icon-btn" onClick={onClose} aria-label="Close webhooks">
+            <X size={16} />
+          </button>
+        </div>
+
+        <div className="webhooks-layout">
+          <div className="registry-list">
+            {hooks.map((hook) => (
+              <div
+                key={hook.id}
+                className={`registry-item clickable ${hook.id === selectedId ? "active" : ""}`}
+                onClick={() => select(hook)}
+              >
+                <div>
+                  <p>
+                    {hook.name} {!hook.enabled && <small>(disabled)</small>}
+                  </p>
+                  <small>{hook.events.join(", ")}</small>
+                </div>
+              </div>
+            ))}
+            <button className="reset-btn" onClick={() => select(null)}>
+              New webhook
+            </button>
+          </div>
+
+          <div className="webhook-form">
+            <label>
+              Name
+              <input value={form.name} onChange={(e) => setForm((prev) => ({ ...prev, name: e.target.value }))} />
+            </label>
+            <label>
+              URL
+              <input
+                value={form.url}
+                placeholder="https://example.com/hooks/churn"
+                onChange={(e) => setForm((prev) => ({ ...prev, url: e.target.value }))}
+              />
+            </label>
+            <div className="webhook-events">
+              {eventOptions.map((option) => (
+                <label key={option.value}>
+                  <input type="checkbox" checked={form.events.includes(option.value)} onChange={() => toggleEvent(option.value)} />
+                  {option.label}
+                </label>
+              ))}
+            </div>
+            <label>
+              Customer risk threshold (blank follows the decision threshold)
+              <input
+                type="number"
+                min={0}
+                max={100}
+                value={form.riskThreshold}
+                onChange={(e) => setForm((prev) => ({ ...prev, riskThreshold: e.target.value }))}
+              />
+            </label>
+            <label>
+              Payload template (JSON, optional)
+              <textarea
+                rows={5}
+                value={form.template}
+                placeholder={'{ "text": "{{event}}: {{alert.title}} {{customer.id}}" }'}
+                onChange={(e) => setForm((prev) => ({ ...prev, template: e.target.value }))}
+              />
+            </label>
+            <label>
+              {selectedId ? "Replace signing secret" : "Signing secret (generated if blank)"}
+              <input
+                type="password"
+                value={form.secret}
+                onChange={(e) => setForm((prev) => ({ ...prev, secret: e.target.value }))}
+              />
+            </label>
+            <label className="webhook-enabled">
+              <input
+                type="checkbox"
+                checked={form.enabled}
+                onChange={(e) => setForm((prev) => ({ ...prev, enabled: e.target.checked }))}
+              />
+              Enabled
+            </label>
+            {createdSecret && (
+              <small className="muted">
+                Signing secret (shown once): <code>{createdSecret}</code>
+              </small>
+            )}
+            {error && (
+              <div className="form-error">
+                <p>{error.message}</p>
+                {error.details?.map((detail) => (
+                  <small key={detail}>{detail}</small>
+                ))}
+              </div>
+            )}
+            <div className="modal-actions">
+              {selectedId && (
+                <>
+                  <button className="icon-btn" onClick={remove} aria-label="Delete webhook">
+                    <Trash2 size={14} />
+                  </button>
+                  <button className="reset-btn" onClick={sendTest}>
+                    <Send size={13} /> Send test
+                  </button>
+                </>
+              )}
+              <button className="primary-btn" onClick={save}>
+                {selectedId ? "Save" : "Create"}
+              </button>
+            </div>
+          </div>
+        </div>
+
+        {selectedId && (
+          <section>
+            <h4>Delivery log</h4>
+            {deliveries.length === 0 && <p className="muted">No deliveries yet.</p>}
+            <div className="delivery-list">
+              {deliveries.map((delivery) => {
+                const last = delivery.attempts[delivery.attempts.length - 1];
+                return (
+                  <div key={delivery.id} className={`delivery-item ${delivery.status}`}>
+                    <span>{formatTime(delivery.createdAt)}</span>
+                    <span>{delivery.event}</span>
+                    <strong>{delivery.status}</strong>
+                    <small>
+                      {delivery.attempts.length} attempt{delivery.attempts.length === 1 ? "" : "s"}
+                      {last ? ` · ${last.error || `HTTP ${last.statusCode}`} · ${last.durationMs}ms` : ""}
+                    </small>
+                  </div>
+                );
+              })}
+            </div>
+          </section>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default WebhooksModal;
@@ -0,0 +1,178 @@
+import { useEffect, useState } from "react";
+import { Lightbulb, RotateCcw } from "lucide-react";
+import { apiFetch } from "../api";
+
+function formatValue(feature, value) {
+  if (feature.type === "boolYes") return value ? "Yes" : "No";
+  return feature.integer ? value : Number(value).toFixed(1);
+}
+
+function FeatureControl({ feature, onChange }) {
+  if (feature.type === "boolYes") {
+    return (
+      <select value={feature.value ? "yes" : "no"} onChange={(e) => onChange(e.target.value)}>
+        <option value="yes">Yes</option>
+        <option value="no">No</option>
+      </select>
+    );
+  }
+  const lo = Math.min(feature.min, feature.value);
+  const hi = Math.max(feature.max, feature.value);
+  return (
+    <input
+      type="range"
+      min={lo}
+      max={hi}
+      step={feature.integer ? 1 : (hi - lo) / 200 || 1}
+      value={feature.value}
+      onChange={(e) => onChange(Number(e.target.value))}
+    />
+  );
+}
+
+function WhatIfPanel({ customers, customerId, onCustomerChange }) {
+  const [changes, setChanges] = useState({});
+  const [result, setResult] = useState(null);
+  const [suggestion, setSuggestion] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!customerId) return undefined;
+    const timer = setTimeout(() => {
+      apiFetch("/api/whatif", { method: "POST", body: { id: customerId, changes } })
+        .then((payload) => {
+          setResult(payload);
+          setError(null);
+        })
+        .catch((err) => setError(err.message));
+    }, 250);
+    return () => clearTimeout(timer);
+  }, [customerId, changes]);
+
+  const selectCustomer = (id) => {
+    setChanges({});
+    setSuggestion(null);
+    setResult(null);
+    onCustomerChange(id);
+  };
+
+  const suggest = async () => {
+    try {
+      setSuggestion(await apiFetch("/api/whatif/counterfactual", { method: "POST", body: { id: customerId, changes } }));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const applySuggestion = () => {
+    setChanges((prev) => ({ ...prev, ...Object.fromEntries(suggestion.changes.map((change) => [change.column, change.to])) }));
+    setSuggestion(null);
+  };
+
+  const options = customers.some((customer) => customer.id === customerId) || !customerId
+    ? customers
+    : [{ id: customerId }, ...customers];
+  const delta = result ? Number((result.scenario.churnRisk - result.baseline.churnRisk).toFixed(2)) : 0;
+
+  return (
+    <article className="glass panel whatif-card">
+      <div className="whatif-head">
+        <h3>What-If Simulator</h3>
+        <select className="inline-select" value={customerId || ""} onChange={(e) => selectCustomer(e.target.value)}>
+          <option value="" disabled>
+            Pick a customer
+          </option>
+          {options.map((customer) => (
+            <option key={customer.id} value={customer.id}>
+              {customer.id} {customer.risk !== undefined ? `· ${customer.risk}%` : ""}
+            </option>
+          ))}
+        </select>
+        <button className="reset-btn" onClick={() => setChanges({})} disabled={!Object.keys(changes).length} title="Reset changes">
+          <RotateCcw size={13} />
+        </button>
+        <button className="primary-btn" onClick={suggest} disabled={!result}>
+          <Lightbulb size={13} /> Suggest action
+        </button>
+      </div>
+
+      {!customerId && <p className="muted">Pick a top-risk customer to explore how changes would move their risk.</p>}
+      {error && <small className="error-text">{error}</small>}
+
+      {result && (
+        <div className="whatif-body">
+          <div className="whatif-controls">
+            {result.features.map((feature) => (
+              <label key={feature.column} className={feature.value !== feature.baseline ? "changed" : ""}>
+                <span>
+                  {feature.name}
+                  <strong>{formatValue(feature, feature.value)}</strong>
+                </span>
+                <FeatureControl
+                  feature={feature}
+                  onChange={(value) => setChanges((prev) => ({ ...prev, [feature.column]: value }))}
+                />
+              </label>
+            ))}
+          </div>
+
+          <div className="whatif-result">
+            <div className="whatif-score">
+              <div>
+                <small>Current</small>
+                <p>{result.baseline.churnRisk}%</p>
+              </div>
+              <div>
+                <small>Scenario</small>
+                <p className={result.scenario.churnRisk >= result.threshold ? "risk-flagged" : "risk-clear"}>
+                  {result.scenario.churnRisk}%
+                </p>
+              </div>
+              <div>
+                <small>Change</small>
+                <p>
+                  {delta > 0 ? "+" : ""}
+                  {delta}
+                </p>
+              </div>
+            </div>
+            <small className="muted">
+              {result.scenario.band} band · threshold {result.threshold}%
+            </small>
+            <div className="whatif-drivers">
+              {result.scenario.riskDrivers.map((driver) => (
+                <small key={driver.feature}>
+                  {driver.direction === "up" ? "▲" : "▼"} {driver.feature} ({driver.impact})
+                </small>
+              ))}
+            </div>
+
+            {suggestion && (
+              <div className="whatif-suggestion">
+                {!suggestion.needed && <p>Already below the decision threshold.</p>}
+                {suggestion.needed && suggestion.changes.length === 0 && <p>No realistic change found.</p>}
+                {suggestion.changes.length > 0 && (
+                  <>
+                    <p>
+                      {suggestion.reachable ? "Suggested action" : "Best partial action"} → {suggestion.churnRisk}%
+                    </p>
+                    {suggestion.changes.map((change) => (
+                      <small key={change.column}>
+                        {change.feature}: {change.from} → {change.to}
+                      </small>
+                    ))}
+                    <button className="reset-btn" onClick={applySuggestion}>
+                      Apply to scenario
+                    </button>
+                  </>
+                )}
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+    </article>
+  );
+}
+
+export default WhatIfPanel;
@@ -0,0 +1,121 @@
+import { useEffect, useState } from "react";
+import { Check, Layers, Pencil, Plus, Trash2, X } from "lucide-react";
+import { apiFetch, defaultWorkspace } from "../api";
+
+function WorkspaceSwitcher({ workspaceId, canManage, onSwitch, onError }) {
+  const [workspaces, setWorkspaces] = useState([]);
+  const [editing, setEditing] = useState(null);
+  const [confirmDelete, setConfirmDelete] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [revision, setRevision] = useState(0);
+  const reload = () => setRevision((value) => value + 1);
+
+  useEffect(() => {
+    apiFetch("/api/workspaces")
+      .then((result) => {
+        setWorkspaces(result.workspaces);
+        // The remembered workspace may have been deleted since the last visit.
+        if (!result.workspaces.some((workspace) => workspace.id === workspaceId)) onSwitch(result.default);
+      })
+      .catch((err) => onError(err.message));
+  }, [workspaceId, revision, onSwitch, onError]);
+
+  const save = async () => {
+    setBusy(true);
+    try {
+      if (editing.id) {
+        await apiFetch(`/api/workspaces/${encodeURIComponent(editing.id)}`, { method: "PUT", body: { name: editing.name } });
+        reload();
+      } else {
+        // Creating trains a first model on the bundled dataset, so this can take a few seconds.
+        const workspace = await apiFetch("/api/workspaces", { method: "POST", body: { name: editing.name } });
+        onSwitch(workspace.id);
+      }
+      setEditing(null);
+    } catch (err) {
+      onError(err.details?.[0] || err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const remove = async () => {
+    try {
+      await apiFetch(`/api/workspaces/${encodeURIComponent(workspaceId)}`, { method: "DELETE" });
+      setConfirmDelete(false);
+      onSwitch(defaultWorkspace);
+    } catch (err) {
+      onError(err.message);
+    }
+  };
+
+  const current = workspaces.find((workspace) => workspace.id === workspaceId);
+
+  if (editing) {
+    return (
+      <form
+        className="user-chip dataset-rename workspace-switcher"
+        onSubmit={(e) => {
+          e.preventDefault();
+          save();
+        }}
+      >
+        <Layers size={14} />
+        <input
+          value={editing.name}
+          placeholder="Workspace name"
+          onChange={(e) => setEditing({ ...editing, name: e.target.value })}
+          disabled={busy}
+          autoFocus
+        />
+        <button className="icon-btn" type="submit" disabled={busy} aria-label={editing.id ? "Save name" : "Create workspace"}>
+          <Check size={13} />
+        </button>
+        <button className="icon-btn" type="button" onClick={() => setEditing(null)} disabled={busy} aria-label="Cancel">
+          <X size={13} />
+        </button>
+      </form>
+    );
+  }
+
+  return (
+    <div className="user-chip workspace-switcher" title={current ? `${current.dataset || "No dataset"} · model v${current.modelVersion ?? "-"}` : ""}>
+      <Layers size={14} />
+      <select className="inline-select" value={workspaceId} onChange={(e) => onSwitch(e.target.value)} aria-label="Workspace">
+        {workspaces.map((workspace) => (
+          <option key={workspace.id} value={workspace.id} disabled={!workspace.ready}>
+            {workspace.name}
+          </option>
+        ))}
+      </select>
+      {canManage && (
+        <>
+          <button className="icon-btn" onClick={() => setEditing({ name: "" })} title="New workspace" aria-label="New workspace">
+            <Plus size={13} />
+          </button>
+          <button
+            className="icon-btn"
+            onClick={() => setEditing({ id: workspaceId, name: current?.name || "" })}
+            title="Rename workspace"
+            aria-label="Rename workspace"
+          >
+            <Pencil size={13} />
+          </button>
+          {workspaceId !== defaultWorkspace && (
+            <button
+              className={confirmDelete ? "reset-btn risk-flagged" : "icon-btn"}
+              onClick={() => (confirmDelete ? remove() : setConfirmDelete(true))}
+              onBlur={() => setConfirmDelete(false)}
+              title="Delete workspace with its datasets, models, alerts and webhooks"
+              aria-label="Delete workspace"
+            >
+              {confirmDelete ? "Delete?" : <Trash2 size={13} />}
+            </button>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+export default WorkspaceSwitcher;
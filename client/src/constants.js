@@ -0,0 +1,16 @@
+export const algorithmOptions = [
+  { value: "logistic", label: "Logistic regression" },
+  { value: "gbt", label: "Gradient-boosted trees" },
+];
+
+export const roleOptions = [
+  { value: "viewer", label: "Viewer" },
+  { value: "analyst", label: "Analyst" },
+  { value: "admin", label: "Admin" },
+];
+
+// Mirrors the server's ordering: viewer < analyst < admin.
+export function hasRole(user, role) {
+  const rank = (value) => roleOptions.findIndex((option) => option.value === value);
+  return Boolean(user) && rank(user.role) >= rank(role) && rank(user.role) >= 0;
+}
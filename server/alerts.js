@@ -0,0 +1,297 @@
+const fs = require("fs");
+const path = require("path");
+
+const scopeTypes = ["global", "platform", "state", "tier", "feature"];
+const rowScopes = ["global", "platform", "state", "tier"];
+const operators = {
+  ">": (a, b) => a > b,
+  ">=": (a, b) => a >= b,
+  "<": (a, b) => a < b,
+  "<=": (a, b) => a <= b,
+};
+const severities = ["info", "warning", "critical"];
+
+const average = (rows, pick) => (rows.length ? rows.reduce((acc, row) => acc + pick(row), 0) / rows.length : 0);
+
+const metrics = {
+  avgRisk: { label: "Average risk", unit: "%", compute: (rows) => average(rows, (row) => row.churnRisk) },
+  flaggedUsers: { label: "Customers above threshold", unit: "", compute: (rows, ctx) => rows.filter((row) => row.churnRisk >= ctx.threshold).length },
+  flaggedShare: {
+    label: "Share above threshold",
+    unit: "%",
+    compute: (rows, ctx) => (rows.length ? (rows.filter((row) => row.churnRisk >= ctx.threshold).length / rows.length) * 100 : 0),
+  },
+  highRiskUsers: { label: "High-band customers", unit: "", compute: (rows) => rows.filter((row) => row.churnRisk >= 67).length },
+  activeUsers: { label: "Active customers", unit: "", compute: (rows) => rows.length },
+  serviceLoad: { label: "Average service calls", unit: "", compute: (rows) => average(rows, (row) => row.serviceCalls) },
+  // Drift metrics read the window's drift report rather than the rows; a feature scope groups by feature instead.
+  featureDrift: { label: "Feature drift (PSI)", unit: "", scopes: ["feature"], compute: (feature) => feature.psi },
+  predictionDrift: { label: "Prediction drift (PSI)", unit: "", scopes: ["global"], compute: (rows, ctx) => ctx.drift?.prediction.psi ?? 0 },
+};
+
+const defaultRules = [
+  {
+    id: "platform-risk",
+    name: "Platform risk escalation",
+    metric: "avgRisk",
+    scope: { type: "platform", value: "*" },
+    operator: ">",
+    threshold: 62,
+    duration: 0,
+    severity: "critical",
+    enabled: true,
+  },
+  {
+    id: "flagged-cohort",
+    name: "High-risk cohort concentration",
+    metric: "flaggedUsers",
+    scope: { type: "global", value: "*" },
+    operator: ">",
+    threshold: 40,
+    duration: 0,
+    severity: "warning",
+    enabled: true,
+  },
+  {
+    id: "feature-drift",
+    name: "Feature drift from training data",
+    metric: "featureDrift",
+    scope: { type: "feature", value: "*" },
+    operator: ">=",
+    threshold: 0.25,
+    duration: 60,
+    severity: "warning",
+    enabled: true,
+  },
+  {
+    id: "prediction-drift",
+    name: "Predicted risk drift",
+    metric: "predictionDrift",
+    scope: { type: "global", value: "*" },
+    operator: ">=",
+    threshold: 0.25,
+    duration: 60,
+    severity: "warning",
+    enabled: true,
+  },
+];
+
+function validateRule(rule) {
+  const errors = [];
+  if (!rule || typeof rule !== "object") return ["Rule must be an object"];
+  if (!String(rule.name || "").trim()) errors.push("name is required");
+  if (!metrics[rule.metric]) errors.push(`metric must be one of ${Object.keys(metrics).join(", ")}`);
+  if (!scopeTypes.includes(rule.scope?.type)) errors.push(`scope.type must be one of ${scopeTypes.join(", ")}`);
+  else if (metrics[rule.metric] && !(metrics[rule.metric].scopes || rowScopes).includes(rule.scope.type)) {
+    errors.push(`${rule.metric} rules need scope.type ${(metrics[rule.metric].scopes || rowScopes).join(", ")}`);
+  }
+  if (!operators[rule.operator]) errors.push(`operator must be one of ${Object.keys(operators).join(" ")}`);
+  if (!Number.isFinite(rule.threshold)) errors.push("threshold must be a number");
+  if (!Number.isFinite(rule.duration) || rule.duration < 0) errors.push("duration must be a non-negative number of seconds");
+  if (!severities.includes(rule.severity)) errors.push(`severity must be one of ${severities.join(", ")}`);
+  return errors;
+}
+
+function normalizeRule(input, id) {
+  return {
+    id,
+    name: String(input.name || "").trim(),
+    metric: input.metric,
+    scope: { type: input.scope?.type, value: String(input.scope?.value ?? "*").trim() || "*" },
+    operator: input.operator,
+    threshold: Number(input.threshold),
+    duration: Number(input.duration ?? 0),
+    severity: input.severity,
+    enabled: input.enabled !== false,
+  };
+}
+
+function groupRows(rows, scope, drift) {
+  if (scope.type === "global") return [["all", rows]];
+  if (scope.type === "feature") {
+    return (drift?.features || [])
+      .filter((feature) => scope.value === "*" || feature.key === scope.value || feature.name === scope.value)
+      .map((feature) => [feature.name, feature]);
+  }
+  const groups = new Map();
+  rows.forEach((row) => {
+    const value = row[scope.type];
+    if (value === null || (scope.value !== "*" && value !== scope.value)) return;
+    if (!groups.has(value)) groups.set(value, []);
+    groups.get(value).push(row);
+  });
+  return [...groups];
+}
+
+// Alerts are keyed by rule and scope value, so a condition that stays true keeps one alert open instead of re-firing.
+function createAlertEngine(rootDir, { maxHistory = 2000 } = {}) {
+  const rulesPath = path.join(rootDir, "rules.json");
+  const alertsPath = path.join(rootDir, "alerts.json");
+  fs.mkdirSync(rootDir, { recursive: true });
+
+  let rules = fs.existsSync(rulesPath) ? JSON.parse(fs.readFileSync(rulesPath, "utf8")) : defaultRules;
+  let alerts = fs.existsSync(alertsPath) ? JSON.parse(fs.readFileSync(alertsPath, "utf8")) : [];
+  const pendingSince = new Map();
+  let sequence = 0;
+
+  function saveRules() {
+    fs.writeFileSync(rulesPath, JSON.stringify(rules, null, 2));
+  }
+
+  function saveAlerts() {
+    if (alerts.length > maxHistory) {
+      const overflow = alerts.length - maxHistory;
+      let dropped = 0;
+      alerts = alerts.filter((alert) => alert.status !== "resolved" || (dropped += 1) > overflow);
+    }
+    fs.writeFileSync(alertsPath, JSON.stringify(alerts));
+  }
+
+  const isActive = (alert) => alert.status === "open" || alert.status === "acknowledged";
+  const activeByKey = () => new Map(alerts.filter(isActive).map((alert) => [alert.key, alert]));
+
+  function describe(rule, scopeValue, value) {
+    const metric = metrics[rule.metric];
+    const where = rule.scope.type === "global" ? "active stream window" : `${rule.scope.type} ${scopeValue}`;
+    return {
+      title: rule.scope.type === "global" ? rule.name : `${rule.name} · ${scopeValue}`,
+      message: `${metric.label} at ${value}${metric.unit} (${rule.operator} ${rule.threshold}${metric.unit}) in ${where}.`,
+    };
+  }
+
+  function resolve(alert, now) {
+    alert.status = "resolved";
+    alert.resolvedAt = now.toISOString();
+    return { type: "resolved", alert: { ...alert } };
+  }
+
+  function evaluate(rows, { threshold, drift = null, now = new Date() }) {
+    const transitions = [];
+    const active = activeByKey();
+    const seen = new Set();
+
+    rules
+      .filter((rule) => rule.enabled)
+      .forEach((rule) => {
+        groupRows(rows, rule.scope, drift).forEach(([scopeValue, group]) => {
+          const key = `${rule.id}:${scopeValue}`;
+          const value = Number(metrics[rule.metric].compute(group, { threshold, drift }).toFixed(2));
+          const breached = operators[rule.operator](value, rule.threshold);
+          const alert = active.get(key);
+          if (!breached) return;
+          seen.add(key);
+
+          if (alert) {
+            alert.lastValue = value;
+            alert.lastSeenAt = now.toISOString();
+            return;
+          }
+          if (!pendingSince.has(key)) pendingSince.set(key, now.getTime());
+          if (now.getTime() - pendingSince.get(key) < rule.duration * 1000) return;
+
+          sequence += 1;
+          const opened = {
+            id: `alt-${now.getTime().toString(36)}-${sequence}`,
+            key,
+            ruleId: rule.id,
+            severity: rule.severity,
+            status: "open",
+            metric: rule.metric,
+            scope: { type: rule.scope.type, value: scopeValue },
+            operator: rule.operator,
+            threshold: rule.threshold,
+            value,
+            lastValue: value,
+            ...describe(rule, scopeValue, value),
+            openedAt: now.toISOString(),
+            lastSeenAt: now.toISOString(),
+            acknowledgedAt: null,
+            resolvedAt: null,
+          };
+          alerts.push(opened);
+          transitions.push({ type: "opened", alert: { ...opened } });
+        });
+      });
+
+    [...pendingSince.keys()].forEach((key) => {
+      if (!seen.has(key)) pendingSince.delete(key);
+    });
+    active.forEach((alert, key) => {
+      if (!seen.has(key)) transitions.push(resolve(alert, now));
+    });
+    if (transitions.length) saveAlerts();
+    return transitions;
+  }
+
+  function activeAlerts() {
+    const rank = (alert) => severities.length - severities.indexOf(alert.severity);
+    return alerts
+      .filter(isActive)
+      .sort((a, b) => rank(a) - rank(b) || (a.status === b.status ? b.openedAt.localeCompare(a.openedAt) : a.status === "open" ? -1 : 1));
+  }
+
+  function acknowledge(id, by = null) {
+    const alert = alerts.find((item) => item.id === id);
+    if (!alert) return null;
+    if (alert.status === "open") {
+      alert.status = "acknowledged";
+      alert.acknowledgedAt = new Date().toISOString();
+      alert.acknowledgedBy = by;
+      saveAlerts();
+    }
+    return alert;
+  }
+
+  function query({ status, severity, ruleId, from, to, limit = 100 } = {}) {
+    const fromTime = from ? new Date(from).getTime() : -Infinity;
+    const toTime = to ? new Date(to).getTime() : Infinity;
+    return alerts
+      .filter((alert) => !status || alert.status === status)
+      .filter((alert) => !severity || alert.severity === severity)
+      .filter((alert) => !ruleId || alert.ruleId === ruleId)
+      .filter((alert) => {
+        const opened = new Date(alert.openedAt).getTime();
+        return opened >= fromTime && opened <= toTime;
+      })
+      .sort((a, b) => b.openedAt.localeCompare(a.openedAt))
+      .slice(0, Math.max(1, Math.min(1000, Number(limit) || 100)));
+  }
+
+  function listRules() {
+    return rules;
+  }
+
+  function createRule(input) {
+    const base = String(input?.name || "rule").toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "") || "rule";
+    let id = base;
+    for (let n = 2; rules.some((rule) => rule.id === id); n += 1) id = `${base}-${n}`;
+    const rule = normalizeRule(input || {}, id);
+    const errors = validateRule(rule);
+    if (errors.length) return { errors };
+    rules = [...rules, rule];
+    saveRules();
+    return { rule };
+  }
+
+  function updateRule(id, input) {
+    const current = rules.find((rule) => rule.id === id);
+    if (!current) return null;
+    const rule = normalizeRule({ ...current, ...input, scope: { ...current.scope, ...(input?.scope || {}) } }, id);
+    const errors = validateRule(rule);
+    if (errors.length) return { errors };
+    rules = rules.map((item) => (item.id === id ? rule : item));
+    saveRules();
+    return { rule };
+  }
+
+  function removeRule(id) {
+    if (!rules.some((rule) => rule.id === id)) return false;
+    rules = rules.filter((rule) => rule.id !== id);
+    saveRules();
+    return true;
+  }
+
+  return { evaluate, activeAlerts, acknowledge, query, listRules, createRule, updateRule, removeRule };
+}
+
+module.exports = { createAlertEngine, metrics, scopeTypes, severities };
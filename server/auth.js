@@ -0,0 +1,237 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+const roles = ["viewer", "analyst", "admin"];
+const apiKeyPrefix = "chk_";
+
+const hasRole = (role, required) => roles.includes(role) && roles.indexOf(role) >= roles.indexOf(required);
+const base64url = (value) => Buffer.from(value).toString("base64url");
+const sha256 = (value) => crypto.createHash("sha256").update(value).digest("hex");
+// Same cost as a real hash, so response time does not reveal which usernames exist.
+const unknownUserHash = `scrypt$${"0".repeat(32)}$${"0".repeat(128)}`;
+
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, 64, (err, key) => (err ? reject(err) : resolve(`scrypt$${salt.toString("hex")}$${key.toString("hex")}`)));
+  });
+}
+
+function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored).split("$");
+  if (scheme !== "scrypt" || !salt || !hash) return Promise.resolve(false);
+  const expected = Buffer.from(hash, "hex");
+  return new Promise((resolve) => {
+    crypto.scrypt(password, Buffer.from(salt, "hex"), expected.length, (err, key) =>
+      resolve(!err && crypto.timingSafeEqual(key, expected)),
+    );
+  });
+}
+
+function validateUser(user, { passwordRequired }) {
+  const errors = [];
+  if (!/^[a-z0-9._-]{3,40}$/i.test(user.username || "")) {
+    errors.push("username must be 3-40 letters, digits, dots, dashes or underscores");
+  }
+  if (!roles.includes(user.role)) errors.push(`role must be one of ${roles.join(", ")}`);
+  if ((passwordRequired || user.password !== undefined) && String(user.password || "").length < 8) {
+    errors.push("password must be at least 8 characters");
+  }
+  return errors;
+}
+
+const publicUser = ({ passwordHash, ...user }) => user;
+const publicApiKey = ({ hash, ...key }) => key;
+
+// Users and API keys live in JSON files next to a signing secret. Session tokens are `<payload>.<signature>` with an
+// HMAC-SHA256 signature and expiry; the role is re-read from the user record on every request, so demotions apply at once.
+function createAuth(rootDir, { secret = process.env.AUTH_SECRET, tokenTtl = 12 * 60 * 60 * 1000 } = {}) {
+  const usersPath = path.join(rootDir, "users.json");
+  const keysPath = path.join(rootDir, "api-keys.json");
+  const secretPath = path.join(rootDir, "secret.key");
+  const initialPasswordPath = path.join(rootDir, "initial-admin-password");
+  fs.mkdirSync(rootDir, { recursive: true });
+
+  if (!secret) {
+    if (!fs.existsSync(secretPath)) fs.writeFileSync(secretPath, crypto.randomBytes(32).toString("hex"), { mode: 0o600 });
+    secret = fs.readFileSync(secretPath, "utf8").trim();
+  }
+
+  let users = fs.existsSync(usersPath) ? JSON.parse(fs.readFileSync(usersPath, "utf8")) : [];
+  let apiKeys = fs.existsSync(keysPath) ? JSON.parse(fs.readFileSync(keysPath, "utf8")) : [];
+
+  function saveUsers() {
+    fs.writeFileSync(usersPath, JSON.stringify(users, null, 2), { mode: 0o600 });
+  }
+
+  function saveApiKeys() {
+    fs.writeFileSync(keysPath, JSON.stringify(apiKeys, null, 2), { mode: 0o600 });
+  }
+
+  const sign = (payload) => crypto.createHmac("sha256", secret).update(payload).digest("base64url");
+
+  // Creates the first admin when there are no users. Without ADMIN_PASSWORD a random password is generated and
+  // written, readable by the owner only, to a file next to the user store; its path is returned, never the password.
+  async function bootstrap({ username = process.env.ADMIN_USERNAME || "admin", password = process.env.ADMIN_PASSWORD } = {}) {
+    if (users.length) return null;
+    const initialPassword = password || crypto.randomBytes(9).toString("base64url");
+    const result = await createUser({ username, password: initialPassword, role: "admin" });
+    if (result.errors) throw new Error(`Cannot create the initial admin: ${result.errors.join("; ")}`);
+    if (password) return { username, passwordFile: null };
+    fs.writeFileSync(initialPasswordPath, `${initialPassword}\n`, { mode: 0o600 });
+    return { username, passwordFile: initialPasswordPath };
+  }
+
+  function issueToken(user) {
+    const expiresAt = Date.now() + tokenTtl;
+    const payload = base64url(JSON.stringify({ sub: user.id, exp: expiresAt }));
+    return { token: `${payload}.${sign(payload)}`, expiresAt: new Date(expiresAt).toISOString() };
+  }
+
+  async function login(username, password) {
+    const user = users.find((item) => item.username.toLowerCase() === String(username || "").toLowerCase());
+    const ok = await verifyPassword(String(password || ""), user?.passwordHash || unknownUserHash);
+    if (!user || !ok) return null;
+    return { ...issueToken(user), user: publicUser(user) };
+  }
+
+  function verifyToken(token) {
+    const [payload, signature] = String(token).split(".");
+    if (!payload || !signature) return null;
+    const expected = Buffer.from(sign(payload));
+    const given = Buffer.from(signature);
+    if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return null;
+    let claims;
+    try {
+      claims = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+    } catch {
+      return null;
+    }
+    if (!Number.isFinite(claims.exp) || claims.exp < Date.now()) return null;
+    const user = users.find((item) => item.id === claims.sub);
+    return user ? { type: "user", id: user.id, name: user.username, role: user.role } : null;
+  }
+
+  function verifyApiKey(key) {
+    const hash = sha256(key);
+    const record = apiKeys.find((item) => item.hash === hash);
+    if (!record) return null;
+    // Usage timestamps are only persisted once a minute to keep ingestion traffic from rewriting the file.
+    const now = Date.now();
+    if (!record.lastUsedAt || now - Date.parse(record.lastUsedAt) > 60000) {
+      record.lastUsedAt = new Date(now).toISOString();
+      saveApiKeys();
+    }
+    return { type: "apiKey", id: record.id, name: record.name, role: record.role };
+  }
+
+  // Accepts either a session token or an API key and returns the caller, or null.
+  function authenticate(credential) {
+    if (!credential) return null;
+    return credential.startsWith(apiKeyPrefix) ? verifyApiKey(credential) : verifyToken(credential);
+  }
+
+  function listUsers() {
+    return users.map(publicUser);
+  }
+
+  async function createUser(input) {
+    const user = {
+      id: `usr-${crypto.randomBytes(4).toString("hex")}`,
+      username: String(input?.username || "").trim(),
+      role: input?.role || "viewer",
+      password: input?.password,
+    };
+    const errors = validateUser(user, { passwordRequired: true });
+    if (users.some((item) => item.username.toLowerCase() === user.username.toLowerCase())) {
+      errors.push("username is already taken");
+    }
+    if (errors.length) return { errors };
+    const { password, ...stored } = user;
+    stored.passwordHash = await hashPassword(password);
+    // Another request may have taken the name while the password was hashing.
+    if (users.some((item) => item.username.toLowerCase() === user.username.toLowerCase())) {
+      return { errors: ["username is already taken"] };
+    }
+    stored.createdAt = new Date().toISOString();
+    users = [...users, stored];
+    saveUsers();
+    return { user: publicUser(stored) };
+  }
+
+  const otherAdmins = (id) => users.some((item) => item.id !== id && item.role === "admin");
+
+  async function updateUser(id, input) {
+    const current = users.find((item) => item.id === id);
+    if (!current) return null;
+    const next = { ...current, role: input?.role ?? current.role, password: input?.password };
+    const errors = validateUser(next, { passwordRequired: false });
+    if (current.role === "admin" && next.role !== "admin" && !otherAdmins(id)) errors.push("the last admin cannot be demoted");
+    if (errors.length) return { errors };
+    const { password, ...stored } = next;
+    if (password !== undefined) stored.passwordHash = await hashPassword(password);
+    users = users.map((item) => (item.id === id ? stored : item));
+    saveUsers();
+    return { user: publicUser(stored) };
+  }
+
+  function removeUser(id) {
+    const current = users.find((item) => item.id === id);
+    if (!current) return null;
+    if (current.role === "admin" && !otherAdmins(id)) return { errors: ["the last admin cannot be removed"] };
+    users = users.filter((item) => item.id !== id);
+    saveUsers();
+    return { user: publicUser(current) };
+  }
+
+  function listApiKeys() {
+    return apiKeys.map(publicApiKey);
+  }
+
+  // The key itself is only returned here; the store keeps a SHA-256 hash and a short prefix to recognise it by.
+  function createApiKey(input, createdBy = null) {
+    const errors = [];
+    const name = String(input?.name || "").trim();
+    const role = input?.role || "viewer";
+    if (!name) errors.push("name is required");
+    if (!roles.includes(role)) errors.push(`role must be one of ${roles.join(", ")}`);
+    if (errors.length) return { errors };
+    const key = `${apiKeyPrefix}${crypto.randomBytes(24).toString("hex")}`;
+    const record = {
+      id: `key-${crypto.randomBytes(4).toString("hex")}`,
+      name,
+      role,
+      prefix: key.slice(0, apiKeyPrefix.length + 6),
+      hash: sha256(key),
+      createdBy,
+      createdAt: new Date().toISOString(),
+      lastUsedAt: null,
+    };
+    apiKeys = [...apiKeys, record];
+    saveApiKeys();
+    return { apiKey: { ...publicApiKey(record), key } };
+  }
+
+  function revokeApiKey(id) {
+    if (!apiKeys.some((item) => item.id === id)) return false;
+    apiKeys = apiKeys.filter((item) => item.id !== id);
+    saveApiKeys();
+    return true;
+  }
+
+  return {
+    bootstrap,
+    login,
+    authenticate,
+    listUsers,
+    createUser,
+    updateUser,
+    removeUser,
+    listApiKeys,
+    createApiKey,
+    revokeApiKey,
+  };
+}
+
+module.exports = { createAuth, roles, hasRole };
@@ -0,0 +1,180 @@
+function logit(p) {
+  const clamped = Math.min(1 - 1e-9, Math.max(1e-9, p));
+  return Math.log(clamped / (1 - clamped));
+}
+
+function quantile(sorted, q) {
+  if (!sorted.length) return 0;
+  return sorted[Math.min(sorted.length - 1, Math.max(0, Math.floor(q * (sorted.length - 1))))];
+}
+
+// Observed spread of each feature; suggestions stay inside the 5th-95th percentile band so they remain realistic.
+function profileFeatures(vectors, featureDefs) {
+  return featureDefs.map((def, j) => {
+    const sorted = Float64Array.from(vectors.map((x) => x[j])).sort();
+    const mean = sorted.reduce((acc, value) => acc + value, 0) / Math.max(1, sorted.length);
+    const variance = sorted.reduce((acc, value) => acc + (value - mean) ** 2, 0) / Math.max(1, sorted.length - 1);
+    return {
+      key: def.key,
+      name: def.name,
+      type: def.type,
+      min: quantile(sorted, 0),
+      max: quantile(sorted, 1),
+      low: quantile(sorted, 0.05),
+      high: quantile(sorted, 0.95),
+      std: Math.sqrt(variance) || 1,
+      integer: sorted.every((value) => Number.isInteger(value)),
+    };
+  });
+}
+
+function boundsFor(profile, current) {
+  return { lo: Math.min(profile.low, current), hi: Math.max(profile.high, current) };
+}
+
+function roundToward(value, profile, direction) {
+  if (!profile.integer) return Number(value.toFixed(2));
+  return direction < 0 ? Math.floor(value) : Math.ceil(value);
+}
+
+// Exact for logistic models: in standardized space each feature lowers the log-odds by |w| per unit moved, so spending
+// movement on the largest |w| first gives the smallest total standardized change.
+function logisticSearch({ x, model, profiles, mutable, targetLogit, currentLogit }) {
+  let remaining = currentLogit - targetLogit;
+  const candidates = mutable
+    .map((j) => {
+      const profile = profiles[j];
+      const direction = model.weights[j] > 0 ? -1 : 1;
+      if (profile.type === "boolYes") {
+        const next = x[j] === 1 ? 0 : 1;
+        if ((next - x[j]) * direction <= 0) return null;
+        return { j, direction, boolean: true, next, reduction: Math.abs(model.weights[j] / model.stds[j]) };
+      }
+      const { lo, hi } = boundsFor(profile, x[j]);
+      const limit = direction < 0 ? lo : hi;
+      const reach = Math.abs(model.weights[j] * ((limit - x[j]) / model.stds[j]));
+      return reach > 1e-9 ? { j, direction, limit, reach, efficiency: Math.abs(model.weights[j]) } : null;
+    })
+    .filter(Boolean);
+
+  const singleFlip = candidates
+    .filter((c) => c.boolean && c.reduction >= remaining)
+    .sort((a, b) => 1 / profiles[a.j].std - 1 / profiles[b.j].std)[0];
+  const singleMove = candidates
+    .filter((c) => !c.boolean && c.reach >= remaining)
+    .sort((a, b) => b.efficiency - a.efficiency)[0];
+
+  const changes = new Map();
+  if (singleMove || singleFlip) {
+    const moveCost = singleMove ? remaining / singleMove.efficiency : Infinity;
+    const flipCost = singleFlip ? 1 / model.stds[singleFlip.j] : Infinity;
+    if (moveCost <= flipCost) {
+      const delta = (remaining / Math.abs(model.weights[singleMove.j])) * model.stds[singleMove.j] * singleMove.direction;
+      changes.set(singleMove.j, roundToward(x[singleMove.j] + delta, profiles[singleMove.j], singleMove.direction));
+    } else {
+      changes.set(singleFlip.j, singleFlip.next);
+    }
+    return changes;
+  }
+
+  candidates
+    .filter((c) => !c.boolean)
+    .sort((a, b) => b.efficiency - a.efficiency)
+    .concat(candidates.filter((c) => c.boolean))
+    .forEach((c) => {
+      if (remaining <= 0) return;
+      if (c.boolean) {
+        changes.set(c.j, c.next);
+        remaining -= c.reduction;
+        return;
+      }
+      const used = Math.min(remaining, c.reach);
+      const delta = (used / Math.abs(model.weights[c.j])) * model.stds[c.j] * c.direction;
+      changes.set(c.j, roundToward(x[c.j] + delta, profiles[c.j], c.direction));
+      remaining -= used;
+    });
+  return changes;
+}
+
+function gridValues(profile, current) {
+  if (profile.type === "boolYes") return [current === 1 ? 0 : 1];
+  const { lo, hi } = boundsFor(profile, current);
+  const steps = 16;
+  const values = new Set();
+  for (let i = 0; i <= steps; i += 1) {
+    const value = lo + ((hi - lo) * i) / steps;
+    values.add(profile.integer ? Math.round(value) : Number(value.toFixed(2)));
+  }
+  values.delete(current);
+  return [...values];
+}
+
+// Model-agnostic fallback: greedily apply the single-feature move with the best risk reduction per standardized unit.
+function greedySearch({ x, profiles, mutable, targetRisk, riskOf, maxFeatures = 3 }) {
+  const changes = new Map();
+  const working = x.slice();
+  let risk = riskOf(working);
+  for (let step = 0; step < maxFeatures && risk >= targetRisk; step += 1) {
+    let best = null;
+    mutable
+      .filter((j) => !changes.has(j))
+      .forEach((j) => {
+        gridValues(profiles[j], working[j]).forEach((value) => {
+          const trial = working.slice();
+          trial[j] = value;
+          const trialRisk = riskOf(trial);
+          const cost = Math.abs(value - x[j]) / profiles[j].std;
+          const reaches = trialRisk < targetRisk;
+          const score = reaches ? -cost : (risk - trialRisk) / Math.max(cost, 1e-6);
+          if (trialRisk >= risk) return;
+          if (!best || (reaches && !best.reaches) || (reaches === best.reaches && score > best.score)) {
+            best = { j, value, risk: trialRisk, reaches, score };
+          }
+        });
+      });
+    if (!best) break;
+    working[best.j] = best.value;
+    changes.set(best.j, best.value);
+    risk = best.risk;
+  }
+  return changes;
+}
+
+function suggestCounterfactual({ x, model, profiles, threshold, locked = [], riskOf }) {
+  const targetRisk = Math.max(0.5, threshold - 0.5);
+  const currentRisk = riskOf(x);
+  if (currentRisk < targetRisk) return { needed: false, reachable: true, changes: [], churnRisk: currentRisk };
+
+  const mutable = profiles.map((profile, j) => j).filter((j) => !locked.includes(profiles[j].key));
+  const changes =
+    model.algorithm === "gbt"
+      ? greedySearch({ x, profiles, mutable, targetRisk, riskOf })
+      : logisticSearch({
+        x,
+        model,
+        profiles,
+        mutable,
+        targetLogit: logit(targetRisk / 100),
+        currentLogit: logit(currentRisk / 100),
+      });
+
+  const next = x.slice();
+  changes.forEach((value, j) => {
+    next[j] = value;
+  });
+  const churnRisk = riskOf(next);
+  return {
+    needed: true,
+    reachable: churnRisk < threshold,
+    churnRisk,
+    distance: Number([...changes].reduce((acc, [j, value]) => acc + Math.abs(value - x[j]) / profiles[j].std, 0).toFixed(3)),
+    changes: [...changes].map(([j, value]) => ({
+      column: profiles[j].key,
+      feature: profiles[j].name,
+      from: x[j],
+      to: value,
+    })),
+  };
+}
+
+module.exports = { profileFeatures, suggestCounterfactual };
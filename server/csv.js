@@ -0,0 +1,228 @@
+const fs = require("fs");
+const path = require("path");
+
+const delimiters = [",", ";", "\t", "|"];
+const maxReportedRejections = 200;
+
+// BOMs are authoritative; otherwise NUL bytes suggest UTF-16 and invalid UTF-8 falls back to Windows-1252.
+function detectEncoding(head) {
+  if (head[0] === 0xef && head[1] === 0xbb && head[2] === 0xbf) return { encoding: "utf-8", bom: 3 };
+  if (head[0] === 0xff && head[1] === 0xfe) return { encoding: "utf-16le", bom: 2 };
+  if (head[0] === 0xfe && head[1] === 0xff) return { encoding: "utf-16be", bom: 2 };
+
+  const sample = head.subarray(0, Math.min(head.length, 4096));
+  let evenNuls = 0;
+  let oddNuls = 0;
+  sample.forEach((byte, i) => {
+    if (byte !== 0) return;
+    if (i % 2 === 0) evenNuls += 1;
+    else oddNuls += 1;
+  });
+  if (oddNuls > sample.length / 4) return { encoding: "utf-16le", bom: 0 };
+  if (evenNuls > sample.length / 4) return { encoding: "utf-16be", bom: 0 };
+
+  try {
+    // Drop a possibly truncated multi-byte sequence at the end of the sample before validating.
+    let end = sample.length;
+    while (end > 0 && end > sample.length - 4 && (sample[end - 1] & 0xc0) === 0x80) end -= 1;
+    if (end > 0 && sample[end - 1] >= 0xc0) end -= 1;
+    new TextDecoder("utf-8", { fatal: true }).decode(sample.subarray(0, end));
+    return { encoding: "utf-8", bom: 0 };
+  } catch {
+    return { encoding: "windows-1252", bom: 0 };
+  }
+}
+
+// Picks the candidate that splits the first lines into the same number of fields most often, ignoring quoted text.
+function sniffDelimiter(text) {
+  const lines = [];
+  let current = "";
+  let inQuotes = false;
+  for (let i = 0; i < text.length && lines.length < 20; i += 1) {
+    const c = text[i];
+    if (c === '"') inQuotes = !inQuotes;
+    if ((c === "\n" || c === "\r") && !inQuotes) {
+      if (current.trim()) lines.push(current);
+      current = "";
+      continue;
+    }
+    if (!inQuotes) current += c;
+  }
+  if (current.trim() && lines.length < 20) lines.push(current);
+  if (!lines.length) return ",";
+
+  let best = { delimiter: ",", score: 0 };
+  delimiters.forEach((delimiter) => {
+    const counts = lines.map((line) => line.split(delimiter).length - 1);
+    if (counts[0] === 0) return;
+    const consistent = counts.filter((count) => count === counts[0]).length / counts.length;
+    const score = consistent * counts[0];
+    if (score > best.score) best = { delimiter, score };
+  });
+  return best.delimiter;
+}
+
+// Incremental RFC 4180 state machine: feed decoded text in any chunk size, rows come out through onRow with the
+// physical line they started on. Quoted fields may span lines and escape quotes as "".
+function createCsvParser({ delimiter, onRow, onReject }) {
+  let fields = [];
+  let value = "";
+  let quoted = false;
+  let inQuotes = false;
+  let afterQuote = false;
+  let error = null;
+  let line = 1;
+  let rowLine = 1;
+  let pendingCr = false;
+  let pendingQuote = false;
+
+  function endField() {
+    fields.push(quoted ? value : value.trim());
+    value = "";
+    quoted = false;
+    afterQuote = false;
+  }
+
+  function endRow() {
+    endField();
+    if (error) onReject(rowLine, error);
+    else if (fields.length > 1 || fields[0] !== "") onRow(fields, rowLine);
+    fields = [];
+    error = null;
+    rowLine = line;
+  }
+
+  function handle(c) {
+    if (pendingQuote) {
+      pendingQuote = false;
+      if (c === '"') {
+        value += '"';
+        return;
+      }
+      inQuotes = false;
+      afterQuote = true;
+    }
+
+    if (inQuotes) {
+      if (c === '"') pendingQuote = true;
+      else {
+        if (c === "\n") line += 1;
+        value += c;
+      }
+      return;
+    }
+
+    if (c === delimiter) return endField();
+    if (c === "\n") {
+      line += 1;
+      return endRow();
+    }
+    if (c === '"' && !quoted && value.trim() === "") {
+      value = "";
+      quoted = true;
+      inQuotes = true;
+      return;
+    }
+    if (afterQuote) {
+      if (c.trim() && !error) error = "Unexpected characters after a closing quote";
+      return;
+    }
+    value += c;
+  }
+
+  function feed(text) {
+    for (let i = 0; i < text.length; i += 1) {
+      let c = text[i];
+      // CRLF and lone CR both end a line; a CR inside quotes is kept as a newline.
+      if (pendingCr) {
+        pendingCr = false;
+        if (c === "\n") continue;
+      }
+      if (c === "\r") {
+        pendingCr = true;
+        c = "\n";
+      }
+      handle(c);
+    }
+  }
+
+  function end() {
+    if (pendingQuote) {
+      pendingQuote = false;
+      inQuotes = false;
+    }
+    if (inQuotes) {
+      onReject(rowLine, "Unterminated quoted field");
+      return;
+    }
+    if (fields.length || value || quoted) endRow();
+  }
+
+  return { feed, end };
+}
+
+// Streams a CSV file without loading it whole: onRecord receives each accepted row as a header-keyed object. Rows with
+// the wrong number of fields or broken quoting go to onReject and the report instead, with their line numbers.
+async function readCsv(csvPath, { onRecord = () => {}, onReject = () => {} } = {}) {
+  const absolute = path.resolve(csvPath);
+  if (!fs.existsSync(absolute)) throw new Error(`Dataset not found: ${absolute}`);
+
+  const handle = await fs.promises.open(absolute, "r");
+  const head = Buffer.alloc(65536);
+  const { bytesRead } = await handle.read(head, 0, head.length, 0);
+  await handle.close();
+  const { encoding, bom } = detectEncoding(head.subarray(0, bytesRead));
+  const decoder = new TextDecoder(encoding);
+  const delimiter = sniffDelimiter(new TextDecoder(encoding).decode(head.subarray(bom, bytesRead)));
+
+  let headers = null;
+  let rows = 0;
+  let rejectedCount = 0;
+  const rejected = [];
+  const reject = (line, reason) => {
+    rejectedCount += 1;
+    if (rejected.length < maxReportedRejections) rejected.push({ line, reason });
+    onReject(line, reason);
+  };
+  const parser = createCsvParser({
+    delimiter,
+    onReject: reject,
+    onRow: (fields, line) => {
+      if (!headers) {
+        headers = fields.map((field, i) => field || `column_${i + 1}`);
+        return;
+      }
+      if (fields.length !== headers.length) {
+        reject(line, `Expected ${headers.length} fields, found ${fields.length}`);
+        return;
+      }
+      const record = {};
+      headers.forEach((header, i) => {
+        record[header] = fields[i];
+      });
+      rows += 1;
+      onRecord(record, line);
+    },
+  });
+
+  const stream = fs.createReadStream(absolute, { start: bom, highWaterMark: 256 * 1024 });
+  for await (const chunk of stream) {
+    parser.feed(decoder.decode(chunk, { stream: true }));
+  }
+  parser.feed(decoder.decode());
+  parser.end();
+
+  if (!headers) throw new Error("Dataset is empty");
+  return { headers, rows, rejected, rejectedCount, delimiter, encoding };
+}
+
+function formatCsvLine(values) {
+  return values
+    .map((value) => {
+      const text = value === null || value === undefined ? "" : String(value);
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    })
+    .join(",");
+}
+
+module.exports = { readCsv, createCsvParser, detectEncoding, sniffDelimiter, formatCsvLine };
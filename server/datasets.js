@@ -0,0 +1,117 @@
+const fs = require("fs");
+const path = require("path");
+
+// Upload names are `<timestamp>-<original name>`, so files found on disk still get an upload time and a readable name.
+function parseUploadName(csvPath) {
+  const file = path.basename(csvPath);
+  const match = file.match(/^(\d{12,})-(.+)$/);
+  if (!match) return { originalName: file, uploadedAt: null };
+  return { originalName: match[2], uploadedAt: new Date(Number(match[1])).toISOString() };
+}
+
+// Tracks every dataset the server knows about (bundled, uploaded, or found in the uploads folder) and the model
+// versions trained on each, so earlier datasets can be switched back to without uploading them again.
+function createDatasetLibrary(rootDir) {
+  const indexPath = path.join(rootDir, "datasets.json");
+  fs.mkdirSync(rootDir, { recursive: true });
+
+  let datasets = fs.existsSync(indexPath) ? JSON.parse(fs.readFileSync(indexPath, "utf8")) : [];
+
+  function save() {
+    fs.writeFileSync(indexPath, JSON.stringify(datasets, null, 2));
+  }
+
+  const samePath = (a, b) => path.resolve(a) === path.resolve(b);
+
+  function list() {
+    return [...datasets].sort((a, b) => {
+      if (a.builtIn !== b.builtIn) return a.builtIn ? -1 : 1;
+      return String(b.uploadedAt || "").localeCompare(String(a.uploadedAt || ""));
+    });
+  }
+
+  function get(id) {
+    return datasets.find((dataset) => dataset.id === id) || null;
+  }
+
+  function findByPath(csvPath) {
+    return datasets.find((dataset) => samePath(dataset.path, csvPath)) || null;
+  }
+
+  // Adds the dataset if it is new, otherwise merges the metadata into the existing entry.
+  function register(csvPath, meta = {}) {
+    const existing = findByPath(csvPath);
+    if (existing) {
+      Object.assign(existing, meta);
+      save();
+      return existing;
+    }
+    const { originalName, uploadedAt } = parseUploadName(csvPath);
+    const dataset = {
+      id: path.basename(csvPath),
+      name: originalName,
+      originalName,
+      path: csvPath,
+      builtIn: false,
+      status: "ready",
+      uploadedAt: uploadedAt || new Date().toISOString(),
+      rows: null,
+      columns: [],
+      encoding: null,
+      delimiter: null,
+      mapping: null,
+      modelVersions: [],
+      lastActivatedAt: null,
+      ...meta,
+    };
+    datasets.push(dataset);
+    save();
+    return dataset;
+  }
+
+  function rename(id, name) {
+    const dataset = get(id);
+    if (!dataset) return null;
+    const trimmed = String(name ?? "").trim();
+    if (!trimmed) throw new Error("name is required");
+    if (trimmed.length > 120) throw new Error("name must be at most 120 characters");
+    dataset.name = trimmed;
+    save();
+    return dataset;
+  }
+
+  function linkModel(csvPath, version) {
+    const dataset = findByPath(csvPath);
+    if (!dataset || dataset.modelVersions.includes(version)) return;
+    dataset.modelVersions = [...dataset.modelVersions, version].sort((a, b) => a - b);
+    save();
+  }
+
+  function markActivated(csvPath, meta = {}) {
+    const dataset = findByPath(csvPath) || register(csvPath);
+    Object.assign(dataset, meta, { status: "ready", lastActivatedAt: new Date().toISOString() });
+    save();
+    return dataset;
+  }
+
+  function remove(id) {
+    const before = datasets.length;
+    datasets = datasets.filter((dataset) => dataset.id !== id);
+    if (datasets.length === before) return false;
+    save();
+    return true;
+  }
+
+  // Drops entries whose file was deleted outside the app.
+  function prune() {
+    const missing = datasets.filter((dataset) => !fs.existsSync(dataset.path));
+    if (!missing.length) return [];
+    datasets = datasets.filter((dataset) => !missing.includes(dataset));
+    save();
+    return missing;
+  }
+
+  return { list, get, findByPath, register, rename, linkModel, markActivated, remove, prune };
+}
+
+module.exports = { createDatasetLibrary };
@@ -0,0 +1,113 @@
+// Distribution drift between the rows a model was trained on and the live stream window: the population stability
+// index (PSI) over training deciles and the two-sample Kolmogorov–Smirnov statistic, per feature and for the
+// predicted risk.
+
+const driftLevels = { moderate: 0.1, significant: 0.25 };
+// Fewer rows than this in the window give noisy decile shares, so no drift is reported.
+const minRows = 100;
+// Training values kept per feature for the KS statistic, taken evenly from the sorted values.
+const sampleSize = 2000;
+const epsilon = 1e-4;
+
+const round = (value) => Number(value.toFixed(3));
+const mean = (values) => values.reduce((acc, value) => acc + value, 0) / Math.max(1, values.length);
+
+function driftLevel(psi) {
+  if (psi >= driftLevels.significant) return "significant";
+  if (psi >= driftLevels.moderate) return "moderate";
+  return "stable";
+}
+
+// Index of the bin a value falls in: the number of edges at or below it.
+function binOf(value, edges) {
+  let lo = 0;
+  let hi = edges.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (edges[mid] <= value) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+function binShares(values, edges) {
+  const counts = new Array(edges.length + 1).fill(0);
+  values.forEach((value) => {
+    counts[binOf(value, edges)] += 1;
+  });
+  return counts.map((count) => count / Math.max(1, values.length));
+}
+
+function psi(expected, actual) {
+  return expected.reduce((acc, share, i) => {
+    const e = Math.max(share, epsilon);
+    const a = Math.max(actual[i], epsilon);
+    return acc + (a - e) * Math.log(a / e);
+  }, 0);
+}
+
+// Largest gap between the empirical CDFs of two sorted samples.
+function ksStatistic(a, b) {
+  let i = 0;
+  let j = 0;
+  let d = 0;
+  while (i < a.length && j < b.length) {
+    const value = Math.min(a[i], b[j]);
+    while (i < a.length && a[i] <= value) i += 1;
+    while (j < b.length && b[j] <= value) j += 1;
+    d = Math.max(d, Math.abs(i / a.length - j / b.length));
+  }
+  return d;
+}
+
+function describeReference(values) {
+  const sorted = Float64Array.from(values).sort();
+  const at = (q) => sorted[Math.min(sorted.length - 1, Math.floor(q * sorted.length))];
+  // Decile cut points; ties collapse, so a yes/no feature ends up with a single edge.
+  const edges = [...new Set([0.1, 0.2, 0.3, 0.4, 0.5, 0.6, 0.7, 0.8, 0.9].map(at))];
+  const step = Math.max(1, sorted.length / sampleSize);
+  const sample = [];
+  for (let i = 0; i < sorted.length; i += step) sample.push(sorted[Math.floor(i)]);
+  return { mean: mean(sorted), edges, shares: binShares(sorted, edges), sample };
+}
+
+function compare(reference, values) {
+  const sorted = Float64Array.from(values).sort();
+  const value = psi(reference.shares, binShares(sorted, reference.edges));
+  return {
+    psi: round(value),
+    ks: round(ksStatistic(reference.sample, sorted)),
+    level: driftLevel(value),
+    mean: round(mean(sorted)),
+    referenceMean: round(reference.mean),
+  };
+}
+
+// vectors are feature vectors in featureDefs order; risks the predicted churn risk of the same rows.
+function createDriftReference(vectors, featureDefs, risks) {
+  if (!vectors.length) return null;
+  return {
+    rows: vectors.length,
+    features: featureDefs.map((def, j) => ({
+      key: def.key,
+      name: def.name,
+      ...describeReference(vectors.map((x) => x[j])),
+    })),
+    prediction: describeReference(risks),
+  };
+}
+
+// Features are ordered by PSI, largest first. Returns null when there is no reference or too few rows.
+function measureDrift(reference, vectors, risks) {
+  if (!reference || vectors.length < minRows) return null;
+  return {
+    rows: vectors.length,
+    referenceRows: reference.rows,
+    features: reference.features
+      .map((feature, j) => ({ key: feature.key, name: feature.name, ...compare(feature, vectors.map((x) => x[j])) }))
+      .sort((a, b) => b.psi - a.psi),
+    prediction: compare(reference.prediction, risks),
+  };
+}
+
+module.exports = { createDriftReference, measureDrift, driftLevels, minRows };
@@ -0,0 +1,273 @@
+function createRng(seed = 42) {
+  let t = seed >>> 0;
+  return () => {
+    t = (t + 0x6d2b79f5) >>> 0;
+    let r = Math.imul(t ^ (t >>> 15), 1 | t);
+    r = (r + Math.imul(r ^ (r >>> 7), 61 | r)) ^ r;
+    return ((r ^ (r >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function shuffle(items, rng) {
+  const out = items.slice();
+  for (let i = out.length - 1; i > 0; i -= 1) {
+    const j = Math.floor(rng() * (i + 1));
+    [out[i], out[j]] = [out[j], out[i]];
+  }
+  return out;
+}
+
+function byClass(rows, rng) {
+  return [0, 1].map((label) => shuffle(rows.filter((row) => row.actualChurn === label), rng));
+}
+
+function stratifiedSplit(rows, testRatio = 0.2, seed = 42) {
+  const train = [];
+  const test = [];
+  byClass(rows, createRng(seed)).forEach((group) => {
+    const testCount = Math.round(group.length * testRatio);
+    test.push(...group.slice(0, testCount));
+    train.push(...group.slice(testCount));
+  });
+  return { train, test };
+}
+
+function stratifiedFolds(rows, k = 5, seed = 42) {
+  const folds = Array.from({ length: k }, () => []);
+  let next = 0;
+  byClass(rows, createRng(seed)).forEach((group) => {
+    group.forEach((row) => {
+      folds[next % k].push(row);
+      next += 1;
+    });
+  });
+  return folds;
+}
+
+function confusionAt(rows, threshold) {
+  const matrix = { tp: 0, fp: 0, tn: 0, fn: 0 };
+  rows.forEach((row) => {
+    const pred = row.churnRisk >= threshold ? 1 : 0;
+    if (pred === 1 && row.actualChurn === 1) matrix.tp += 1;
+    if (pred === 1 && row.actualChurn === 0) matrix.fp += 1;
+    if (pred === 0 && row.actualChurn === 0) matrix.tn += 1;
+    if (pred === 0 && row.actualChurn === 1) matrix.fn += 1;
+  });
+  return matrix;
+}
+
+// Walks the scores from high to low, emitting one point per distinct score so ties do not inflate the curve.
+function rankedCurve(rows) {
+  const sorted = rows.slice().sort((a, b) => b.churnRisk - a.churnRisk);
+  const positives = sorted.filter((row) => row.actualChurn === 1).length;
+  const negatives = sorted.length - positives;
+  const points = [{ threshold: 100, tp: 0, fp: 0 }];
+  let tp = 0;
+  let fp = 0;
+  sorted.forEach((row, index) => {
+    if (row.actualChurn === 1) tp += 1;
+    else fp += 1;
+    if (index === sorted.length - 1 || sorted[index + 1].churnRisk !== row.churnRisk) {
+      points.push({ threshold: row.churnRisk, tp, fp });
+    }
+  });
+  return { points, positives, negatives };
+}
+
+function rocCurve(rows) {
+  const { points, positives, negatives } = rankedCurve(rows);
+  return points.map((point) => ({
+    threshold: point.threshold,
+    fpr: negatives ? point.fp / negatives : 0,
+    tpr: positives ? point.tp / positives : 0,
+  }));
+}
+
+function prCurve(rows) {
+  const { points, positives } = rankedCurve(rows);
+  return points.slice(1).map((point) => ({
+    threshold: point.threshold,
+    recall: positives ? point.tp / positives : 0,
+    precision: point.tp / (point.tp + point.fp),
+  }));
+}
+
+function areaUnder(points, xKey, yKey) {
+  let area = 0;
+  for (let i = 1; i < points.length; i += 1) {
+    area += (points[i][xKey] - points[i - 1][xKey]) * ((points[i][yKey] + points[i - 1][yKey]) / 2);
+  }
+  return area;
+}
+
+// Average precision: precision weighted by each step in recall, which avoids the optimism of trapezoids on PR curves.
+function averagePrecision(points) {
+  let area = 0;
+  let previousRecall = 0;
+  points.forEach((point) => {
+    area += (point.recall - previousRecall) * point.precision;
+    previousRecall = point.recall;
+  });
+  return area;
+}
+
+function logLoss(rows) {
+  if (!rows.length) return 0;
+  const eps = 1e-7;
+  const total = rows.reduce((acc, row) => {
+    const p = Math.min(1 - eps, Math.max(eps, row.churnRisk / 100));
+    return acc - (row.actualChurn === 1 ? Math.log(p) : Math.log(1 - p));
+  }, 0);
+  return total / rows.length;
+}
+
+// Reliability over ten equal-width bins of predicted probability: each bin's mean prediction against its observed
+// churn rate. ECE is the gap between the two weighted by bin size; the Brier score is the mean squared error.
+function calibration(rows, bins = 10) {
+  const groups = Array.from({ length: bins }, () => ({ predicted: 0, observed: 0, rows: 0 }));
+  let brier = 0;
+  rows.forEach((row) => {
+    const p = row.churnRisk / 100;
+    brier += (p - row.actualChurn) ** 2;
+    const group = groups[Math.min(bins - 1, Math.floor(p * bins))];
+    group.predicted += p;
+    group.observed += row.actualChurn;
+    group.rows += 1;
+  });
+  const total = rows.length || 1;
+  const ece = groups.reduce((acc, group) => acc + Math.abs(group.predicted - group.observed), 0) / total;
+  return {
+    brier: brier / total,
+    ece,
+    curve: groups
+      .filter((group) => group.rows > 0)
+      .map((group) => ({ predicted: group.predicted / group.rows, observed: group.observed / group.rows, rows: group.rows })),
+  };
+}
+
+function downsample(points, maxPoints = 60) {
+  if (points.length <= maxPoints) return points;
+  const step = (points.length - 1) / (maxPoints - 1);
+  return Array.from({ length: maxPoints }, (_, i) => points[Math.round(i * step)]);
+}
+
+const pct = (value) => Number((value * 100).toFixed(2));
+const round = (value, digits = 4) => Number(value.toFixed(digits));
+
+function evaluateModel(rows, threshold = 50) {
+  const { tp, fp, tn, fn } = confusionAt(rows, threshold);
+  const total = rows.length || 1;
+  const precision = tp + fp > 0 ? tp / (tp + fp) : 0;
+  const recall = tp + fn > 0 ? tp / (tp + fn) : 0;
+  const f1 = precision + recall > 0 ? (2 * precision * recall) / (precision + recall) : 0;
+  const roc = rocCurve(rows);
+  const pr = prCurve(rows);
+  const calibrated = calibration(rows);
+  return {
+    threshold,
+    accuracy: pct((tp + tn) / total),
+    precision: pct(precision),
+    recall: pct(recall),
+    f1: pct(f1),
+    aucRoc: round(areaUnder(roc, "fpr", "tpr")),
+    aucPr: round(averagePrecision(pr)),
+    logLoss: round(logLoss(rows)),
+    brier: round(calibrated.brier),
+    ece: round(calibrated.ece),
+    confusion: { tp, fp, tn, fn },
+    support: { rows: rows.length, positives: tp + fn },
+    rocCurve: downsample(roc).map((point) => ({ ...point, fpr: round(point.fpr), tpr: round(point.tpr) })),
+    prCurve: downsample(pr).map((point) => ({ ...point, recall: round(point.recall), precision: round(point.precision) })),
+    calibrationCurve: calibrated.curve.map((point) => ({ ...point, predicted: round(point.predicted), observed: round(point.observed) })),
+  };
+}
+
+const cvMetrics = ["accuracy", "precision", "recall", "f1", "aucRoc", "aucPr", "logLoss"];
+
+// fitAndScore(trainRows, testRows) must return testRows scored with churnRisk by a model fit on trainRows only.
+function crossValidate(rows, k, fitAndScore, { seed = 42, threshold = 50 } = {}) {
+  const folds = stratifiedFolds(rows, k, seed);
+  const results = folds.map((testRows, index) => {
+    const trainRows = folds.filter((_, j) => j !== index).flat();
+    const scored = fitAndScore(trainRows, testRows);
+    const { rocCurve: _roc, prCurve: _pr, calibrationCurve: _calibration, ...metrics } = evaluateModel(scored, threshold);
+    return metrics;
+  });
+
+  const summary = {};
+  cvMetrics.forEach((metric) => {
+    const values = results.map((result) => result[metric]);
+    const mean = values.reduce((acc, value) => acc + value, 0) / values.length;
+    const std = Math.sqrt(values.reduce((acc, value) => acc + (value - mean) ** 2, 0) / values.length);
+    summary[metric] = { mean: round(mean), std: round(std) };
+  });
+  return { folds: k, summary, perFold: results };
+}
+
+const thresholdModes = ["fixed", "cost", "precision", "recall"];
+
+function sweepThresholds(rows, policy = {}) {
+  const positives = rows.filter((row) => row.actualChurn === 1).length;
+  return Array.from({ length: 101 }, (_, threshold) => {
+    const { tp, fp, fn } = confusionAt(rows, threshold);
+    const point = {
+      threshold,
+      precision: tp + fp > 0 ? round(tp / (tp + fp)) : 1,
+      recall: positives ? round(tp / positives) : 0,
+      flagged: tp + fp,
+    };
+    if (policy.mode === "cost") point.cost = round((tp + fp) * policy.interventionCost + fn * policy.churnCost, 2);
+    return point;
+  });
+}
+
+function validateThresholdPolicy(policy) {
+  const errors = [];
+  if (!thresholdModes.includes(policy?.mode)) return [`mode must be one of ${thresholdModes.join(", ")}`];
+  const nonNegative = (key) => {
+    if (!Number.isFinite(policy[key]) || policy[key] < 0) errors.push(`${key} must be a non-negative number`);
+  };
+  const unit = (key) => {
+    if (!Number.isFinite(policy[key]) || policy[key] <= 0 || policy[key] > 1) errors.push(`${key} must be between 0 and 1`);
+  };
+  if (policy.mode === "fixed" && (!Number.isFinite(policy.threshold) || policy.threshold < 0 || policy.threshold > 100)) {
+    errors.push("threshold must be between 0 and 100");
+  }
+  if (policy.mode === "cost") {
+    nonNegative("interventionCost");
+    nonNegative("churnCost");
+  }
+  if (policy.mode === "precision" || policy.mode === "recall") unit("target");
+  return errors;
+}
+
+// Picks the operating threshold on held-out rows. Target modes keep the other metric as high as the target allows.
+function selectThreshold(rows, policy) {
+  const sweep = sweepThresholds(rows, policy);
+  let chosen = sweep[50];
+  if (policy.mode === "fixed") {
+    chosen = sweep[Math.round(policy.threshold)];
+  } else if (policy.mode === "cost") {
+    chosen = sweep.reduce((best, point) => (point.cost <= best.cost ? point : best), sweep[0]);
+  } else if (policy.mode === "precision") {
+    chosen = sweep.find((point) => point.flagged > 0 && point.precision >= policy.target) || sweep[100];
+  } else if (policy.mode === "recall") {
+    chosen = sweep.filter((point) => point.recall >= policy.target).pop() || sweep[0];
+  }
+  return { threshold: chosen.threshold, point: chosen, sweep };
+}
+
+module.exports = {
+  createRng,
+  shuffle,
+  stratifiedSplit,
+  stratifiedFolds,
+  confusionAt,
+  downsample,
+  evaluateModel,
+  cvMetrics,
+  crossValidate,
+  thresholdModes,
+  validateThresholdPolicy,
+  selectThreshold,
+};
@@ -0,0 +1,187 @@
+const fs = require("fs");
+const path = require("path");
+
+const dayMs = 24 * 60 * 60 * 1000;
+// Day files are named YYYY-MM-DD, which only sorts by date within four-digit years.
+const lastTime = Date.UTC(9999, 11, 31, 23, 59, 59, 999);
+const maxPoints = 2000;
+const units = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: dayMs };
+// Bucket sizes an automatic or capped resolution is rounded up to, so buckets start on whole minutes, hours or days.
+const steps = [30, 60, 120, 300, 600, 900, 1800, 3600, 7200, 21600, 43200, 86400].map((seconds) => seconds * 1000);
+const kpiFields = ["activeSessions", "avgChurnRisk", "predictedChurners", "avgServiceCalls", "threshold", "predictionDrift"];
+
+const round = (value) => Number(value.toFixed(2));
+const dayOf = (time) => new Date(time).toISOString().slice(0, 10);
+
+// "auto", a number of seconds, or a duration such as "30s", "5m", "1h", "1d".
+function parseResolution(value) {
+  if (value === undefined || value === "" || value === "auto") return null;
+  if (/^\d+$/.test(String(value))) return Number(value) * 1000;
+  const match = String(value).match(/^(\d+)(s|m|h|d)$/);
+  return match ? Number(match[1]) * units[match[2]] : NaN;
+}
+
+function averageGroups(samples, key) {
+  const totals = {};
+  samples.forEach((sample) => {
+    Object.entries(sample[key] || {}).forEach(([name, values]) => {
+      totals[name] = totals[name] || { n: 0, customers: 0, avgRisk: 0, flagged: 0 };
+      totals[name].n += 1;
+      totals[name].customers += values.customers;
+      totals[name].avgRisk += values.avgRisk;
+      totals[name].flagged += values.flagged;
+    });
+  });
+  return Object.fromEntries(
+    Object.entries(totals).map(([name, total]) => [
+      name,
+      { customers: round(total.customers / total.n), avgRisk: round(total.avgRisk / total.n), flagged: round(total.flagged / total.n) },
+    ]),
+  );
+}
+
+// Mean of a field over the samples that recorded it; null when none did (e.g. fields added after older samples).
+function averageField(samples, field) {
+  const values = samples.map((sample) => sample[field]).filter((value) => value !== undefined && value !== null);
+  return values.length ? round(values.reduce((acc, value) => acc + value, 0) / values.length) : null;
+}
+
+// Averages the samples of each time bucket into one point stamped with the bucket start.
+function downsample(samples, bucketMs, includeStates) {
+  const buckets = new Map();
+  samples.forEach((sample) => {
+    const start = Math.floor(Date.parse(sample.time) / bucketMs) * bucketMs;
+    if (!buckets.has(start)) buckets.set(start, []);
+    buckets.get(start).push(sample);
+  });
+  return [...buckets].map(([start, group]) => ({
+    time: new Date(start).toISOString(),
+    samples: group.length,
+    ...Object.fromEntries(kpiFields.map((field) => [field, averageField(group, field)])),
+    platforms: averageGroups(group, "platforms"),
+    ...(includeStates && { states: averageGroups(group, "states") }),
+  }));
+}
+
+// KPI samples in one JSON-lines file per UTC day. Samples are taken at most every sampleMs and files older than the
+// retention period are deleted.
+function createHistoryStore(
+  rootDir,
+  { sampleMs = 30 * 1000, retentionDays = Number(process.env.HISTORY_RETENTION_DAYS) || 30 } = {},
+) {
+  fs.mkdirSync(rootDir, { recursive: true });
+  const dayPath = (day) => path.join(rootDir, `${day}.jsonl`);
+  let lastSampleAt = 0;
+  let prunedDay = null;
+
+  function prune(now) {
+    const cutoff = dayOf(now - retentionDays * dayMs);
+    fs.readdirSync(rootDir)
+      .filter((file) => file.endsWith(".jsonl") && file.slice(0, 10) < cutoff)
+      .forEach((file) => fs.rmSync(path.join(rootDir, file), { force: true }));
+    prunedDay = dayOf(now);
+  }
+
+  function isDue(now = Date.now()) {
+    return now - lastSampleAt >= sampleMs;
+  }
+
+  function append(sample) {
+    const time = Date.parse(sample.time);
+    lastSampleAt = time;
+    if (prunedDay !== dayOf(time)) prune(time);
+    fs.appendFileSync(dayPath(dayOf(time)), `${JSON.stringify(sample)}\n`);
+  }
+
+  function readDay(day) {
+    const file = dayPath(day);
+    if (!fs.existsSync(file)) return [];
+    return fs
+      .readFileSync(file, "utf8")
+      .split("\n")
+      .flatMap((line) => {
+        try {
+          return line ? [JSON.parse(line)] : [];
+        } catch {
+          return [];
+        }
+      });
+  }
+
+  // The last sample taken at or before time, looking back at most one day.
+  function sampleAt(time) {
+    for (const day of [dayOf(time), dayOf(time - dayMs)]) {
+      const match = readDay(day)
+        .filter((sample) => Date.parse(sample.time) <= time)
+        .at(-1);
+      if (match) return match;
+    }
+    return null;
+  }
+
+  function validateQuery({ from, to, resolution }) {
+    const errors = [];
+    const now = Date.now();
+    const range = {
+      from: from ? new Date(from).getTime() : now - 60 * 60 * 1000,
+      to: to ? new Date(to).getTime() : now,
+      bucketMs: parseResolution(resolution),
+    };
+    if (Number.isNaN(range.from) || Number.isNaN(range.to)) errors.push("from and to must be ISO timestamps");
+    else if (range.from < 0 || range.to > lastTime) errors.push("from and to must fall between 1970 and 9999");
+    else if (range.from >= range.to) errors.push("from must be before to");
+    if (Number.isNaN(range.bucketMs) || range.bucketMs === 0) {
+      errors.push('resolution must be "auto", a number of seconds or a duration like 30s, 5m, 1h, 1d');
+    }
+    return { range, errors };
+  }
+
+  // Without an explicit resolution the range is split into about 300 points; finer requests are capped at maxPoints.
+  async function query(input = {}) {
+    const { range, errors } = validateQuery(input);
+    if (errors.length) return { errors };
+    const span = range.to - range.from;
+    const floor = Math.max(sampleMs, span / maxPoints);
+    let bucketMs = range.bucketMs ?? span / 300;
+    if (bucketMs < floor || range.bucketMs === null) {
+      const target = Math.max(bucketMs, floor);
+      bucketMs = steps.find((step) => step >= target) || Math.ceil(target / dayMs) * dayMs;
+    }
+
+    // Only stored day files inside the range are read, so a range reaching far past the retention period costs nothing.
+    const firstDay = dayOf(range.from);
+    const lastDay = dayOf(range.to);
+    const days = (await fs.promises.readdir(rootDir))
+      .filter((file) => file.endsWith(".jsonl"))
+      .map((file) => file.slice(0, 10))
+      .filter((day) => day >= firstDay && day <= lastDay)
+      .sort();
+    const samples = [];
+    for (const day of days) {
+      const lines = (await fs.promises.readFile(dayPath(day), "utf8")).split("\n");
+      lines.forEach((line) => {
+        if (!line) return;
+        let sample;
+        try {
+          sample = JSON.parse(line);
+        } catch {
+          return;
+        }
+        const time = Date.parse(sample.time);
+        if (time >= range.from && time <= range.to) samples.push(sample);
+      });
+    }
+
+    return {
+      from: new Date(range.from).toISOString(),
+      to: new Date(range.to).toISOString(),
+      resolution: bucketMs / 1000,
+      sampleInterval: sampleMs / 1000,
+      points: downsample(samples, bucketMs, input.include === "states"),
+    };
+  }
+
+  return { isDue, append, query, sampleAt };
+}
+
+module.exports = { createHistoryStore };
@@ -0,0 +1,122 @@
+const fs = require("fs");
+const path = require("path");
+const { createRng, shuffle } = require("./evaluation");
+
+// Ways to counter a rare churn label. classWeight reweighs the loss; the sampling strategies change the training rows
+// only, never the rows a model is evaluated on. smote adds synthetic minority rows interpolated between a minority row
+// and one of its nearest minority neighbours.
+const imbalanceStrategies = ["none", "classWeight", "oversample", "undersample", "smote"];
+const samplingStrategies = ["oversample", "undersample", "smote"];
+const smoteNeighbours = 5;
+
+// Per-class weights: "balanced" weighs each class inversely to its frequency so both contribute equally to the loss.
+function classWeights(y, classWeight) {
+  if (classWeight !== "balanced") return [1, 1];
+  const positives = y.reduce((acc, label) => acc + label, 0);
+  const negatives = y.length - positives;
+  return [negatives ? y.length / (2 * negatives) : 1, positives ? y.length / (2 * positives) : 1];
+}
+
+// Reconciles a strategy with the classWeight hyperparameter so a model trains with exactly one correction: the
+// classWeight strategy is a balanced classWeight, a balanced classWeight without a strategy selects it, and every
+// other strategy trains with unweighted loss.
+function imbalanceCorrection(params) {
+  const requested = params.imbalance ?? "none";
+  const strategy = requested === "none" && params.classWeight === "balanced" ? "classWeight" : requested;
+  return { ...params, imbalance: strategy, classWeight: strategy === "classWeight" ? "balanced" : "none" };
+}
+
+// Indices of the k nearest other points of each point, keeping a small sorted list instead of sorting every distance.
+function nearestNeighbours(points, k) {
+  return points.map((point, a) => {
+    const nearest = [];
+    points.forEach((other, b) => {
+      if (a === b) return;
+      const distance = other.reduce((acc, value, j) => acc + (value - point[j]) ** 2, 0);
+      if (nearest.length === k && distance >= nearest[k - 1].distance) return;
+      let at = nearest.length;
+      while (at > 0 && nearest[at - 1].distance > distance) at -= 1;
+      nearest.splice(at, 0, { b, distance });
+      if (nearest.length > k) nearest.pop();
+    });
+    return nearest.map((item) => item.b);
+  });
+}
+
+// count synthetic rows from the minority rows. Distances use standardized features; 0/1 columns take the value of
+// whichever endpoint the new row lies closer to, so flags stay flags.
+function smote(minorityRows, count, rng) {
+  const m = minorityRows[0].length;
+  const stds = Array.from({ length: m }, (_, j) => {
+    const mean = minorityRows.reduce((acc, row) => acc + row[j], 0) / minorityRows.length;
+    return Math.sqrt(minorityRows.reduce((acc, row) => acc + (row[j] - mean) ** 2, 0) / minorityRows.length) || 1;
+  });
+  const binary = Array.from({ length: m }, (_, j) => minorityRows.every((row) => row[j] === 0 || row[j] === 1));
+  const neighbours = nearestNeighbours(
+    minorityRows.map((row) => row.map((value, j) => value / stds[j])),
+    smoteNeighbours,
+  );
+  return Array.from({ length: count }, () => {
+    const a = Math.floor(rng() * minorityRows.length);
+    if (!neighbours[a].length) return minorityRows[a].slice();
+    const b = neighbours[a][Math.floor(rng() * neighbours[a].length)];
+    const gap = rng();
+    return minorityRows[a].map((value, j) => {
+      if (binary[j]) return gap < 0.5 ? value : minorityRows[b][j];
+      return value + gap * (minorityRows[b][j] - value);
+    });
+  });
+}
+
+// Balances the two classes of a training set by the sampling strategies; other strategies return it unchanged.
+function resample(X, y, strategy, seed = 42) {
+  if (!samplingStrategies.includes(strategy)) return { X, y };
+  const rng = createRng(seed);
+  const positives = [];
+  const negatives = [];
+  y.forEach((label, i) => (label === 1 ? positives : negatives).push(i));
+  const [minority, majority] = positives.length <= negatives.length ? [positives, negatives] : [negatives, positives];
+  if (!minority.length || minority.length === majority.length) return { X, y };
+  const minorityLabel = y[minority[0]];
+  const gap = majority.length - minority.length;
+
+  if (strategy === "undersample") {
+    const keep = [...minority, ...shuffle(majority, rng).slice(0, minority.length)];
+    return { X: keep.map((i) => X[i]), y: keep.map((i) => y[i]) };
+  }
+  const extra =
+    strategy === "oversample"
+      ? Array.from({ length: gap }, () => X[minority[Math.floor(rng() * minority.length)]])
+      : smote(minority.map((i) => X[i]), gap, rng);
+  return { X: [...X, ...extra], y: [...y, ...extra.map(() => minorityLabel)] };
+}
+
+// The strategy chosen for each dataset and the last comparison of all strategies on it, keyed by dataset id.
+function createImbalanceStore(rootDir) {
+  const filePath = path.join(rootDir, "imbalance.json");
+  const byDataset = fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, "utf8")) : {};
+
+  function save() {
+    fs.mkdirSync(rootDir, { recursive: true });
+    fs.writeFileSync(filePath, JSON.stringify(byDataset));
+  }
+
+  function get(datasetId) {
+    return { strategy: "none", report: null, ...(byDataset[datasetId] || {}) };
+  }
+
+  function setStrategy(datasetId, strategy) {
+    byDataset[datasetId] = { ...get(datasetId), strategy };
+    save();
+    return byDataset[datasetId];
+  }
+
+  function setReport(datasetId, report) {
+    byDataset[datasetId] = { ...get(datasetId), report };
+    save();
+  }
+
+  return { get, setStrategy, setReport };
+}
+
+module.exports = { imbalanceStrategies, samplingStrategies, classWeights, imbalanceCorrection, resample, createImbalanceStore };
@@ -1,467 +1,877 @@
 const fs = require("fs");
+const os = require("os");
 const path = require("path");
 const express = require("express");
 const cors = require("cors");
 const http = require("http");
 const { Server } = require("socket.io");
 const multer = require("multer");
+const { validateMapping, mappingPath, writeMapping } = require("./schema");
+const { validateThresholdPolicy } = require("./evaluation");
+const { readCsv, formatCsvLine } = require("./csv");
+const { createQualityReport } = require("./quality");
+const { validateHyperparameters } = require("./model");
+const { defaultSpace } = require("./search");
+const { createWorkspace, createWorkspaceDirectory, defaultWorkspaceId } = require("./workspace");
+const { createAuth, hasRole } = require("./auth");
+
+// Browser origins allowed to call the API and open the socket; CORS_ORIGINS is a comma-separated list, "*" allows any.
+const corsOrigins = (process.env.CORS_ORIGINS || "http://localhost:5173,http://127.0.0.1:5173")
+  .split(",")
+  .map((origin) => origin.trim())
+  .filter(Boolean);
+const corsOrigin = corsOrigins.includes("*") ? "*" : corsOrigins;
 
 const app = express();
-app.use(cors());
-app.use(express.json());
+app.use(cors({ origin: corsOrigin }));
+app.use(express.json({ limit: "5mb" }));
 
 const server = http.createServer(app);
-const io = new Server(server, { cors: { origin: "*" } });
+const io = new Server(server, { cors: { origin: corsOrigin } });
 
-const platforms = ["Netflix", "Prime Video", "Disney+ Hotstar", "Crunchyroll", "Aha"];
 const defaultDataset = path.join(__dirname, "../data/data.csv");
 const datasetPath = process.env.DATASET_PATH || defaultDataset;
 
-// Ensure uploads directory exists
-const uploadDir = path.join(__dirname, "uploads");
-if (!fs.existsSync(uploadDir)) {
-  fs.mkdirSync(uploadDir);
+const storageDir = process.env.STORAGE_DIR || path.join(__dirname, "storage");
+const auth = createAuth(path.join(storageDir, "auth"));
+const workspaceDirectory = createWorkspaceDirectory(storageDir);
+// Running workspaces by id; a workspace is added once its first model is loaded.
+const workspaces = new Map();
+const workspaceRoom = (id) => `workspace:${id}`;
+const segmentRoom = (id, key) => `workspace:${id}:segment:${key}`;
+
+// The default workspace keeps the layout from before workspaces existed (storage/ and server/uploads); the others
+// live entirely under storage/workspaces/<id>.
+function workspaceRoot(id) {
+  return id === defaultWorkspaceId ? storageDir : path.join(storageDir, "workspaces", id);
 }
 
+async function openWorkspace({ id }) {
+  const rootDir = workspaceRoot(id);
+  const workspace = createWorkspace({
+    id,
+    rootDir,
+    uploadDir: id === defaultWorkspaceId ? path.join(__dirname, "uploads") : path.join(rootDir, "uploads"),
+    datasetPath,
+    emit: (event, payload) => io.to(workspaceRoom(id)).emit(event, payload),
+    emitSegment: (key, view) => io.to(segmentRoom(id, key)).emit("segment:update", view),
+  });
+  await workspace.start();
+  workspaces.set(id, workspace);
+  return workspace;
+}
+
+// REST callers send a session token or API key as `Authorization: Bearer <credential>` (API keys may also use X-API-Key).
+function credentialFrom(req) {
+  const header = req.get("authorization") || "";
+  if (header.toLowerCase().startsWith("bearer ")) return header.slice(7).trim();
+  return req.get("x-api-key") || null;
+}
+
+const publicRoutes = new Set(["/health", "/api/auth/login"]);
+app.use((req, res, next) => {
+  if (req.method === "OPTIONS" || publicRoutes.has(req.path)) return next();
+  req.principal = auth.authenticate(credentialFrom(req));
+  if (!req.principal) return res.status(401).json({ error: "Sign in or provide an API key" });
+  next();
+});
+
+// Everything except sign-in, users, API keys and the workspace list is scoped to the workspace named in the
+// X-Workspace-Id (or X-Workspace) header, or the default workspace without one; an unknown id is a 404.
+const sharedRoutes = /^\/api\/(auth|users|api-keys|workspaces)(\/|$)/;
+app.use((req, res, next) => {
+  if (req.method === "OPTIONS" || publicRoutes.has(req.path) || sharedRoutes.test(req.path)) return next();
+  const id = req.get("x-workspace-id") || req.get("x-workspace") || defaultWorkspaceId;
+  req.workspace = workspaces.get(id);
+  if (!req.workspace) return res.status(404).json({ error: `Workspace "${id}" not found` });
+  next();
+});
+
+// Roles are ordered viewer < analyst < admin; each route names the lowest role that may call it.
+function requireRole(role) {
+  return (req, res, next) => {
+    if (hasRole(req.principal.role, role)) return next();
+    res.status(403).json({ error: `This action needs the ${role} role` });
+  };
+}
+
+io.use((socket, next) => {
+  const principal = auth.authenticate(socket.handshake.auth?.token);
+  if (!principal) return next(new Error("Unauthorized"));
+  socket.data.principal = principal;
+  const requested = socket.handshake.auth?.workspace || defaultWorkspaceId;
+  if (!workspaces.has(requested)) {
+    const error = new Error(`Workspace "${requested}" not found`);
+    error.data = { status: 404 };
+    return next(error);
+  }
+  socket.data.workspaceId = requested;
+  next();
+});
+
 const storage = multer.diskStorage({
-  destination: (req, file, cb) => cb(null, uploadDir),
+  destination: (req, file, cb) => cb(null, req.workspace.uploadDir),
   filename: (req, file, cb) => cb(null, `${Date.now()}-${file.originalname}`),
 });
 const upload = multer({ storage });
+const scratchUpload = multer({ dest: os.tmpdir() });
 
-const featureDefs = [
-  { key: "account length", name: "Account Tenure", type: "num" },
-  { key: "international plan", name: "International Plan", type: "boolYes" },
-  { key: "voice mail plan", name: "Voicemail Plan", type: "boolYes" },
-  { key: "number vmail messages", name: "Voicemail Usage", type: "num" },
-  { key: "total day minutes", name: "Day Usage", type: "num" },
-  { key: "total eve minutes", name: "Evening Usage", type: "num" },
-  { key: "total night minutes", name: "Night Usage", type: "num" },
-  { key: "total intl minutes", name: "International Usage", type: "num" },
-  { key: "customer service calls", name: "Service Calls", type: "num" },
-];
-
-let state = {
-  kpis: { activeSessions: 0, avgChurnRisk: 0, predictedChurners: 0, totalMinutes: 0, avgServiceCalls: 0 },
-  platformMetrics: [],
-  riskDistribution: [],
-  trend: [],
-  liveFeed: [],
-  topRiskCustomers: [],
-  alerts: [],
-  modelStats: null,
-  states: [],
-  platforms,
-  streamCustomers: [],
-  updateAt: new Date().toISOString(),
-  datasetInfo: { path: datasetPath, rows: 0 },
-};
-
-let mappedRows = [];
-let model = null;
-let currentDatasetPath = datasetPath;
-let cursor = 0;
-let streamWindow = [];
-let trendWindow = [];
-
-function initData(csvPath) {
+// Failed logins per client address; after five in 15 minutes further attempts are refused until the window passes.
+const loginFailures = new Map();
+const loginWindowMs = 15 * 60 * 1000;
+
+// Addresses whose last failure has left the window are dropped, so the map only holds recent offenders.
+setInterval(() => {
+  const now = Date.now();
+  loginFailures.forEach((failures, ip) => {
+    if (now - failures[failures.length - 1] >= loginWindowMs) loginFailures.delete(ip);
+  });
+}, loginWindowMs).unref();
+
+app.post("/api/auth/login", async (req, res) => {
+  const now = Date.now();
+  const failures = (loginFailures.get(req.ip) || []).filter((at) => now - at < loginWindowMs);
+  if (failures.length >= 5) return res.status(429).json({ error: "Too many failed sign-in attempts; try again later" });
+
+  const session = await auth.login(req.body?.username, req.body?.password);
+  if (!session) {
+    loginFailures.set(req.ip, [...failures, now]);
+    return res.status(401).json({ error: "Wrong username or password" });
+  }
+  loginFailures.delete(req.ip);
+  res.json(session);
+});
+
+app.get("/api/auth/me", (req, res) => {
+  res.json(req.principal);
+});
+
+app.get("/api/users", requireRole("admin"), (_req, res) => {
+  res.json(auth.listUsers());
+});
+
+app.post("/api/users", requireRole("admin"), async (req, res) => {
+  const { user, errors } = await auth.createUser(req.body);
+  if (errors) return res.status(400).json({ error: "Invalid user", details: errors });
+  res.status(201).json(user);
+});
+
+app.put("/api/users/:id", requireRole("admin"), async (req, res) => {
+  const result = await auth.updateUser(req.params.id, req.body);
+  if (!result) return res.status(404).json({ error: "User not found" });
+  if (result.errors) return res.status(400).json({ error: "Invalid user", details: result.errors });
+  res.json(result.user);
+});
+
+app.delete("/api/users/:id", requireRole("admin"), (req, res) => {
+  const result = auth.removeUser(req.params.id);
+  if (!result) return res.status(404).json({ error: "User not found" });
+  if (result.errors) return res.status(409).json({ error: result.errors[0] });
+  res.json({ success: true });
+});
+
+app.get("/api/api-keys", requireRole("admin"), (_req, res) => {
+  res.json(auth.listApiKeys());
+});
+
+app.post("/api/api-keys", requireRole("admin"), (req, res) => {
+  const { apiKey, errors } = auth.createApiKey(req.body, req.principal.name);
+  if (errors) return res.status(400).json({ error: "Invalid API key", details: errors });
+  res.status(201).json(apiKey);
+});
+
+app.delete("/api/api-keys/:id", requireRole("admin"), (req, res) => {
+  if (!auth.revokeApiKey(req.params.id)) return res.status(404).json({ error: "API key not found" });
+  res.json({ success: true });
+});
+
+app.post("/api/upload", requireRole("admin"), upload.single("dataset"), async (req, res) => {
+  const ws = req.workspace;
+  if (!req.file) return res.status(400).json({ error: "No file uploaded" });
   try {
-    const rawRows = loadDataset(csvPath);
-    const modelingRows = rawRows.map((row, idx) => toModelRow(row, idx));
-    model = trainLogisticRegression(modelingRows, 650, 0.07, 0.0007);
-    mappedRows = modelingRows.map((row) => scoreRow(row, model));
-    const allStates = [...new Set(mappedRows.map((row) => row.state))].sort();
-
-    state.modelStats = evaluateModel(mappedRows);
-    state.states = allStates;
-    state.datasetInfo = { path: csvPath, rows: mappedRows.length };
-    currentDatasetPath = csvPath;
-    cursor = 0;
-    streamWindow = [];
-    trendWindow = [];
-    state.liveFeed = [];
-    state.trend = [];
-
-    console.log(`Dataset initialized: ${path.resolve(csvPath)} (${mappedRows.length} rows)`);
-    return true;
+    const pending = await ws.stageUpload(req.file.path, req.file.originalname);
+    res.json({ success: true, upload: pending });
   } catch (err) {
-    console.error("Failed to initialize dataset:", err);
-    return false;
+    fs.rm(req.file.path, { force: true }, () => {});
+    res.status(400).json({ error: err.message });
   }
-}
+});
 
-function parseCsvLine(line) {
-  const out = [];
-  let value = "";
-  let inQuotes = false;
-  for (let i = 0; i < line.length; i += 1) {
-    const c = line[i];
-    if (c === '"') {
-      if (inQuotes && line[i + 1] === '"') {
-        value += '"';
-        i += 1;
-      } else {
-        inQuotes = !inQuotes;
-      }
-      continue;
-    }
-    if (c === "," && !inQuotes) {
-      out.push(value.trim());
-      value = "";
-      continue;
-    }
-    value += c;
-  }
-  out.push(value.trim());
-  return out;
-}
+const datasetBusy = { error: "Another dataset is still loading; try again when it finishes" };
 
-function loadDataset(csvPath) {
-  const absolute = path.resolve(csvPath);
-  if (!fs.existsSync(absolute)) {
-    throw new Error(`Dataset not found: ${absolute}`);
+// Staging step: the chosen mapping is checked against the whole file before anything goes live.
+app.post("/api/upload/:id/mapping", requireRole("admin"), async (req, res) => {
+  const ws = req.workspace;
+  const pending = ws.pendingUploads.get(req.params.id);
+  if (!pending) return res.status(404).json({ error: "Upload not found or already activated" });
+  const mapping = req.body?.mapping;
+  const errors = validateMapping(mapping, pending.headers);
+  if (errors.length) return res.status(400).json({ error: "Invalid column mapping", details: errors });
+
+  try {
+    const quality = createQualityReport({
+      headers: pending.headers,
+      mapping,
+      baseline: ws.featureProfiles,
+      liveColumns: ws.featureDefs.map((def) => def.key),
+    });
+    const { rejected, rejectedCount } = await readCsv(pending.path, { onRecord: quality.add });
+    pending.mapping = mapping;
+    pending.report = quality.finish({ rejected, rejectedCount });
+    res.json({ success: true, upload: pending });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
   }
-  const raw = fs.readFileSync(absolute, "utf8").trim();
-  const lines = raw.split(/\r?\n/).filter(Boolean);
-  const headers = parseCsvLine(lines[0]);
-  return lines.slice(1).map((line) => {
-    const parts = parseCsvLine(line);
-    const record = {};
-    headers.forEach((header, index) => {
-      record[header] = parts[index] || "";
+});
+
+app.get("/api/upload/:id", requireRole("admin"), (req, res) => {
+  const ws = req.workspace;
+  const pending = ws.pendingUploads.get(req.params.id);
+  if (!pending) return res.status(404).json({ error: "Upload not found or already activated" });
+  res.json({ upload: pending });
+});
+
+app.post("/api/upload/:id/activate", requireRole("admin"), async (req, res) => {
+  const ws = req.workspace;
+  const pending = ws.pendingUploads.get(req.params.id);
+  if (!pending) return res.status(404).json({ error: "Upload not found or already activated" });
+  if (!pending.report) return res.status(409).json({ error: "Review the data-quality report before activating" });
+  if (!pending.report.canActivate) {
+    return res.status(409).json({
+      error: "The data-quality report has blocking errors",
+      details: pending.report.issues.filter((issue) => issue.level === "error").map((issue) => issue.message),
     });
-    return record;
+  }
+  if (ws.loading) return res.status(409).json(datasetBusy);
+
+  // Training runs in a worker; the job is returned at once and reports progress through training:progress events.
+  writeMapping(pending.path, pending.mapping);
+  const { job, done } = ws.startTraining(pending.path, { folds: Number(req.body?.folds) || 0, algorithm: req.body?.algorithm });
+  done.then((ok) => {
+    if (ok) ws.pendingUploads.delete(pending.id);
   });
-}
+  res.status(202).json({ success: true, job });
+});
 
-function toNum(value) {
-  const n = Number(value);
-  return Number.isFinite(n) ? n : 0;
-}
+app.delete("/api/upload/:id", requireRole("admin"), (req, res) => {
+  const ws = req.workspace;
+  const pending = ws.pendingUploads.get(req.params.id);
+  if (!pending) return res.status(404).json({ error: "Upload not found" });
+  ws.pendingUploads.delete(pending.id);
+  // Cancelling a review re-opened from the library keeps the file; only fresh uploads are discarded.
+  if (!pending.reopened) {
+    ws.datasetLibrary.remove(pending.id);
+    fs.rm(pending.path, { force: true }, () => {});
+  }
+  res.json({ success: true });
+});
 
-function toBoolYes(value) {
-  return String(value || "").trim().toLowerCase() === "yes" ? 1 : 0;
-}
+app.get("/api/datasets", (req, res) => {
+  const ws = req.workspace;
+  res.json({ active: ws.state.datasetInfo.id ?? null, datasets: ws.datasetLibrary.list().map(ws.datasetSummary) });
+});
 
-function hashText(text) {
-  let hash = 0;
-  for (let i = 0; i < text.length; i += 1) {
-    hash = (hash * 31 + text.charCodeAt(i)) % 2147483647;
+app.put("/api/datasets/:id", requireRole("admin"), (req, res) => {
+  const ws = req.workspace;
+  try {
+    const dataset = ws.datasetLibrary.rename(req.params.id, req.body?.name);
+    if (!dataset) return res.status(404).json({ error: "Dataset not found" });
+    if (dataset.id === ws.state.datasetInfo.id) {
+      ws.state.datasetInfo.name = dataset.name;
+      ws.publishState();
+    }
+    res.json(ws.datasetSummary(dataset));
+  } catch (err) {
+    res.status(400).json({ error: err.message });
   }
-  return hash;
-}
+});
 
-function sigmoid(x) {
-  return 1 / (1 + Math.exp(-x));
-}
+// Switching serves the latest model already trained on the dataset; retrain: true (or no usable model) trains a new one
+// in a worker and answers 202 with its job.
+// Datasets that were never activated go back through the staged review instead.
+app.post("/api/datasets/:id/activate", requireRole("admin"), async (req, res) => {
+  const ws = req.workspace;
+  const dataset = ws.datasetLibrary.get(req.params.id);
+  if (!dataset) return res.status(404).json({ error: "Dataset not found" });
+  if (!fs.existsSync(dataset.path)) return res.status(409).json({ error: `Dataset file is missing: ${dataset.path}` });
+  const algorithm = req.body?.algorithm;
+  if (algorithm !== undefined && !ws.algorithms.includes(algorithm)) {
+    return res.status(400).json({ error: `algorithm must be one of ${ws.algorithms.join(", ")}` });
+  }
+  if (ws.loading) return res.status(409).json(datasetBusy);
+
+  if (dataset.status === "staged") {
+    try {
+      const pending = ws.pendingUploads.get(dataset.id) || (await ws.stageUpload(dataset.path, dataset.originalName));
+      pending.reopened = true;
+      return res.status(202).json({ success: false, staged: true, upload: pending });
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+  }
 
-function clamp01(value) {
-  return Math.max(0, Math.min(1, value));
-}
+  const version = req.body?.retrain ? null : [...dataset.modelVersions].reverse().find((v) => ws.modelRegistry.get(v));
+  try {
+    if (version) {
+      await ws.serveModelVersion(version);
+      ws.modelRegistry.activate(version);
+    } else {
+      const { job } = ws.startTraining(dataset.path, { algorithm, folds: Number(req.body?.folds) || 0 });
+      return res.status(202).json({ success: true, job });
+    }
+  } catch (err) {
+    return res.status(409).json({ error: err.message });
+  }
+  ws.publishState();
+  res.json({ success: true, dataset: ws.datasetSummary(ws.datasetLibrary.get(dataset.id)), modelVersion: ws.state.modelVersion });
+});
 
-function featureValue(row, def) {
-  if (def.type === "num") return toNum(row[def.key]);
-  if (def.type === "boolYes") return toBoolYes(row[def.key]);
-  return 0;
-}
+// Model versions trained on a deleted dataset stay in the registry but can no longer be served.
+app.delete("/api/datasets/:id", requireRole("admin"), (req, res) => {
+  const ws = req.workspace;
+  const dataset = ws.datasetLibrary.get(req.params.id);
+  if (!dataset) return res.status(404).json({ error: "Dataset not found" });
+  if (dataset.builtIn) return res.status(409).json({ error: "The bundled dataset cannot be deleted" });
+  if (ws.datasetSummary(dataset).active) {
+    return res.status(409).json({ error: "This dataset is live; switch to another dataset before deleting it" });
+  }
+  ws.pendingUploads.delete(dataset.id);
+  ws.datasetLibrary.remove(dataset.id);
+  fs.rm(dataset.path, { force: true }, () => {});
+  fs.rm(mappingPath(dataset.path), { force: true }, () => {});
+  res.json({ success: true, unservableModelVersions: dataset.modelVersions });
+});
 
-function featureVector(row) {
-  return featureDefs.map((def) => featureValue(row, def));
-}
+app.post("/api/retrain", requireRole("admin"), async (req, res) => {
+  const ws = req.workspace;
+  const algorithm = req.body?.algorithm || ws.defaultAlgorithm;
+  if (!ws.algorithms.includes(algorithm)) {
+    return res.status(400).json({ error: `algorithm must be one of ${ws.algorithms.join(", ")}` });
+  }
+  const hyperparameters = req.body?.hyperparameters;
+  if (hyperparameters !== undefined) {
+    const errors =
+      hyperparameters && typeof hyperparameters === "object"
+        ? validateHyperparameters(algorithm, hyperparameters)
+        : ["hyperparameters must be an object"];
+    if (errors.length) return res.status(400).json({ error: "Invalid hyperparameters", details: errors });
+  }
+  if (ws.loading) return res.status(409).json(datasetBusy);
+  const { job } = ws.startTraining(ws.state.datasetInfo.path, { algorithm, hyperparameters, folds: Number(req.body?.folds) || 0 });
+  res.status(202).json({ success: true, job });
+});
 
-function toModelRow(row, idx) {
-  const stateCode = row.state || "NA";
-  const areaCode = row["area code"] || "000";
-  const platform = platforms[hashText(`${stateCode}-${areaCode}-${idx}`) % platforms.length];
-  const tier =
-    toNum(row["total day minutes"]) + toNum(row["total eve minutes"]) > 420
-      ? "Premium"
-      : toNum(row["total day minutes"]) > 210
-        ? "Standard"
-        : "Mobile";
+app.get("/api/imbalance", (req, res) => {
+  res.json(req.workspace.imbalanceStatus());
+});
 
-  return {
-    id: row["phone number"] || `${stateCode}-${idx}`,
-    state: stateCode,
-    platform,
-    tier,
-    actualChurn: String(row.churn).trim().toLowerCase() === "true" ? 1 : 0,
-    minutes:
-      toNum(row["total day minutes"]) +
-      toNum(row["total eve minutes"]) +
-      toNum(row["total night minutes"]) +
-      toNum(row["total intl minutes"]),
-    serviceCalls: toNum(row["customer service calls"]),
-    interactionPulse: Math.round(
-      (toNum(row["total day calls"]) + toNum(row["total eve calls"]) + toNum(row["total night calls"])) / 3,
-    ),
-    raw: row,
-  };
-}
+// Chooses the imbalance strategy for the serving dataset; the next training run on it uses the strategy.
+app.put("/api/imbalance", requireRole("admin"), (req, res) => {
+  const result = req.workspace.setImbalanceStrategy(req.body?.strategy);
+  if (result.errors) return res.status(400).json({ error: result.errors[0] });
+  res.json(result);
+});
 
-function trainLogisticRegression(rows, epochs = 500, lr = 0.05, l2 = 0.0005) {
-  const X = rows.map((row) => featureVector(row.raw));
-  const y = rows.map((row) => row.actualChurn);
-  const n = X.length;
-  const m = featureDefs.length;
-
-  const means = new Array(m).fill(0);
-  const stds = new Array(m).fill(0);
-  for (let j = 0; j < m; j += 1) {
-    means[j] = X.reduce((acc, row) => acc + row[j], 0) / n;
-    const variance = X.reduce((acc, row) => acc + (row[j] - means[j]) ** 2, 0) / Math.max(1, n - 1);
-    stds[j] = Math.sqrt(variance) || 1;
-  }
+app.post("/api/imbalance/compare", requireRole("admin"), (req, res) => {
+  const result = req.workspace.compareImbalance();
+  if (result.errors) return res.status(409).json({ error: result.errors[0] });
+  res.status(202).json({ success: true, job: result.job });
+});
 
-  const Z = X.map((row) => row.map((value, j) => (value - means[j]) / stds[j]));
-  const w = new Array(m).fill(0);
-  let b = 0;
-
-  for (let epoch = 0; epoch < epochs; epoch += 1) {
-    const dw = new Array(m).fill(0);
-    let db = 0;
-    for (let i = 0; i < n; i += 1) {
-      let z = b;
-      for (let j = 0; j < m; j += 1) z += w[j] * Z[i][j];
-      const p = sigmoid(z);
-      const diff = p - y[i];
-      for (let j = 0; j < m; j += 1) dw[j] += diff * Z[i][j];
-      db += diff;
-    }
+app.get("/api/search", (req, res) => {
+  res.json({ searches: req.workspace.searches.list(), defaults: defaultSpace });
+});
 
-    for (let j = 0; j < m; j += 1) {
-      const grad = dw[j] / n + l2 * w[j];
-      w[j] -= lr * grad;
-    }
-    b -= lr * (db / n);
-  }
+app.get("/api/search/:id", (req, res) => {
+  const search = req.workspace.searches.get(req.params.id);
+  if (!search) return res.status(404).json({ error: "Search not found" });
+  res.json(search);
+});
 
-  return { weights: w, bias: b, means, stds };
-}
+// Starts a grid or random search over the logistic learner's epochs, learning rate and L2; answers 202 with its job.
+app.post("/api/search", requireRole("admin"), (req, res) => {
+  const result = req.workspace.startSearch(req.body || {});
+  if (result.errors) return res.status(400).json({ error: "Invalid search", details: result.errors });
+  res.status(202).json({ success: true, job: result.job });
+});
 
-function scoreRow(row, logisticModel) {
-  const rawX = featureVector(row.raw);
-  const zX = rawX.map((value, j) => (value - logisticModel.means[j]) / logisticModel.stds[j]);
-  let z = logisticModel.bias;
-  for (let j = 0; j < zX.length; j += 1) z += logisticModel.weights[j] * zX[j];
-  const churnRisk = Number((sigmoid(z) * 100).toFixed(2));
-
-  const contributions = featureDefs.map((def, j) => ({
-    feature: def.name,
-    value: rawX[j],
-    effect: logisticModel.weights[j] * zX[j],
-  }));
-
-  const riskDrivers = contributions
-    .slice()
-    .sort((a, b) => Math.abs(b.effect) - Math.abs(a.effect))
-    .slice(0, 5)
-    .map((driver) => ({
-      feature: driver.feature,
-      direction: driver.effect >= 0 ? "up" : "down",
-      impact: Number(Math.abs(driver.effect).toFixed(3)),
-    }));
+app.get("/api/jobs", (req, res) => {
+  res.json({ jobs: req.workspace.listJobs() });
+});
 
-  return {
-    ...row,
-    churnRisk,
-    bufferingRate: Number((clamp01(row.serviceCalls / 8) * 6).toFixed(2)),
-    satisfaction: Math.max(20, Math.min(99, Math.round(100 - churnRisk * 0.7))),
-    riskDrivers,
-  };
-}
+app.get("/api/jobs/:id", (req, res) => {
+  const job = req.workspace.getJob(req.params.id);
+  if (!job) return res.status(404).json({ error: "Job not found" });
+  res.json(job);
+});
 
-function evaluateModel(rows) {
-  const threshold = 50;
-  let tp = 0;
-  let fp = 0;
-  let tn = 0;
-  let fn = 0;
-  rows.forEach((row) => {
-    const pred = row.churnRisk >= threshold ? 1 : 0;
-    if (pred === 1 && row.actualChurn === 1) tp += 1;
-    if (pred === 1 && row.actualChurn === 0) fp += 1;
-    if (pred === 0 && row.actualChurn === 0) tn += 1;
-    if (pred === 0 && row.actualChurn === 1) fn += 1;
-  });
-  const total = rows.length || 1;
-  const precision = tp + fp > 0 ? tp / (tp + fp) : 0;
-  const recall = tp + fn > 0 ? tp / (tp + fn) : 0;
-  const f1 = precision + recall > 0 ? (2 * precision * recall) / (precision + recall) : 0;
-  return {
-    threshold,
-    accuracy: Number((((tp + tn) / total) * 100).toFixed(2)),
-    precision: Number((precision * 100).toFixed(2)),
-    recall: Number((recall * 100).toFixed(2)),
-    f1: Number((f1 * 100).toFixed(2)),
-  };
-}
+app.post("/api/jobs/:id/cancel", requireRole("admin"), (req, res) => {
+  const result = req.workspace.cancelJob(req.params.id);
+  if (!result) return res.status(404).json({ error: "Job not found" });
+  if (result.errors) return res.status(409).json({ error: result.errors[0] });
+  res.json({ success: true, job: result.job });
+});
 
-function summarizePlatform(rows, platform) {
-  const group = rows.filter((row) => row.platform === platform);
-  if (!group.length) return { name: platform, activeUsers: 0, avgRisk: 0, serviceLoad: 0, avgMinutes: 0, satisfaction: 0 };
-  const avg = (calc) => Number((calc / group.length).toFixed(2));
-  return {
-    name: platform,
-    activeUsers: group.length,
-    avgRisk: avg(group.reduce((acc, cur) => acc + cur.churnRisk, 0)),
-    serviceLoad: avg(group.reduce((acc, cur) => acc + cur.serviceCalls, 0)),
-    avgMinutes: avg(group.reduce((acc, cur) => acc + cur.minutes, 0)),
-    satisfaction: avg(group.reduce((acc, cur) => acc + cur.satisfaction, 0)),
-  };
-}
+app.get("/api/threshold", (req, res) => {
+  const ws = req.workspace;
+  res.json({ policy: ws.state.thresholdPolicy, sweep: ws.thresholdSweep() });
+});
 
-function getRiskDistribution(rows) {
-  const buckets = [
-    { name: "Low", min: 0, max: 34, color: "#45f4b0" },
-    { name: "Medium", min: 34, max: 67, color: "#73beff" },
-    { name: "High", min: 67, max: 101, color: "#ff6ea6" },
-  ];
-  const total = rows.length || 1;
-  return buckets.map((bucket) => {
-    const users = rows.filter((row) => row.churnRisk >= bucket.min && row.churnRisk < bucket.max).length;
-    return { ...bucket, users, share: Number(((users / total) * 100).toFixed(2)) };
+app.post("/api/threshold", requireRole("admin"), (req, res) => {
+  const ws = req.workspace;
+  const body = req.body || {};
+  const policy = { mode: body.mode };
+  ["threshold", "interventionCost", "churnCost", "target"].forEach((key) => {
+    if (body[key] !== undefined) policy[key] = Number(body[key]);
   });
-}
+  const errors = validateThresholdPolicy(policy);
+  if (errors.length) return res.status(400).json({ error: "Invalid threshold policy", details: errors });
 
-function buildAlerts(platformMetrics, highRiskCount) {
-  const alerts = [];
-  platformMetrics.forEach((platform) => {
-    if (platform.avgRisk > 62) {
-      alerts.push({
-        id: `risk-${platform.name}-${Date.now()}`,
-        severity: "critical",
-        title: `${platform.name} risk escalation`,
-        message: `Average risk at ${platform.avgRisk}% with service load ${platform.serviceLoad}.`,
-      });
-    }
+  ws.applyThresholdPolicy(policy);
+  ws.publishState();
+  res.json({ policy: ws.state.thresholdPolicy, sweep: ws.thresholdSweep() });
+});
+
+app.post("/api/score", requireRole("analyst"), (req, res) => {
+  const ws = req.workspace;
+  const batch = Array.isArray(req.body);
+  const records = batch ? req.body : [req.body];
+  if (records.length > 5000) return res.status(413).json({ error: "At most 5000 records per request" });
+
+  const results = records.map((record, index) => {
+    const errors = ws.validateRecord(record);
+    return errors.length ? { index, errors } : { index, ...ws.scoreRecord(record, index) };
   });
-  if (highRiskCount > 40) {
-    alerts.push({
-      id: `cohort-${Date.now()}`,
-      severity: "warning",
-      title: "High-risk cohort concentration",
-      message: `${highRiskCount} customers in high-risk zone in active stream window.`,
+  const meta = { threshold: ws.decisionThreshold(), modelVersion: ws.state.modelVersion?.version ?? null };
+  if (batch) return res.json({ ...meta, results });
+  if (results[0].errors) return res.status(400).json({ error: "Record failed validation", details: results[0].errors });
+  const { index: _index, ...result } = results[0];
+  res.json({ ...meta, ...result });
+});
+
+app.post("/api/score/batch", requireRole("analyst"), scratchUpload.single("file"), async (req, res) => {
+  const ws = req.workspace;
+  if (!req.file) return res.status(400).json({ error: "No file uploaded" });
+  try {
+    // Rejected rows keep their place in the output as blank values with the parse error, so line numbers still line up.
+    const scoredRows = [];
+    let index = 0;
+    const { headers } = await readCsv(req.file.path, {
+      onReject: (line, reason) => scoredRows.push({ error: `Line ${line}: ${reason}` }),
+      onRecord: (record) => {
+        const rowIndex = index;
+        index += 1;
+        const values = Object.values(record);
+        const errors = ws.validateRecord(record);
+        if (errors.length) {
+          scoredRows.push({ values, error: errors.join("; ") });
+          return;
+        }
+        const scored = ws.scoreRecord(record, rowIndex);
+        const drivers = scored.riskDrivers
+          .slice(0, 3)
+          .map((driver) => `${driver.feature} (${driver.direction === "up" ? "+" : "-"})`)
+          .join("; ");
+        scoredRows.push({ values, score: [scored.churnRisk, scored.band, drivers] });
+      },
     });
+
+    const output = [formatCsvLine([...headers, "churn_risk", "risk_band", "top_drivers", "score_error"])];
+    scoredRows.forEach(({ values = headers.map(() => ""), score = ["", "", ""], error = "" }) => {
+      output.push(formatCsvLine([...values, ...score, error]));
+    });
+
+    const name = path.basename(req.file.originalname, path.extname(req.file.originalname));
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.setHeader("Content-Disposition", `attachment; filename="${name.replace(/"/g, "")}-scored.csv"`);
+    res.send(`${output.join("\n")}\n`);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  } finally {
+    fs.rm(req.file.path, { force: true }, () => {});
   }
-  return alerts.slice(0, 8);
-}
+});
 
-function nextBatch(size = 45) {
-  const out = [];
-  if (mappedRows.length === 0) return out;
-  for (let i = 0; i < size; i += 1) {
-    out.push(mappedRows[cursor]);
-    cursor = (cursor + 1) % mappedRows.length;
+app.post("/api/events", requireRole("admin"), (req, res) => {
+  const ws = req.workspace;
+  const batch = Array.isArray(req.body);
+  const records = batch ? req.body : [req.body];
+  if (records.length > 5000) return res.status(413).json({ error: "At most 5000 records per request" });
+
+  const { results, ...meta } = ws.ingestRecords(records);
+  if (batch) return res.json({ ...meta, results });
+  if (results[0].errors) return res.status(400).json({ error: "Event failed validation", details: results[0].errors });
+  const { index: _index, ...result } = results[0];
+  res.json({ ...meta, ...result });
+});
+
+app.get("/api/stream/source", (req, res) => {
+  const ws = req.workspace;
+  res.json(ws.state.streamSource);
+});
+
+app.post("/api/stream/source", requireRole("admin"), (req, res) => {
+  const ws = req.workspace;
+  if (typeof req.body?.demo !== "boolean") return res.status(400).json({ error: "demo must be true or false" });
+  ws.streamSource.demo = req.body.demo;
+  ws.publishState();
+  res.json(ws.state.streamSource);
+});
+
+app.get("/api/stream", (req, res) => {
+  res.json(req.workspace.state.stream);
+});
+
+// Pause, resume, step, configure (speed, batchSize, windowSize), seek to a recorded time, or return to live.
+app.post("/api/stream/control", requireRole("analyst"), (req, res) => {
+  const result = req.workspace.controlStream(req.body || {});
+  if (result.errors) return res.status(400).json({ error: "Invalid stream command", details: result.errors });
+  res.json(result.stream);
+});
+
+// KPI samples between from and to (default: the last hour), averaged into buckets of `resolution`.
+app.get("/api/history", async (req, res) => {
+  const result = await req.workspace.history.query(req.query);
+  if (result.errors) return res.status(400).json({ error: "Invalid history query", details: result.errors });
+  res.json(result);
+});
+
+app.get("/api/retraining", (req, res) => {
+  const ws = req.workspace;
+  res.json({ ...ws.state.retraining, reports: ws.retraining.listReports() });
+});
+
+app.put("/api/retraining/policy", requireRole("admin"), (req, res) => {
+  const result = req.workspace.updateRetrainingPolicy(req.body);
+  if (result.errors) return res.status(400).json({ error: "Invalid retraining policy", details: result.errors });
+  res.json(result.policy);
+});
+
+// Starts a champion/challenger run right away; the report arrives with the state once the challenger is trained.
+app.post("/api/retraining/run", requireRole("admin"), (req, res) => {
+  const ws = req.workspace;
+  if (ws.loading) return res.status(409).json(datasetBusy);
+  if (ws.state.retraining?.running) return res.status(409).json({ error: "A retraining run is already in progress" });
+  ws.runRetraining({ reason: "manual", detail: `Requested by ${req.principal.name}` });
+  res.status(202).json(ws.state.retraining);
+});
+
+app.get("/api/customers/:id", (req, res) => {
+  const ws = req.workspace;
+  const detail = ws.customerDetail(req.params.id);
+  if (!detail) return res.status(404).json({ error: "Customer not found" });
+  res.json(detail);
+});
+
+app.post("/api/whatif", requireRole("analyst"), (req, res) => {
+  const ws = req.workspace;
+  const changes = req.body?.changes || {};
+  const result = ws.whatIf(req.body?.id, changes);
+  if (!result) return res.status(404).json({ error: "Customer not found" });
+  const errors = ws.validateRecord(result.raw);
+  if (errors.length) return res.status(400).json({ error: "Scenario failed validation", details: errors });
+  const { raw: _raw, ...response } = result;
+  res.json(response);
+});
+
+app.post("/api/whatif/counterfactual", requireRole("analyst"), (req, res) => {
+  const ws = req.workspace;
+  const result = ws.counterfactualFor(req.body?.id, req.body?.changes || {}, req.body?.locked ?? []);
+  if (!result) return res.status(404).json({ error: "Customer not found" });
+  if (result.errors) return res.status(400).json({ error: "Scenario failed validation", details: result.errors });
+  res.json({ threshold: ws.decisionThreshold(), ...result.suggestion });
+});
+
+app.get("/api/models", (req, res) => {
+  const ws = req.workspace;
+  res.json(ws.modelRegistry.list());
+});
+
+app.get("/api/models/compare", (req, res) => {
+  const ws = req.workspace;
+  const comparison = ws.modelRegistry.compare(req.query.a, req.query.b);
+  if (!comparison) return res.status(404).json({ error: "Both versions a and b must exist" });
+  res.json(comparison);
+});
+
+app.get("/api/models/:version", (req, res) => {
+  const ws = req.workspace;
+  const artifact = ws.modelRegistry.get(req.params.version);
+  if (!artifact) return res.status(404).json({ error: "Model version not found" });
+  res.json(artifact);
+});
+
+app.post("/api/models/rollback", requireRole("admin"), async (req, res) => {
+  const ws = req.workspace;
+  const version = ws.modelRegistry.previousVersion();
+  if (!version) return res.status(409).json({ error: "No earlier version to roll back to" });
+  if (ws.loading) return res.status(409).json(datasetBusy);
+  try {
+    await ws.serveModelVersion(version);
+    ws.modelRegistry.rollbackTo(version);
+    ws.publishState();
+    res.json({ success: true, active: version });
+  } catch (err) {
+    res.status(409).json({ error: err.message });
   }
-  return out;
-}
+});
+
+app.post("/api/models/:version/activate", requireRole("admin"), async (req, res) => {
+  const ws = req.workspace;
+  const version = Number(req.params.version);
+  if (!ws.modelRegistry.get(version)) return res.status(404).json({ error: "Model version not found" });
+  if (ws.loading) return res.status(409).json(datasetBusy);
+  try {
+    await ws.serveModelVersion(version);
+    ws.modelRegistry.activate(version);
+    ws.publishState();
+    res.json({ success: true, active: version });
+  } catch (err) {
+    res.status(409).json({ error: err.message });
+  }
+});
+
+app.get("/api/alert-rules", (req, res) => {
+  const ws = req.workspace;
+  res.json(ws.alertEngine.listRules());
+});
+
+app.post("/api/alert-rules", requireRole("admin"), (req, res) => {
+  const ws = req.workspace;
+  const { rule, errors } = ws.alertEngine.createRule(req.body);
+  if (errors) return res.status(400).json({ error: "Invalid alert rule", details: errors });
+  ws.publishState();
+  res.status(201).json(rule);
+});
 
-function refreshState() {
-  const batch = nextBatch();
-  streamWindow = [...streamWindow, ...batch].slice(-620);
-
-  const activeSessions = streamWindow.length;
-  const avgChurnRisk =
-    activeSessions > 0 ? Number((streamWindow.reduce((acc, cur) => acc + cur.churnRisk, 0) / activeSessions).toFixed(2)) : 0;
-  const predictedChurners = streamWindow.filter((row) => row.churnRisk >= (state.modelStats?.threshold ?? 50)).length;
-  const totalMinutes = Number(streamWindow.reduce((acc, cur) => acc + cur.minutes, 0).toFixed(2));
-  const avgServiceCalls =
-    activeSessions > 0 ? Number((streamWindow.reduce((acc, cur) => acc + cur.serviceCalls, 0) / activeSessions).toFixed(2)) : 0;
-
-  const platformMetrics = platforms.map((platform) => summarizePlatform(streamWindow, platform));
-  const distribution = getRiskDistribution(streamWindow);
-  const topRiskCustomers = [...streamWindow]
-    .sort((a, b) => b.churnRisk - a.churnRisk)
-    .slice(0, 14)
-    .map((row) => ({
-      id: row.id,
-      platform: row.platform,
-      state: row.state,
-      tier: row.tier,
-      risk: row.churnRisk,
-      serviceCalls: row.serviceCalls,
-      interactionPulse: row.interactionPulse,
-      riskDrivers: row.riskDrivers,
-    }));
-
-  const now = new Date();
-  const trendPoint = {
-    time: now.toLocaleTimeString("en-US", { hour12: false }),
-    risk: avgChurnRisk,
-    churners: predictedChurners,
-    active: activeSessions,
+app.put("/api/alert-rules/:id", requireRole("admin"), (req, res) => {
+  const ws = req.workspace;
+  const result = ws.alertEngine.updateRule(req.params.id, req.body);
+  if (!result) return res.status(404).json({ error: "Alert rule not found" });
+  if (result.errors) return res.status(400).json({ error: "Invalid alert rule", details: result.errors });
+  ws.publishState();
+  res.json(result.rule);
+});
+
+app.delete("/api/alert-rules/:id", requireRole("admin"), (req, res) => {
+  const ws = req.workspace;
+  if (!ws.alertEngine.removeRule(req.params.id)) return res.status(404).json({ error: "Alert rule not found" });
+  ws.publishState();
+  res.json({ success: true });
+});
+
+app.get("/api/alerts", (req, res) => {
+  const ws = req.workspace;
+  const { status, severity, ruleId, from, to, limit } = req.query;
+  if (status && !["open", "acknowledged", "resolved"].includes(status)) {
+    return res.status(400).json({ error: "status must be one of open, acknowledged, resolved" });
+  }
+  if ([from, to].some((value) => value && Number.isNaN(new Date(value).getTime()))) {
+    return res.status(400).json({ error: "from and to must be ISO timestamps" });
+  }
+  res.json(ws.alertEngine.query({ status, severity, ruleId, from, to, limit }));
+});
+
+app.post("/api/alerts/:id/ack", requireRole("analyst"), (req, res) => {
+  const ws = req.workspace;
+  const alert = ws.alertEngine.acknowledge(req.params.id, req.principal.name);
+  if (!alert) return res.status(404).json({ error: "Alert not found" });
+  if (alert.status === "resolved") return res.status(409).json({ error: "Alert is already resolved" });
+  ws.publishState();
+  res.json(alert);
+});
+
+app.get("/api/webhooks", requireRole("admin"), (req, res) => {
+  const ws = req.workspace;
+  res.json(ws.webhooks.list());
+});
+
+app.post("/api/webhooks", requireRole("admin"), (req, res) => {
+  const ws = req.workspace;
+  const { webhook, errors } = ws.webhooks.create(req.body);
+  if (errors) return res.status(400).json({ error: "Invalid webhook", details: errors });
+  res.status(201).json(webhook);
+});
+
+app.put("/api/webhooks/:id", requireRole("admin"), (req, res) => {
+  const ws = req.workspace;
+  const result = ws.webhooks.update(req.params.id, req.body);
+  if (!result) return res.status(404).json({ error: "Webhook not found" });
+  if (result.errors) return res.status(400).json({ error: "Invalid webhook", details: result.errors });
+  res.json(result.webhook);
+});
+
+app.delete("/api/webhooks/:id", requireRole("admin"), (req, res) => {
+  const ws = req.workspace;
+  if (!ws.webhooks.remove(req.params.id)) return res.status(404).json({ error: "Webhook not found" });
+  res.json({ success: true });
+});
+
+app.get("/api/webhooks/:id/deliveries", requireRole("admin"), (req, res) => {
+  const ws = req.workspace;
+  if (!ws.webhooks.list().some((hook) => hook.id === req.params.id)) return res.status(404).json({ error: "Webhook not found" });
+  res.json(ws.webhooks.deliveriesFor(req.params.id, req.query.limit));
+});
+
+app.post("/api/webhooks/:id/test", requireRole("admin"), (req, res) => {
+  const ws = req.workspace;
+  const delivery = ws.webhooks.test(req.params.id);
+  if (!delivery) return res.status(404).json({ error: "Webhook not found" });
+  res.status(202).json(delivery);
+});
+
+function workspaceSummary(entry) {
+  const workspace = workspaces.get(entry.id);
+  return {
+    ...entry,
+    ready: Boolean(workspace),
+    dataset: workspace?.state.datasetInfo.name ?? null,
+    modelVersion: workspace?.state.modelVersion?.version ?? null,
   };
-  trendWindow = [...trendWindow, trendPoint].slice(-24);
-
-  const pulse = batch.length > 0 ? {
-    id: `${now.getTime()}-${cursor}`,
-    platform: batch[batch.length - 1].platform,
-    state: batch[batch.length - 1].state,
-    tier: batch[batch.length - 1].tier,
-    interactionPulse: batch[batch.length - 1].interactionPulse,
-    risk: batch[batch.length - 1].churnRisk,
-    bufferingRate: batch[batch.length - 1].bufferingRate,
-    riskDrivers: batch[batch.length - 1].riskDrivers,
-  } : null;
-
-  state.kpis = { activeSessions, avgChurnRisk, predictedChurners, totalMinutes, avgServiceCalls };
-  state.platformMetrics = platformMetrics;
-  state.riskDistribution = distribution;
-  state.trend = trendWindow;
-  if (pulse) state.liveFeed = [pulse, ...state.liveFeed].slice(0, 30);
-  state.topRiskCustomers = topRiskCustomers;
-  state.streamCustomers = streamWindow.map((row) => ({
-    id: row.id,
-    platform: row.platform,
-    state: row.state,
-    tier: row.tier,
-    risk: row.churnRisk,
-    interactionPulse: row.interactionPulse,
-    serviceCalls: row.serviceCalls,
-    minutes: row.minutes,
-    riskDrivers: row.riskDrivers,
-  }));
-  state.alerts = buildAlerts(platformMetrics, distribution.find((d) => d.name === "High")?.users || 0);
-  state.updateAt = now.toISOString();
-
-  io.emit("analytics:update", state);
 }
 
-app.post("/api/upload", upload.single("dataset"), (req, res) => {
-  if (!req.file) return res.status(400).json({ error: "No file uploaded" });
-  const ok = initData(req.file.path);
-  if (ok) {
-    res.json({ success: true, message: "Dataset uploaded and model re-trained", rows: mappedRows.length });
-  } else {
-    res.status(500).json({ error: "Failed to initialize dataset" });
+app.get("/api/workspaces", (_req, res) => {
+  res.json({ default: defaultWorkspaceId, workspaces: workspaceDirectory.list().map(workspaceSummary) });
+});
+
+// New workspaces start from the bundled dataset with a freshly trained model.
+app.post("/api/workspaces", requireRole("admin"), async (req, res) => {
+  const { workspace, errors } = workspaceDirectory.create(req.body);
+  if (errors) return res.status(400).json({ error: "Invalid workspace", details: errors });
+  try {
+    await openWorkspace(workspace);
+  } catch (err) {
+    workspaceDirectory.remove(workspace.id);
+    fs.rm(workspaceRoot(workspace.id), { recursive: true, force: true }, () => {});
+    return res.status(500).json({ error: `Failed to start workspace: ${err.message}` });
   }
+  res.status(201).json(workspaceSummary(workspace));
 });
 
-app.get("/health", (_req, res) => {
-  res.json({
-    status: "ok",
-    updatedAt: state.updateAt,
-    datasetRows: state.datasetInfo.rows,
-    datasetPath: state.datasetInfo.path,
-    modelStats: state.modelStats,
+app.put("/api/workspaces/:id", requireRole("admin"), (req, res) => {
+  const result = workspaceDirectory.rename(req.params.id, req.body);
+  if (!result) return res.status(404).json({ error: "Workspace not found" });
+  if (result.errors) return res.status(400).json({ error: "Invalid workspace", details: result.errors });
+  res.json(workspaceSummary(result.workspace));
+});
+
+// Clients still in a deleted workspace are moved to the default one and told so.
+app.delete("/api/workspaces/:id", requireRole("admin"), async (req, res) => {
+  const { id } = req.params;
+  if (id === defaultWorkspaceId) return res.status(409).json({ error: "The default workspace cannot be deleted" });
+  if (!workspaceDirectory.get(id)) return res.status(404).json({ error: "Workspace not found" });
+  const workspace = workspaces.get(id);
+  if (!workspace || workspace.loading) return res.status(409).json(datasetBusy);
+
+  workspace.stop();
+  workspaces.delete(id);
+  workspaceDirectory.remove(id);
+  const sockets = await io.in(workspaceRoom(id)).fetchSockets();
+  sockets.forEach((socket) => {
+    socket.leave(workspaceRoom(id));
+    socket.join(workspaceRoom(defaultWorkspaceId));
+    socket.data.workspaceId = defaultWorkspaceId;
+    socket.emit("workspace:removed", { id, fallback: defaultWorkspaceId });
   });
+  fs.rm(workspaceRoot(id), { recursive: true, force: true }, () => {});
+  res.json({ success: true });
 });
 
-app.get("/api/snapshot", (_req, res) => {
-  res.json(state);
+// Liveness only: the route is public, so it reveals nothing about datasets or models.
+app.get("/health", (_req, res) => {
+  res.json({ status: "ok" });
 });
 
-io.on("connection", (socket) => {
-  socket.emit("analytics:update", state);
+app.get("/api/snapshot", (req, res) => {
+  res.json(req.workspace.snapshot());
 });
 
-initData(datasetPath);
-refreshState();
-setInterval(refreshState, 2200);
+// Each socket sits in the room of one workspace and only receives that workspace's updates: a snapshot on joining,
+// then sequence-numbered patches. A client that sees a gap in the sequence asks for a fresh snapshot.
+io.on("connection", (socket) => {
+  const workspaceOf = () => workspaces.get(socket.data.workspaceId);
+  socket.join(workspaceRoom(socket.data.workspaceId));
+  socket.emit("analytics:snapshot", workspaceOf().snapshot());
+
+  socket.on("analytics:resync", () => {
+    socket.emit("analytics:snapshot", workspaceOf().snapshot());
+  });
+
+  // A socket follows at most one segment (Platform / State / Risk Band filter) of its workspace.
+  const releaseSegment = () => {
+    const segment = socket.data.segment;
+    if (!segment) return;
+    socket.leave(segmentRoom(segment.workspaceId, segment.key));
+    workspaces.get(segment.workspaceId)?.unsubscribeSegment(segment.key);
+    socket.data.segment = null;
+  };
+
+  socket.on("segment:subscribe", (filter, ack) => {
+    const workspace = workspaceOf();
+    const result = workspace.subscribeSegment(filter);
+    if (result.errors) {
+      if (typeof ack === "function") ack({ error: "Invalid segment", details: result.errors });
+      return;
+    }
+    releaseSegment();
+    socket.data.segment = { workspaceId: workspace.id, key: result.key };
+    socket.join(segmentRoom(workspace.id, result.key));
+    if (typeof ack === "function") ack({ success: true, segment: result.view });
+  });
+
+  socket.on("disconnect", releaseSegment);
 
-const PORT = process.env.PORT || 4000;
-server.listen(PORT, () => {
-  console.log(`Realtime churn server listening on http://localhost:${PORT}`);
-  console.log(`Initial dataset: ${path.resolve(datasetPath)}`);
+  socket.on("workspace:join", (id, ack) => {
+    const workspace = workspaces.get(id);
+    if (!workspace) {
+      if (typeof ack === "function") ack({ error: `Workspace "${id}" not found`, status: 404 });
+      return;
+    }
+    releaseSegment();
+    socket.leave(workspaceRoom(socket.data.workspaceId));
+    socket.data.workspaceId = id;
+    socket.join(workspaceRoom(id));
+    socket.emit("analytics:snapshot", workspace.snapshot());
+    if (typeof ack === "function") ack({ success: true, workspace: id });
+  });
+
+  socket.on("stream:control", (command, ack) => {
+    let result;
+    if (!hasRole(socket.data.principal.role, "analyst")) result = { error: "Controlling the stream needs the analyst role" };
+    else {
+      const outcome = workspaceOf().controlStream(command || {});
+      result = outcome.errors ? { error: "Invalid stream command", details: outcome.errors } : { success: true, stream: outcome.stream };
+    }
+    if (typeof ack === "function") ack(result);
+  });
+
+  socket.on("ingest", (payload, ack) => {
+    const records = Array.isArray(payload) ? payload : [payload];
+    let result;
+    if (!hasRole(socket.data.principal.role, "admin")) result = { error: "Ingesting events needs the admin role" };
+    else if (records.length > 5000) result = { error: "At most 5000 records per event" };
+    else result = workspaceOf().ingestRecords(records);
+    if (typeof ack === "function") ack(result);
+  });
 });
+
+async function start() {
+  const initialAdmin = await auth.bootstrap();
+  if (initialAdmin?.passwordFile) {
+    console.log(`Created admin user "${initialAdmin.username}"; its generated password is in ${initialAdmin.passwordFile}`);
+    console.log("Sign in, change it and delete the file, or set ADMIN_PASSWORD before the first start.");
+  } else if (initialAdmin) {
+    console.log(`Created admin user "${initialAdmin.username}" from ADMIN_PASSWORD`);
+  }
+  for (const entry of workspaceDirectory.list()) {
+    await openWorkspace(entry);
+  }
+
+  const PORT = process.env.PORT || 4000;
+  server.listen(PORT, () => {
+    console.log(`Realtime churn server listening on http://localhost:${PORT}`);
+    console.log(`Workspaces: ${[...workspaces.keys()].join(", ")}`);
+  });
+}
+
+start();
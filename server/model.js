@@ -0,0 +1,214 @@
+const { trainGradientBoosting, explainGradientBoosting } = require("./trees");
+const { stratifiedSplit, downsample } = require("./evaluation");
+const { imbalanceStrategies, samplingStrategies, classWeights } = require("./imbalance");
+
+// Learners work on plain feature matrices so they can run in a worker thread as well as in the workspace.
+
+function toNum(value) {
+  const n = Number(value);
+  return Number.isFinite(n) ? n : 0;
+}
+
+function toBoolYes(value) {
+  return ["yes", "y", "true", "1"].includes(String(value || "").trim().toLowerCase()) ? 1 : 0;
+}
+
+function sigmoid(x) {
+  return 1 / (1 + Math.exp(-x));
+}
+
+function featureValue(row, def) {
+  if (def.type === "num") return toNum(row[def.key]);
+  if (def.type === "boolYes") return toBoolYes(row[def.key]);
+  return 0;
+}
+
+function featureVector(raw, featureDefs) {
+  return featureDefs.map((def) => featureValue(raw, def));
+}
+
+// onProgress(epoch, epochs, loss) is called after every epoch with the mean (class-weighted) log loss of that epoch.
+// With earlyStopping, a stratified tenth of the rows is held out and training stops once its loss has not improved
+// for `patience` epochs, keeping the weights of the best epoch. The returned model records its loss curve.
+function trainLogisticRegression(
+  X,
+  y,
+  { epochs = 500, learningRate = 0.05, l2 = 0.0005, classWeight = "none", earlyStopping = false, patience = 25, seed = 42 } = {},
+  onProgress = null,
+) {
+  let fitX = X;
+  let fitY = y;
+  let validation = null;
+  if (earlyStopping) {
+    const { train, test } = stratifiedSplit(X.map((x, i) => ({ x, actualChurn: y[i] })), 0.1, seed);
+    fitX = train.map((row) => row.x);
+    fitY = train.map((row) => row.actualChurn);
+    validation = { X: test.map((row) => row.x), y: test.map((row) => row.actualChurn) };
+  }
+  const n = fitX.length;
+  const m = fitX[0]?.length ?? 0;
+  const weights = classWeights(fitY, classWeight);
+
+  const means = new Array(m).fill(0);
+  const stds = new Array(m).fill(0);
+  for (let j = 0; j < m; j += 1) {
+    means[j] = fitX.reduce((acc, row) => acc + row[j], 0) / n;
+    const variance = fitX.reduce((acc, row) => acc + (row[j] - means[j]) ** 2, 0) / Math.max(1, n - 1);
+    stds[j] = Math.sqrt(variance) || 1;
+  }
+
+  const standardize = (rows) => rows.map((row) => row.map((value, j) => (value - means[j]) / stds[j]));
+  const Z = standardize(fitX);
+  const validationZ = validation && standardize(validation.X);
+  const w = new Array(m).fill(0);
+  let b = 0;
+  const curve = [];
+  let best = null;
+
+  for (let epoch = 0; epoch < epochs; epoch += 1) {
+    const dw = new Array(m).fill(0);
+    let db = 0;
+    let loss = 0;
+    let totalWeight = 0;
+    for (let i = 0; i < n; i += 1) {
+      let z = b;
+      for (let j = 0; j < m; j += 1) z += w[j] * Z[i][j];
+      const p = sigmoid(z);
+      const weight = weights[fitY[i]];
+      const diff = weight * (p - fitY[i]);
+      loss -= weight * Math.log(Math.max(1e-12, fitY[i] ? p : 1 - p));
+      totalWeight += weight;
+      for (let j = 0; j < m; j += 1) dw[j] += diff * Z[i][j];
+      db += diff;
+    }
+
+    for (let j = 0; j < m; j += 1) {
+      const grad = dw[j] / totalWeight + l2 * w[j];
+      w[j] -= learningRate * grad;
+    }
+    b -= learningRate * (db / totalWeight);
+
+    const point = { epoch: epoch + 1, loss: loss / totalWeight, validationLoss: null };
+    if (validationZ) {
+      point.validationLoss =
+        validationZ.reduce((acc, row, i) => {
+          const p = sigmoid(row.reduce((z, value, j) => z + w[j] * value, b));
+          return acc - Math.log(Math.max(1e-12, validation.y[i] ? p : 1 - p));
+        }, 0) / validationZ.length;
+      if (!best || point.validationLoss < best.validationLoss) {
+        best = { epoch: epoch + 1, validationLoss: point.validationLoss, weights: w.slice(), bias: b };
+      }
+    }
+    curve.push(point);
+    if (onProgress) onProgress(epoch + 1, epochs, point.loss);
+    if (best && epoch + 1 - best.epoch >= patience) break;
+  }
+
+  const round = (value) => (value === null ? null : Number(value.toFixed(5)));
+  return {
+    algorithm: "logistic",
+    weights: best ? best.weights : w,
+    bias: best ? best.bias : b,
+    means,
+    stds,
+    training: {
+      epochsRun: curve.length,
+      bestEpoch: best ? best.epoch : curve.length,
+      curve: downsample(curve, 60).map((point) => ({
+        epoch: point.epoch,
+        loss: round(point.loss),
+        validationLoss: round(point.validationLoss),
+      })),
+    },
+  };
+}
+
+// Bounds of the numeric hyperparameters and the allowed values of the others, used to validate training requests
+// and search spaces. imbalance is applied to the training rows by the training worker and decides classWeight (see
+// imbalanceCorrection in imbalance.js).
+const learners = {
+  logistic: {
+    defaults: {
+      epochs: 650,
+      learningRate: 0.07,
+      l2: 0.0007,
+      classWeight: "none",
+      earlyStopping: false,
+      patience: 25,
+      imbalance: "none",
+    },
+    ranges: { epochs: [1, 5000], learningRate: [0.0001, 2], l2: [0, 1], patience: [1, 500] },
+    integers: ["epochs", "patience"],
+    choices: { classWeight: ["none", "balanced"], earlyStopping: [false, true], imbalance: imbalanceStrategies },
+    fit: (X, y, params, onProgress) => trainLogisticRegression(X, y, params, onProgress),
+  },
+  gbt: {
+    defaults: { trees: 80, maxDepth: 3, learningRate: 0.1, minLeaf: 20, subsample: 0.8, imbalance: "none" },
+    ranges: { trees: [1, 1000], maxDepth: [1, 8], learningRate: [0.001, 1], minLeaf: [1, 1000], subsample: [0.1, 1] },
+    integers: ["trees", "maxDepth", "minLeaf"],
+    choices: { imbalance: imbalanceStrategies },
+    fit: (X, y, params, onProgress) => trainGradientBoosting(X, y, params, onProgress),
+  },
+};
+
+function validateHyperparameters(algorithm, params) {
+  const learner = learners[algorithm];
+  if (!learner) return [`algorithm must be one of ${Object.keys(learners).join(", ")}`];
+  const errors = [];
+  Object.entries(params || {}).forEach(([key, value]) => {
+    if (learner.choices[key]) {
+      if (!learner.choices[key].includes(value)) errors.push(`${key} must be one of ${learner.choices[key].join(", ")}`);
+    } else if (learner.ranges[key]) {
+      const [min, max] = learner.ranges[key];
+      if (!Number.isFinite(value) || value < min || value > max) errors.push(`${key} must be a number between ${min} and ${max}`);
+      else if (learner.integers.includes(key) && !Number.isInteger(value)) errors.push(`${key} must be a whole number`);
+    } else {
+      errors.push(`Unknown ${algorithm} hyperparameter: ${key}`);
+    }
+  });
+  // The classWeight strategy is the balanced classWeight; the sampling strategies train with unweighted loss.
+  if (samplingStrategies.includes(params?.imbalance) && params.classWeight === "balanced") {
+    errors.push(`classWeight "balanced" cannot be combined with the ${params.imbalance} imbalance strategy`);
+  }
+  if (params?.imbalance === "classWeight" && params.classWeight === "none") {
+    errors.push('The classWeight imbalance strategy uses classWeight "balanced"');
+  }
+  return errors;
+}
+
+// Splits the log-odds for feature vector x into a bias and one additive effect per feature.
+function explainVector(model, x) {
+  if (model.algorithm === "gbt") {
+    const { bias, contributions } = explainGradientBoosting(model, x);
+    return { bias, effects: contributions };
+  }
+  const z = x.map((value, j) => (value - model.means[j]) / model.stds[j]);
+  return { bias: model.bias, effects: z.map((value, j) => model.weights[j] * value) };
+}
+
+function explainScore(model, x, featureDefs) {
+  const { bias, effects } = explainVector(model, x);
+  const logit = effects.reduce((acc, effect) => acc + effect, bias);
+  return {
+    churnRisk: Number((sigmoid(logit) * 100).toFixed(2)),
+    bias,
+    contributions: featureDefs.map((def, j) => ({ feature: def.name, value: x[j], effect: effects[j] })),
+  };
+}
+
+// The risk and the five largest effects of a feature vector, as stored on every scored row.
+function scoreVector(model, x, featureDefs) {
+  const { churnRisk, contributions } = explainScore(model, x, featureDefs);
+  const riskDrivers = contributions
+    .slice()
+    .sort((a, b) => Math.abs(b.effect) - Math.abs(a.effect))
+    .slice(0, 5)
+    .map((driver) => ({
+      feature: driver.feature,
+      direction: driver.effect >= 0 ? "up" : "down",
+      impact: Number(Math.abs(driver.effect).toFixed(3)),
+    }));
+  return { churnRisk, riskDrivers };
+}
+
+module.exports = { learners, validateHyperparameters, explainScore, scoreVector, featureVector, featureValue, toNum, toBoolYes };
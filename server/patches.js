@@ -0,0 +1,96 @@
+// Incremental changes between the dashboard state last sent to clients and the current one. Each state key is diffed
+// by its plan; keys without a plan, or whose shape changed, are sent whole.
+//   window: a bounded list that gains items at one end and loses them at the other, as { drop, append } for lists
+//     that grow at the end or { drop, prepend } for lists that grow at the start
+//   rows: an equal-length list of objects, as the changed fields of each changed row ({ rows: { index: fields } })
+//   keyed: a list of objects identified by that field, as the new order of ids and the changed fields of each row
+//     ({ key, order, rows: { id: fields } }; rows new to the list are sent whole)
+//   fields: an object, as its changed fields ({ fields }) and changes to the fields that have plans of their own
+//     ({ nested: { field: change } })
+const patchPlans = {
+  kpis: { fields: {} },
+  platformMetrics: { rows: true },
+  riskDistribution: { rows: true },
+  trend: { window: "end" },
+  liveFeed: { window: "start" },
+  topRiskCustomers: { keyed: "id" },
+  drift: { fields: { trend: { window: "end" }, features: { rows: true } } },
+};
+
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+const isObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
+
+// The fewest items dropped from the start of previous so the rest is where current begins.
+function endWindow(previous, current) {
+  const before = previous.map((item) => JSON.stringify(item));
+  const after = current.map((item) => JSON.stringify(item));
+  let drop = Math.max(0, before.length - after.length);
+  while (!before.slice(drop).every((item, i) => item === after[i])) drop += 1;
+  return { drop, append: current.slice(before.length - drop) };
+}
+
+function windowChange(previous, current, side) {
+  if (!Array.isArray(previous) || !Array.isArray(current)) return null;
+  if (side === "end") return endWindow(previous, current);
+  const change = endWindow([...previous].reverse(), [...current].reverse());
+  return { drop: change.drop, prepend: change.append.reverse() };
+}
+
+function fieldChanges(previous, current, plans = {}) {
+  if (!isObject(previous) || !isObject(current) || !same(Object.keys(previous), Object.keys(current))) return null;
+  const change = {};
+  Object.keys(current).forEach((field) => {
+    if (same(previous[field], current[field])) return;
+    const nested = plans[field] && diffValue(previous[field], current[field], plans[field]);
+    if (nested) change.nested = { ...change.nested, [field]: nested };
+    else change.fields = { ...change.fields, [field]: current[field] };
+  });
+  return change;
+}
+
+function rowChanges(previous, current) {
+  if (!Array.isArray(previous) || !Array.isArray(current) || previous.length !== current.length) return null;
+  const rows = {};
+  for (let i = 0; i < current.length; i += 1) {
+    if (same(previous[i], current[i])) continue;
+    const change = fieldChanges(previous[i], current[i]);
+    if (!change) return null;
+    rows[i] = change.fields || {};
+  }
+  return { rows };
+}
+
+function keyedChanges(previous, current, key) {
+  if (!Array.isArray(previous) || !Array.isArray(current)) return null;
+  const before = new Map(previous.map((row) => [row[key], row]));
+  const rows = {};
+  current.forEach((row) => {
+    const old = before.get(row[key]);
+    if (same(old, row)) return;
+    rows[row[key]] = (old && fieldChanges(old, row)?.fields) || row;
+  });
+  return { key, order: current.map((row) => row[key]), rows };
+}
+
+function diffValue(previous, current, plan) {
+  if (plan.window) return windowChange(previous, current, plan.window);
+  if (plan.rows) return rowChanges(previous, current);
+  if (plan.keyed) return keyedChanges(previous, current, plan.keyed);
+  if (plan.fields) return fieldChanges(previous, current, plan.fields);
+  return null;
+}
+
+// { set, changes } from previous to current, where previous may lack keys; unchanged keys appear in neither.
+function diffState(previous, current) {
+  const set = {};
+  const changes = {};
+  Object.entries(current).forEach(([key, value]) => {
+    if (key in previous && same(previous[key], value)) return;
+    const change = key in previous && patchPlans[key] ? diffValue(previous[key], value, patchPlans[key]) : null;
+    if (change) changes[key] = change;
+    else set[key] = value;
+  });
+  return { set, changes };
+}
+
+module.exports = { diffState };
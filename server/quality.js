@@ -0,0 +1,161 @@
+const booleanValues = new Set(["yes", "no", "y", "n", "true", "false", "1", "0"]);
+const truthy = new Set(["yes", "y", "true", "1"]);
+const numericRoles = new Set(["numeric", "usage", "support", "activity"]);
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === "";
+const percent = (part, whole) => (whole ? Number(((part / whole) * 100).toFixed(2)) : 0);
+
+// Accumulates the data-quality report one record at a time so staged uploads never have to be held in memory.
+// baseline is the live dataset's feature profiles ({ key, min, max, low, high }) for range comparison.
+function createQualityReport({ headers, mapping, baseline = [], liveColumns = [] }) {
+  const fields = mapping.fields.filter((field) => field.role !== "ignore");
+  const label = fields.find((field) => field.role === "label");
+  const id = fields.find((field) => field.role === "id");
+  const baselineByKey = new Map(baseline.map((profile) => [profile.key, profile]));
+
+  const columns = new Map(
+    fields.map((field) => [
+      field.column,
+      {
+        column: field.column,
+        name: field.name,
+        role: field.role,
+        nulls: 0,
+        invalid: 0,
+        invalidSamples: [],
+        min: Infinity,
+        max: -Infinity,
+        sum: 0,
+        count: 0,
+        outOfRange: 0,
+      },
+    ]),
+  );
+  const labelCounts = { positive: 0, negative: 0, missing: 0 };
+  const seenIds = new Set();
+  const duplicateIds = new Set();
+  let duplicateRows = 0;
+  let rows = 0;
+
+  function add(record) {
+    rows += 1;
+    columns.forEach((stats) => {
+      const value = record[stats.column];
+      if (isBlank(value)) {
+        stats.nulls += 1;
+        return;
+      }
+      const text = String(value).trim();
+      if (numericRoles.has(stats.role)) {
+        const n = Number(text);
+        if (!Number.isFinite(n)) {
+          stats.invalid += 1;
+          if (stats.invalidSamples.length < 5 && !stats.invalidSamples.includes(text)) stats.invalidSamples.push(text);
+          return;
+        }
+        stats.min = Math.min(stats.min, n);
+        stats.max = Math.max(stats.max, n);
+        stats.sum += n;
+        stats.count += 1;
+        const reference = baselineByKey.get(stats.column);
+        if (reference && (n < reference.min || n > reference.max)) stats.outOfRange += 1;
+      } else if (stats.role === "boolean" && !booleanValues.has(text.toLowerCase())) {
+        stats.invalid += 1;
+        if (stats.invalidSamples.length < 5 && !stats.invalidSamples.includes(text)) stats.invalidSamples.push(text);
+      }
+    });
+
+    if (label) {
+      const value = record[label.column];
+      if (isBlank(value)) labelCounts.missing += 1;
+      else if (truthy.has(String(value).trim().toLowerCase())) labelCounts.positive += 1;
+      else labelCounts.negative += 1;
+    }
+
+    if (id && !isBlank(record[id.column])) {
+      const key = String(record[id.column]).trim();
+      if (seenIds.has(key)) {
+        duplicateRows += 1;
+        if (duplicateIds.size < 10) duplicateIds.add(key);
+      } else {
+        seenIds.add(key);
+      }
+    }
+  }
+
+  function finish(parseReport = {}) {
+    const issues = [];
+    const error = (message) => issues.push({ level: "error", message });
+    const warning = (message) => issues.push({ level: "warning", message });
+
+    const missingColumns = mapping.fields.map((field) => field.column).filter((column) => !headers.includes(column));
+    const used = new Set(fields.map((field) => field.column));
+    const unmappedColumns = headers.filter((column) => !used.has(column));
+    const droppedLiveColumns = liveColumns.filter((column) => !headers.includes(column));
+    if (missingColumns.length) error(`Mapped columns missing from the file: ${missingColumns.join(", ")}`);
+    if (droppedLiveColumns.length) warning(`Columns used by the live model are not in this file: ${droppedLiveColumns.join(", ")}`);
+    if (unmappedColumns.length) {
+      const count = unmappedColumns.length;
+      warning(`${count} column${count === 1 ? " is" : "s are"} not used by the model: ${unmappedColumns.join(", ")}`);
+    }
+    if (!rows) error("The file has no data rows");
+    if (parseReport.rejectedCount) warning(`${parseReport.rejectedCount} malformed rows will be skipped`);
+
+    const columnReport = [...columns.values()].map((stats) => {
+      const reference = baselineByKey.get(stats.column);
+      const entry = {
+        column: stats.column,
+        name: stats.name,
+        role: stats.role,
+        nullRate: percent(stats.nulls, rows),
+        invalid: stats.invalid,
+        invalidSamples: stats.invalidSamples,
+      };
+      if (numericRoles.has(stats.role)) {
+        entry.range = stats.count ? { min: stats.min, max: stats.max, mean: Number((stats.sum / stats.count).toFixed(3)) } : null;
+        entry.liveRange = reference ? { min: reference.min, max: reference.max } : null;
+        entry.outOfLiveRange = reference ? percent(stats.outOfRange, stats.count) : null;
+      }
+      const quoted = `"${stats.column}"`;
+      if (entry.nullRate === 100) error(`${quoted} is empty in every row`);
+      else if (entry.nullRate > 20) warning(`${quoted} is empty in ${entry.nullRate}% of rows`);
+      if (stats.invalid) {
+        const expected = numericRoles.has(stats.role) ? "non-numeric" : stats.role === "boolean" ? "non yes/no" : "invalid";
+        warning(`${quoted} has ${stats.invalid} ${expected} values (e.g. ${stats.invalidSamples.join(", ")}); they are read as 0`);
+      }
+      if (entry.outOfLiveRange > 5) warning(`${entry.outOfLiveRange}% of ${quoted} values fall outside the live dataset's range`);
+      return entry;
+    });
+
+    const labelTotal = labelCounts.positive + labelCounts.negative;
+    const labelBalance = label
+      ? { column: label.column, ...labelCounts, positiveRate: percent(labelCounts.positive, labelTotal) }
+      : null;
+    if (label && labelTotal && (!labelCounts.positive || !labelCounts.negative)) {
+      error(`The churn label "${label.column}" has only one class; the model cannot learn from it`);
+    } else if (labelBalance && (labelBalance.positiveRate < 5 || labelBalance.positiveRate > 95)) {
+      warning(`The churn label is heavily imbalanced (${labelBalance.positiveRate}% churned)`);
+    }
+    if (labelCounts.missing) warning(`${labelCounts.missing} rows have no churn label and count as not churned`);
+
+    if (!id) warning("No customer id column is mapped; ids are generated from the row number");
+    else if (duplicateRows) warning(`${duplicateRows} rows repeat an earlier customer id (e.g. ${[...duplicateIds].slice(0, 5).join(", ")})`);
+
+    return {
+      rows,
+      rejectedRows: { count: parseReport.rejectedCount || 0, rows: (parseReport.rejected || []).slice(0, 50) },
+      missingColumns,
+      unmappedColumns,
+      droppedLiveColumns,
+      columns: columnReport,
+      labelBalance,
+      duplicates: id ? { column: id.column, rows: duplicateRows, examples: [...duplicateIds] } : null,
+      issues,
+      canActivate: !issues.some((issue) => issue.level === "error"),
+    };
+  }
+
+  return { add, finish };
+}
+
+module.exports = { createQualityReport };
@@ -0,0 +1,112 @@
+const fs = require("fs");
+const path = require("path");
+
+const comparedMetrics = ["accuracy", "precision", "recall", "f1", "aucRoc", "aucPr", "logLoss", "brier", "ece"];
+
+function summarize(artifact, activeVersion) {
+  return {
+    version: artifact.version,
+    createdAt: artifact.createdAt,
+    algorithm: artifact.algorithm,
+    dataset: { path: artifact.dataset.path, name: path.basename(artifact.dataset.path), rows: artifact.dataset.rows },
+    features: artifact.featureDefs.length,
+    hyperparameters: artifact.hyperparameters,
+    metrics: Object.fromEntries(comparedMetrics.map((metric) => [metric, artifact.metrics?.[metric] ?? null])),
+    active: artifact.version === activeVersion,
+  };
+}
+
+// Models are stored as one JSON artifact per version plus an index that tracks which version serves and the activation order.
+function createModelRegistry(rootDir) {
+  const indexPath = path.join(rootDir, "index.json");
+  const artifactPath = (version) => path.join(rootDir, `v${version}.json`);
+
+  fs.mkdirSync(rootDir, { recursive: true });
+
+  function readIndex() {
+    if (!fs.existsSync(indexPath)) return { active: null, history: [], latest: 0 };
+    return JSON.parse(fs.readFileSync(indexPath, "utf8"));
+  }
+
+  function writeIndex(index) {
+    fs.writeFileSync(indexPath, JSON.stringify(index, null, 2));
+  }
+
+  function get(version) {
+    const file = artifactPath(Number(version));
+    if (!fs.existsSync(file)) return null;
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  }
+
+  function list() {
+    const index = readIndex();
+    const versions = [];
+    for (let version = index.latest; version >= 1; version -= 1) {
+      const artifact = get(version);
+      if (artifact) versions.push(summarize(artifact, index.active));
+    }
+    return { active: index.active, versions };
+  }
+
+  function save(artifact) {
+    const index = readIndex();
+    const version = index.latest + 1;
+    const stored = { ...artifact, version, createdAt: new Date().toISOString() };
+    fs.writeFileSync(artifactPath(version), JSON.stringify(stored));
+    writeIndex({ ...index, latest: version });
+    return stored;
+  }
+
+  function activate(version) {
+    const index = readIndex();
+    if (!get(version)) throw new Error(`Model version ${version} not found`);
+    const history = index.active === Number(version) ? index.history : [...index.history, Number(version)];
+    writeIndex({ ...index, active: Number(version), history: history.slice(-50) });
+  }
+
+  // Returns the version that served before the current one, skipping versions whose artifacts were removed.
+  function previousVersion() {
+    const { history } = readIndex();
+    for (let i = history.length - 2; i >= 0; i -= 1) {
+      if (history[i] !== history[history.length - 1] && get(history[i])) return history[i];
+    }
+    return null;
+  }
+
+  function rollbackTo(version) {
+    const index = readIndex();
+    const position = index.history.lastIndexOf(Number(version));
+    writeIndex({ ...index, active: Number(version), history: index.history.slice(0, position + 1) });
+  }
+
+  function activeVersion() {
+    return readIndex().active;
+  }
+
+  function compare(a, b) {
+    const left = get(a);
+    const right = get(b);
+    if (!left || !right) return null;
+    const leftKeys = left.featureDefs.map((def) => def.key);
+    const rightKeys = right.featureDefs.map((def) => def.key);
+    return {
+      a: summarize(left, activeVersion()),
+      b: summarize(right, activeVersion()),
+      metrics: comparedMetrics.map((metric) => ({
+        metric,
+        a: left.metrics?.[metric] ?? null,
+        b: right.metrics?.[metric] ?? null,
+        delta: Number(((right.metrics?.[metric] ?? 0) - (left.metrics?.[metric] ?? 0)).toFixed(4)),
+      })),
+      features: {
+        added: rightKeys.filter((key) => !leftKeys.includes(key)),
+        removed: leftKeys.filter((key) => !rightKeys.includes(key)),
+      },
+      sameDataset: left.dataset.path === right.dataset.path,
+    };
+  }
+
+  return { list, get, save, activate, activeVersion, previousVersion, rollbackTo, compare };
+}
+
+module.exports = { createModelRegistry };
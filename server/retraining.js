@@ -0,0 +1,84 @@
+const fs = require("fs");
+const path = require("path");
+
+// Held-out metrics a challenger can be judged on. AUCs are fractions, the others percentages, except log loss, where
+// lower is better.
+const comparisonMetrics = ["aucRoc", "aucPr", "f1", "recall", "precision", "accuracy", "logLoss"];
+const lowerIsBetter = new Set(["logLoss"]);
+
+const defaultPolicy = {
+  enabled: true,
+  intervalHours: Number(process.env.RETRAIN_INTERVAL_HOURS) || 0,
+  onDrift: true,
+  driftPsi: 0.25,
+  onMetricDrop: true,
+  maxDrop: 0.03,
+  metric: "aucRoc",
+  margin: 0.005,
+  cooldownMinutes: 60,
+};
+
+function validatePolicy(policy) {
+  const errors = [];
+  ["enabled", "onDrift", "onMetricDrop"].forEach((key) => {
+    if (typeof policy[key] !== "boolean") errors.push(`${key} must be true or false`);
+  });
+  [
+    ["intervalHours", 0, 24 * 30],
+    ["driftPsi", 0.01, 10],
+    ["maxDrop", 0, 100],
+    ["margin", 0, 100],
+    ["cooldownMinutes", 0, 24 * 60],
+  ].forEach(([key, min, max]) => {
+    if (!Number.isFinite(policy[key]) || policy[key] < min || policy[key] > max) {
+      errors.push(`${key} must be a number between ${min} and ${max}`);
+    }
+  });
+  if (!comparisonMetrics.includes(policy.metric)) errors.push(`metric must be one of ${comparisonMetrics.join(", ")}`);
+  return errors;
+}
+
+// How much better `candidate` is than `baseline` on metric, positive when it improves.
+function improvement(metric, baseline, candidate) {
+  return lowerIsBetter.has(metric) ? baseline - candidate : candidate - baseline;
+}
+
+// The retraining policy and the last comparison reports of one workspace.
+function createRetrainingStore(rootDir, { maxReports = 30 } = {}) {
+  const policyPath = path.join(rootDir, "policy.json");
+  const reportsPath = path.join(rootDir, "reports.json");
+  fs.mkdirSync(rootDir, { recursive: true });
+
+  let policy = fs.existsSync(policyPath) ? { ...defaultPolicy, ...JSON.parse(fs.readFileSync(policyPath, "utf8")) } : defaultPolicy;
+  let reports = fs.existsSync(reportsPath) ? JSON.parse(fs.readFileSync(reportsPath, "utf8")) : [];
+
+  function getPolicy() {
+    return policy;
+  }
+
+  function updatePolicy(input) {
+    const next = { ...policy };
+    Object.keys(defaultPolicy).forEach((key) => {
+      if (input?.[key] === undefined) return;
+      next[key] = typeof defaultPolicy[key] === "number" ? Number(input[key]) : input[key];
+    });
+    const errors = validatePolicy(next);
+    if (errors.length) return { errors };
+    policy = next;
+    fs.writeFileSync(policyPath, JSON.stringify(policy, null, 2));
+    return { policy };
+  }
+
+  function listReports() {
+    return reports;
+  }
+
+  function addReport(report) {
+    reports = [report, ...reports].slice(0, maxReports);
+    fs.writeFileSync(reportsPath, JSON.stringify(reports));
+  }
+
+  return { getPolicy, updatePolicy, listReports, addReport };
+}
+
+module.exports = { createRetrainingStore, comparisonMetrics, improvement };
@@ -0,0 +1,83 @@
+const path = require("path");
+const { featureDefsFromMapping, columnFor, columnsFor, resolveMapping } = require("./schema");
+const { stratifiedSplit } = require("./evaluation");
+const { toNum, toBoolYes } = require("./model");
+const { readCsv } = require("./csv");
+
+// Turning CSV records into model rows. Training workers prepare whole datasets with it; the workspace uses it for
+// single ingested or scored records.
+const platforms = ["Netflix", "Prime Video", "Disney+ Hotstar", "Crunchyroll", "Aha"];
+
+function hashText(text) {
+  let hash = 0;
+  for (let i = 0; i < text.length; i += 1) {
+    hash = (hash * 31 + text.charCodeAt(i)) % 2147483647;
+  }
+  return hash;
+}
+
+// Usage tiers split the training rows' usage into thirds; without mapped usage columns there are no tiers.
+function usageCuts(rows) {
+  const values = rows.map((row) => row.minutes).filter((value) => value !== null).sort((a, b) => a - b);
+  return values.length ? [values[Math.floor(values.length / 3)], values[Math.floor((values.length * 2) / 3)]] : null;
+}
+
+function usageTier(minutes, cuts) {
+  if (minutes === null || !cuts) return null;
+  return minutes > cuts[1] ? "Premium" : minutes > cuts[0] ? "Standard" : "Mobile";
+}
+
+// Dashboard fields come from the mapping's usage, support and activity columns and are null when none is mapped.
+function toModelRow(row, idx, mapping, cuts) {
+  const idColumn = columnFor(mapping, "id");
+  const segmentColumn = columnFor(mapping, "segment");
+  const labelColumn = columnFor(mapping, "label");
+  const supportColumn = columnFor(mapping, "support");
+  const usageColumns = columnsFor(mapping, "usage");
+  const activityColumns = columnsFor(mapping, "activity");
+  const stateCode = (segmentColumn && row[segmentColumn]) || "NA";
+  const platform = platforms[hashText(`${stateCode}-${idx}`) % platforms.length];
+  const minutes = usageColumns.length ? usageColumns.reduce((acc, column) => acc + toNum(row[column]), 0) : null;
+
+  return {
+    id: (idColumn && row[idColumn]) || `${stateCode}-${idx}`,
+    state: stateCode,
+    platform,
+    tier: usageTier(minutes, cuts),
+    actualChurn: toBoolYes(labelColumn ? row[labelColumn] : ""),
+    minutes,
+    serviceCalls: supportColumn ? toNum(row[supportColumn]) : null,
+    interactionPulse: activityColumns.length
+      ? Math.round(activityColumns.reduce((acc, column) => acc + toNum(row[column]), 0) / activityColumns.length)
+      : null,
+    raw: row,
+  };
+}
+
+async function loadDataset(csvPath) {
+  const records = [];
+  const { headers, rows: _rows, ...report } = await readCsv(csvPath, { onRecord: (record) => records.push(record) });
+  if (report.rejectedCount) console.warn(`Skipped ${report.rejectedCount} malformed rows in ${path.resolve(csvPath)}`);
+  return { headers, records, report: { ...report, rejected: report.rejected.slice(0, 50) } };
+}
+
+// Reads a dataset into model rows and its holdout split. mapping is resolved from the file when not given.
+async function prepareDataset(csvPath, mapping, { holdoutRatio, seed }) {
+  const { headers, records, report } = await loadDataset(csvPath);
+  const resolved = mapping || resolveMapping(csvPath, headers, records.slice(0, 200));
+  const modelingRows = records.map((row, idx) => toModelRow(row, idx, resolved, null));
+  const cuts = usageCuts(modelingRows);
+  modelingRows.forEach((row) => {
+    row.tier = usageTier(row.minutes, cuts);
+  });
+  return {
+    mapping: resolved,
+    featureDefs: featureDefsFromMapping(resolved),
+    tierCuts: cuts,
+    modelingRows,
+    report,
+    ...stratifiedSplit(modelingRows, holdoutRatio, seed),
+  };
+}
+
+module.exports = { platforms, hashText, toModelRow, prepareDataset };
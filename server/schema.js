@@ -0,0 +1,203 @@
+const fs = require("fs");
+
+// usage and support columns are numeric features that also fill the dashboard's usage minutes (summed) and support
+// contacts; activity columns are not modelled and only feed the interaction pulse (averaged).
+const roles = ["numeric", "boolean", "label", "id", "segment", "usage", "support", "activity", "ignore"];
+const featureRoles = new Set(["numeric", "boolean", "usage", "support"]);
+const booleanTokens = new Set(["yes", "no", "true", "false", "y", "n"]);
+
+// Curated names for the bundled telecom dataset, also reused when suggesting names for matching headers.
+const telecomFeatures = [
+  { column: "account length", name: "Account Tenure", role: "numeric" },
+  { column: "international plan", name: "International Plan", role: "boolean" },
+  { column: "voice mail plan", name: "Voicemail Plan", role: "boolean" },
+  { column: "number vmail messages", name: "Voicemail Usage", role: "numeric" },
+  { column: "total day minutes", name: "Day Usage", role: "usage" },
+  { column: "total eve minutes", name: "Evening Usage", role: "usage" },
+  { column: "total night minutes", name: "Night Usage", role: "usage" },
+  { column: "total intl minutes", name: "International Usage", role: "usage" },
+  { column: "customer service calls", name: "Service Calls", role: "support" },
+];
+
+const telecomMapping = {
+  fields: [
+    ...telecomFeatures,
+    { column: "churn", name: "Churn", role: "label" },
+    { column: "phone number", name: "Customer ID", role: "id" },
+    { column: "state", name: "State", role: "segment" },
+    { column: "total day calls", name: "Day Calls", role: "activity" },
+    { column: "total eve calls", name: "Evening Calls", role: "activity" },
+    { column: "total night calls", name: "Night Calls", role: "activity" },
+  ],
+};
+
+function displayName(column) {
+  const known = telecomFeatures.find((feature) => feature.column === column);
+  if (known) return known.name;
+  return String(column)
+    .replace(/[_-]+/g, " ")
+    .replace(/([a-z])([A-Z])/g, "$1 $2")
+    .trim()
+    .split(/\s+/)
+    .map((word) => word.charAt(0).toUpperCase() + word.slice(1).toLowerCase())
+    .join(" ");
+}
+
+function profileColumn(column, records) {
+  const present = records.map((record) => String(record[column] ?? "").trim()).filter((value) => value !== "");
+  const lower = present.map((value) => value.toLowerCase());
+  const distinct = new Set(lower).size;
+  return {
+    column,
+    filled: present.length,
+    distinct,
+    uniqueRatio: present.length ? distinct / present.length : 0,
+    numeric: present.length > 0 && present.every((value) => Number.isFinite(Number(value))),
+    boolean: present.length > 0 && lower.every((value) => booleanTokens.has(value)),
+    samples: present.slice(0, 3),
+  };
+}
+
+function isBinary(profile) {
+  return profile.boolean || (profile.numeric && profile.distinct <= 2);
+}
+
+function pickLabel(profiles) {
+  const exact = /^(churn|churned|churn[ _]?flag|is[ _]?churn|exited|attrition|label|target)$/i;
+  return (
+    profiles.find((profile) => exact.test(profile.column) && isBinary(profile)) ||
+    profiles.find((profile) => /churn|attrition|exited/i.test(profile.column) && isBinary(profile)) ||
+    null
+  );
+}
+
+function pickId(profiles) {
+  const candidates = profiles.filter((profile) => profile.uniqueRatio > 0.9);
+  return (
+    candidates.find((profile) => /customer|phone|account[ _]?(id|number)|subscriber/i.test(profile.column) && !profile.numeric) ||
+    candidates.find((profile) => /customer|phone|subscriber/i.test(profile.column)) ||
+    candidates.find((profile) => /(^|[ _])id$|^id[ _]/i.test(profile.column)) ||
+    null
+  );
+}
+
+function pickSegment(profiles) {
+  return (
+    profiles.find(
+      (profile) =>
+        /^state$|region|country|province|territory|market|segment/i.test(profile.column) &&
+        !profile.numeric &&
+        profile.distinct > 1 &&
+        profile.distinct <= 100,
+    ) || null
+  );
+}
+
+// Usage and support contacts are only suggested for numeric columns whose name says so; at most one support column.
+function pickSupport(profiles) {
+  return profiles.find((profile) => profile.numeric && !isBinary(profile) && /service[ _]?calls|support|tickets|complaints|contacts/i.test(profile.column)) || null;
+}
+
+function isUsage(profile) {
+  return profile.numeric && !isBinary(profile) && /minutes|usage|duration|watch[ _]?time|hours/i.test(profile.column);
+}
+
+function suggestMapping(headers, records) {
+  const profiles = headers.map((column) => profileColumn(column, records));
+  const label = pickLabel(profiles);
+  const id = pickId(profiles.filter((profile) => profile !== label));
+  const segment = pickSegment(profiles.filter((profile) => profile !== label && profile !== id));
+  const support = pickSupport(profiles.filter((profile) => profile !== label && profile !== id && profile !== segment));
+
+  const fields = profiles.map((profile) => {
+    let role = "ignore";
+    if (profile === label) role = "label";
+    else if (profile === id) role = "id";
+    else if (profile === segment) role = "segment";
+    else if (profile === support) role = "support";
+    else if (profile.boolean) role = "boolean";
+    else if (isUsage(profile)) role = "usage";
+    else if (profile.numeric && !/(^|[ _])(id|code|zip|phone)([ _]|$)|_id$/i.test(profile.column)) role = "numeric";
+    return { column: profile.column, name: displayName(profile.column), role };
+  });
+
+  return { fields, profiles };
+}
+
+function isTelecomSchema(headers) {
+  return telecomMapping.fields.every((field) => headers.includes(field.column));
+}
+
+function validateMapping(mapping, headers) {
+  const errors = [];
+  const fields = Array.isArray(mapping?.fields) ? mapping.fields : null;
+  if (!fields) return ["Mapping must contain a fields array"];
+
+  fields.forEach((field) => {
+    if (!headers.includes(field.column)) errors.push(`Unknown column "${field.column}"`);
+    if (!roles.includes(field.role)) errors.push(`Unsupported role "${field.role}" for column "${field.column}"`);
+  });
+
+  const count = (role) => fields.filter((field) => field.role === role).length;
+  if (count("label") !== 1) errors.push("Exactly one column must be mapped as the churn label");
+  if (count("id") > 1) errors.push("At most one column can be mapped as the customer id");
+  if (count("segment") > 1) errors.push("At most one column can be mapped as the segment");
+  if (count("support") > 1) errors.push("At most one column can be mapped as support contacts");
+  if (fields.every((field) => !featureRoles.has(field.role))) errors.push("Map at least one numeric or yes/no feature");
+  return errors;
+}
+
+function featureDefsFromMapping(mapping) {
+  return mapping.fields
+    .filter((field) => featureRoles.has(field.role))
+    .map((field) => ({
+      key: field.column,
+      name: field.name || displayName(field.column),
+      type: field.role === "boolean" ? "boolYes" : "num",
+    }));
+}
+
+function columnFor(mapping, role) {
+  return mapping.fields.find((field) => field.role === role)?.column || null;
+}
+
+function columnsFor(mapping, role) {
+  return mapping.fields.filter((field) => field.role === role).map((field) => field.column);
+}
+
+function mappingPath(csvPath) {
+  return `${csvPath}.mapping.json`;
+}
+
+function readMapping(csvPath) {
+  const file = mappingPath(csvPath);
+  if (!fs.existsSync(file)) return null;
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+function writeMapping(csvPath, mapping) {
+  const fields = mapping.fields.map(({ column, name, role }) => ({ column, name: name || displayName(column), role }));
+  fs.writeFileSync(mappingPath(csvPath), JSON.stringify({ fields }, null, 2));
+  return { fields };
+}
+
+function resolveMapping(csvPath, headers, records) {
+  const saved = readMapping(csvPath);
+  if (saved && validateMapping(saved, headers).length === 0) return saved;
+  if (isTelecomSchema(headers)) return telecomMapping;
+  return { fields: suggestMapping(headers, records).fields };
+}
+
+module.exports = {
+  roles,
+  telecomMapping,
+  suggestMapping,
+  validateMapping,
+  featureDefsFromMapping,
+  columnFor,
+  columnsFor,
+  mappingPath,
+  readMapping,
+  writeMapping,
+  resolveMapping,
+};
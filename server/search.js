@@ -0,0 +1,129 @@
+const fs = require("fs");
+const path = require("path");
+const { createRng, cvMetrics } = require("./evaluation");
+const { learners, validateHyperparameters } = require("./model");
+
+// Hyperparameter search for the logistic learner. A grid search lists the values of each searched hyperparameter and
+// tries every combination; a random search gives a { min, max } range per hyperparameter and draws `trials`
+// candidates from it (log-uniform for the learning rate and L2, whose useful values span orders of magnitude).
+const searchedParams = ["epochs", "learningRate", "l2"];
+const logScale = new Set(["learningRate", "l2"]);
+const strategies = ["grid", "random"];
+const lowerIsBetter = new Set(["logLoss"]);
+const maxCandidates = 60;
+
+const defaultSpace = {
+  grid: { epochs: [300, 650, 1200], learningRate: [0.03, 0.07, 0.15], l2: [0.0001, 0.0007, 0.005] },
+  random: {
+    epochs: { min: 200, max: 1500 },
+    learningRate: { min: 0.01, max: 0.3 },
+    l2: { min: 0.00001, max: 0.01 },
+  },
+};
+
+// Normalizes a search request, filling in defaults, or returns { errors }.
+function normalizeSearch(input = {}) {
+  const errors = [];
+  const strategy = input.strategy ?? "grid";
+  if (!strategies.includes(strategy)) return { errors: [`strategy must be one of ${strategies.join(", ")}`] };
+  const spec = {
+    strategy,
+    folds: Number(input.folds ?? 5),
+    trials: Number(input.trials ?? 12),
+    seed: Number(input.seed ?? 42),
+    metric: input.metric ?? "logLoss",
+    space: { ...defaultSpace[strategy], ...(input.space || {}) },
+    classWeight: input.classWeight ?? ["none"],
+    earlyStopping: input.earlyStopping ?? false,
+    patience: Number(input.patience ?? learners.logistic.defaults.patience),
+  };
+  if (!Number.isInteger(spec.folds) || spec.folds < 2 || spec.folds > 10) errors.push("folds must be a whole number between 2 and 10");
+  if (!Number.isInteger(spec.seed)) errors.push("seed must be a whole number");
+  if (!cvMetrics.includes(spec.metric)) errors.push(`metric must be one of ${cvMetrics.join(", ")}`);
+  if (strategy === "random" && (!Number.isInteger(spec.trials) || spec.trials < 1 || spec.trials > maxCandidates)) {
+    errors.push(`trials must be a whole number between 1 and ${maxCandidates}`);
+  }
+  if (!Array.isArray(spec.classWeight) || !spec.classWeight.length) errors.push("classWeight must list at least one option");
+  errors.push(...validateHyperparameters("logistic", { earlyStopping: spec.earlyStopping, patience: spec.patience }));
+
+  Object.keys(spec.space).forEach((key) => {
+    if (!searchedParams.includes(key)) errors.push(`Only ${searchedParams.join(", ")} can be searched`);
+  });
+  searchedParams.forEach((key) => {
+    const values = spec.space[key];
+    if (strategy === "grid") {
+      if (!Array.isArray(values) || !values.length) errors.push(`space.${key} must list at least one value`);
+      else values.forEach((value) => errors.push(...validateHyperparameters("logistic", { [key]: value })));
+    } else if (!values || typeof values !== "object") {
+      errors.push(`space.${key} must be a { min, max } range`);
+    } else {
+      errors.push(...validateHyperparameters("logistic", { [key]: values.min }), ...validateHyperparameters("logistic", { [key]: values.max }));
+      if (values.min > values.max) errors.push(`space.${key}.min must not exceed max`);
+      if (logScale.has(key) && values.min <= 0) errors.push(`space.${key}.min must be above 0 for a log-scale range`);
+    }
+  });
+  if (Array.isArray(spec.classWeight)) {
+    spec.classWeight.forEach((value) => errors.push(...validateHyperparameters("logistic", { classWeight: value })));
+  }
+  if (!errors.length && candidatesFor(spec).length > maxCandidates) {
+    errors.push(`The search has more than ${maxCandidates} candidates; narrow the grid`);
+  }
+  return errors.length ? { errors: [...new Set(errors)] } : { spec };
+}
+
+function candidatesFor(spec) {
+  const fixed = { earlyStopping: spec.earlyStopping, patience: spec.patience };
+  if (spec.strategy === "grid") {
+    const axes = [...searchedParams.map((key) => [key, spec.space[key]]), ["classWeight", spec.classWeight]];
+    return axes
+      .reduce((combos, [key, values]) => combos.flatMap((combo) => values.map((value) => ({ ...combo, [key]: value }))), [{}])
+      .map((params) => ({ ...params, ...fixed }));
+  }
+  const rng = createRng(spec.seed);
+  const draw = (key) => {
+    const { min, max } = spec.space[key];
+    if (logScale.has(key)) return Number(Math.exp(Math.log(min) + rng() * (Math.log(max) - Math.log(min))).toPrecision(3));
+    const value = min + rng() * (max - min);
+    return learners.logistic.integers.includes(key) ? Math.round(value) : Number(value.toPrecision(3));
+  };
+  return Array.from({ length: spec.trials }, () => ({
+    ...Object.fromEntries(searchedParams.map((key) => [key, draw(key)])),
+    classWeight: spec.classWeight[Math.floor(rng() * spec.classWeight.length)],
+    ...fixed,
+  }));
+}
+
+// Index of the best candidate by its mean cross-validated `metric`.
+function bestCandidate(results, metric) {
+  let best = -1;
+  results.forEach((result, index) => {
+    const value = result.crossValidation.summary[metric].mean;
+    const current = best >= 0 ? results[best].crossValidation.summary[metric].mean : null;
+    if (current === null || (lowerIsBetter.has(metric) ? value < current : value > current)) best = index;
+  });
+  return best;
+}
+
+// Finished searches of one workspace, newest first.
+function createSearchStore(rootDir, { maxSearches = 10 } = {}) {
+  const filePath = path.join(rootDir, "searches.json");
+  let searches = fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, "utf8")) : [];
+
+  function list() {
+    return searches.map(({ results: _results, ...summary }) => summary);
+  }
+
+  function get(id) {
+    return searches.find((search) => search.id === id) || null;
+  }
+
+  function add(search) {
+    searches = [search, ...searches].slice(0, maxSearches);
+    fs.mkdirSync(rootDir, { recursive: true });
+    fs.writeFileSync(filePath, JSON.stringify(searches));
+  }
+
+  return { list, get, add };
+}
+
+module.exports = { normalizeSearch, candidatesFor, bestCandidate, createSearchStore, defaultSpace };
@@ -0,0 +1,198 @@
+const { Worker, isMainThread, parentPort, workerData } = require("worker_threads");
+const { learners, scoreVector, featureVector } = require("./model");
+const { crossValidate, evaluateModel } = require("./evaluation");
+const { imbalanceCorrection, resample } = require("./imbalance");
+const { prepareDataset } = require("./rows");
+
+// A training job runs in its own worker thread so the stream loop keeps ticking. The job is plain data:
+//   { algorithm, params, featureDefs, model?, train?: { X, y }, crossValidation?: { X, y, folds, seed }, score?: X }
+// It fits a model on train (or uses the given model), cross-validates if asked, then scores every vector in score.
+// A search job, { algorithm, featureDefs, search: { candidates, X, y, folds, seed } }, cross-validates each candidate
+// set of params instead, and an imbalance job, { algorithm, params, featureDefs, imbalance: { strategies, train, test,
+// threshold } }, fits one model per strategy and evaluates each on the same held-out rows. A dataset job,
+// { algorithm, params, model?, dataset: { path, mapping, holdoutRatio, seed, folds } }, reads and splits the CSV in
+// the worker, fits on the training split unless a model is given, and returns the prepared rows with the scores.
+// The worker posts { type: "progress", phase, step, total, loss, progress } messages and finally { type: "done", result }.
+
+const progressIntervalMs = 150;
+
+// Posts throttled progress; done counts the units of work already finished and weight scales the current one.
+function createPoster(units) {
+  let lastPost = 0;
+  return ({ phase, step, total, loss = null }, done, { weight = 1, force = false } = {}) => {
+    const now = Date.now();
+    if (!force && now - lastPost < progressIntervalMs) return;
+    lastPost = now;
+    parentPort.postMessage({ type: "progress", phase, step, total, loss, progress: (done + (weight * step) / total) / units });
+  };
+}
+
+// Applies params.imbalance to training rows only: the sampling strategies resample X and y, and the learner gets the
+// classWeight that goes with the strategy.
+function balance(X, y, params) {
+  const { imbalance, ...rest } = imbalanceCorrection(params);
+  return { ...resample(X, y, imbalance, rest.seed), params: rest };
+}
+
+function fit(learner, X, y, params, onProgress) {
+  const sample = balance(X, y, params);
+  return learner.fit(sample.X, sample.y, sample.params, onProgress);
+}
+
+function crossValidateParams(learner, featureDefs, { X, y, folds, seed }, params, onFold) {
+  const rows = X.map((x, i) => ({ x, actualChurn: y[i] }));
+  let fold = 0;
+  const models = [];
+  const cv = crossValidate(
+    rows,
+    folds,
+    (foldTrain, foldTest) => {
+      fold += 1;
+      const foldModel = fit(
+        learner,
+        foldTrain.map((row) => row.x),
+        foldTrain.map((row) => row.actualChurn),
+        params,
+        onFold(fold),
+      );
+      models.push(foldModel);
+      return foldTest.map((row) => ({ ...row, churnRisk: scoreVector(foldModel, row.x, featureDefs).churnRisk }));
+    },
+    { seed },
+  );
+  return { cv, models };
+}
+
+// Each candidate's mean cross-validated metrics, the mean number of epochs it ran and the loss curve of its first fold.
+function runSearch(job) {
+  const { algorithm, featureDefs, search } = job;
+  const learner = learners[algorithm];
+  const { candidates, folds } = search;
+  const post = createPoster(candidates.length * folds);
+  const results = candidates.map((params, index) => {
+    const { cv, models } = crossValidateParams(learner, featureDefs, search, { ...params, seed: search.seed }, (fold) => {
+      const done = index * folds + fold - 1;
+      const phase = `candidate ${index + 1}/${candidates.length} · fold ${fold}/${folds}`;
+      return (step, total, loss) => post({ phase, step, total, loss }, done);
+    });
+    return {
+      params,
+      crossValidation: { folds: cv.folds, summary: cv.summary },
+      epochsRun: Math.round(models.reduce((acc, model) => acc + (model.training?.epochsRun ?? 0), 0) / models.length),
+      curve: models[0].training?.curve ?? [],
+    };
+  });
+  return { results };
+}
+
+function runImbalance(job) {
+  const { algorithm, params, featureDefs, imbalance } = job;
+  const learner = learners[algorithm];
+  const { strategies, train, test, threshold } = imbalance;
+  const post = createPoster(strategies.length);
+  const results = strategies.map((strategy, index) => {
+    // Each strategy is compared on its own, without the serving model's class weights.
+    const sample = balance(train.X, train.y, { ...params, imbalance: strategy, classWeight: "none" });
+    const model = learner.fit(sample.X, sample.y, sample.params, (step, total, loss) =>
+      post({ phase: `${strategy} ${index + 1}/${strategies.length}`, step, total, loss }, index),
+    );
+    const rows = test.X.map((x, i) => ({ actualChurn: test.y[i], churnRisk: scoreVector(model, x, featureDefs).churnRisk }));
+    const { rocCurve: _roc, prCurve: _pr, confusion: _confusion, ...metrics } = evaluateModel(rows, threshold);
+    return {
+      strategy,
+      // What the strategy actually did: resampling is a no-op when the classes are already balanced.
+      applied: { resampling: sample.X === train.X ? "none" : strategy, classWeight: sample.params.classWeight },
+      trainRows: sample.y.length,
+      trainPositiveShare: Number((sample.y.reduce((acc, label) => acc + label, 0) / Math.max(1, sample.y.length)).toFixed(4)),
+      metrics,
+    };
+  });
+  return { results };
+}
+
+function runJob(job) {
+  if (job.search) return runSearch(job);
+  if (job.imbalance) return runImbalance(job);
+  const { algorithm, params, featureDefs, train, crossValidation, score } = job;
+  const learner = learners[algorithm];
+  // Each fit counts as one unit of work and scoring as a tenth of one, so progress moves evenly across phases.
+  const units = (train ? 1 : 0) + (crossValidation ? crossValidation.folds : 0) + (score ? 0.1 : 0);
+  let done = 0;
+  const post = createPoster(units);
+
+  let model = job.model;
+  if (train) {
+    model = fit(learner, train.X, train.y, params, (step, total, loss) =>
+      post({ phase: "training", step, total, loss }, done, { force: step === total }),
+    );
+    done += 1;
+  }
+
+  let cv = null;
+  if (crossValidation) {
+    cv = crossValidateParams(learner, featureDefs, crossValidation, params, (fold) => {
+      const phase = `fold ${fold}/${crossValidation.folds}`;
+      return (step, total, loss) => post({ phase, step, total, loss }, done + fold - 1);
+    }).cv;
+    done += crossValidation.folds;
+  }
+
+  const scores = score
+    ? score.map((x, i) => {
+      post({ phase: "scoring", step: i + 1, total: score.length }, done, { weight: 0.1, force: i + 1 === score.length });
+      return scoreVector(model, x, featureDefs);
+    })
+    : null;
+  return { model, crossValidation: cv, scores };
+}
+
+async function runDatasetJob(job) {
+  const { path: csvPath, mapping, holdoutRatio, seed, folds = 0 } = job.dataset;
+  const prepared = await prepareDataset(csvPath, mapping, { holdoutRatio, seed });
+  const vectors = (rows) => rows.map((row) => featureVector(row.raw, prepared.featureDefs));
+  const labels = (rows) => rows.map((row) => row.actualChurn);
+  const X = vectors(prepared.modelingRows);
+  const result = runJob({
+    algorithm: job.algorithm,
+    params: job.params,
+    model: job.model,
+    featureDefs: prepared.featureDefs,
+    train: job.model ? null : { X: vectors(prepared.train), y: labels(prepared.train) },
+    crossValidation: folds > 1 ? { X, y: labels(prepared.modelingRows), folds, seed } : null,
+    score: X,
+  });
+  return { ...result, prepared };
+}
+
+// Starts a job; onProgress receives the worker's progress messages. cancel() stops the worker and rejects the
+// promise with an error whose `cancelled` is true.
+function startJob(job, onProgress) {
+  const worker = new Worker(__filename, { workerData: job });
+  let cancelled = false;
+  const promise = new Promise((resolve, reject) => {
+    worker.on("message", (message) => {
+      if (message.type === "progress") onProgress(message);
+      else resolve(message.result);
+    });
+    worker.once("error", reject);
+    worker.once("exit", (code) => {
+      if (cancelled) reject(Object.assign(new Error("Training was cancelled"), { cancelled: true }));
+      else reject(new Error(`Training worker exited with code ${code}`));
+    });
+  });
+  return {
+    promise,
+    cancel() {
+      cancelled = true;
+      return worker.terminate();
+    },
+  };
+}
+
+if (!isMainThread) {
+  Promise.resolve(workerData.dataset ? runDatasetJob(workerData) : runJob(workerData)).then((result) =>
+    parentPort.postMessage({ type: "done", result }),
+  );
+}
+
+module.exports = { startJob };
@@ -0,0 +1,177 @@
+const { createRng } = require("./evaluation");
+const { classWeights } = require("./imbalance");
+
+function sigmoid(x) {
+  return 1 / (1 + Math.exp(-x));
+}
+
+// Quantile cut points per feature; a split on edge k sends rows with x < edges[k] left.
+function quantileEdges(values, bins) {
+  const sorted = Float64Array.from(values).sort();
+  const edges = [];
+  for (let b = 1; b < bins; b += 1) {
+    const edge = sorted[Math.floor((b * sorted.length) / bins)];
+    if (edge > sorted[0] && edge !== edges[edges.length - 1]) edges.push(edge);
+  }
+  return edges;
+}
+
+function binOf(value, edges) {
+  let lo = 0;
+  let hi = edges.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (edges[mid] <= value) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+function buildTree(indices, ctx, depth) {
+  const { g, h, binned, edges, params } = ctx;
+  let G = 0;
+  let H = 0;
+  indices.forEach((i) => {
+    G += g[i];
+    H += h[i];
+  });
+  const node = { value: G / (H + params.l2) };
+  if (depth >= params.maxDepth || indices.length < 2 * params.minLeaf) return node;
+
+  const parentScore = (G * G) / (H + params.l2);
+  let best = null;
+  edges.forEach((featureEdges, f) => {
+    const bins = featureEdges.length + 1;
+    if (bins < 2) return;
+    const histG = new Float64Array(bins);
+    const histH = new Float64Array(bins);
+    const histC = new Uint32Array(bins);
+    indices.forEach((i) => {
+      const b = binned[i][f];
+      histG[b] += g[i];
+      histH[b] += h[i];
+      histC[b] += 1;
+    });
+    let GL = 0;
+    let HL = 0;
+    let CL = 0;
+    for (let k = 0; k < bins - 1; k += 1) {
+      GL += histG[k];
+      HL += histH[k];
+      CL += histC[k];
+      const CR = indices.length - CL;
+      if (CL < params.minLeaf || CR < params.minLeaf) continue;
+      const GR = G - GL;
+      const HR = H - HL;
+      const gain = (GL * GL) / (HL + params.l2) + (GR * GR) / (HR + params.l2) - parentScore;
+      if (gain > 1e-9 && (!best || gain > best.gain)) best = { feature: f, bin: k, gain };
+    }
+  });
+  if (!best) return node;
+
+  const left = [];
+  const right = [];
+  indices.forEach((i) => (binned[i][best.feature] <= best.bin ? left : right).push(i));
+  ctx.gains[best.feature] += best.gain;
+  return {
+    ...node,
+    feature: best.feature,
+    threshold: edges[best.feature][best.bin],
+    left: buildTree(left, ctx, depth + 1),
+    right: buildTree(right, ctx, depth + 1),
+  };
+}
+
+function leafValue(tree, x) {
+  let node = tree;
+  while (node.left) node = x[node.feature] < node.threshold ? node.left : node.right;
+  return node.value;
+}
+
+// Newton-boosted trees on the logistic loss, with histogram splits so training stays linear in rows per level.
+// onProgress(tree, trees, loss) is called after every tree with the mean log loss before that tree was added.
+function trainGradientBoosting(X, y, options = {}, onProgress = null) {
+  const params = {
+    trees: 80,
+    maxDepth: 3,
+    learningRate: 0.1,
+    minLeaf: 20,
+    subsample: 0.8,
+    bins: 32,
+    l2: 1,
+    seed: 42,
+    classWeight: "none",
+    ...options,
+  };
+  const n = X.length;
+  const m = X[0]?.length || 0;
+  const rng = createRng(params.seed);
+
+  const edges = Array.from({ length: m }, (_, j) => quantileEdges(X.map((row) => row[j]), params.bins));
+  const binned = X.map((row) => row.map((value, j) => binOf(value, edges[j])));
+  // Class weights scale each row's gradient and hessian, and the starting log-odds use the weighted churn rate.
+  const weights = classWeights(y, params.classWeight);
+  const positives = y.reduce((acc, label) => acc + label, 0);
+  const weighted = positives * weights[1] + (n - positives) * weights[0];
+  const prior = Math.min(1 - 1e-6, Math.max(1e-6, (positives * weights[1]) / Math.max(1, weighted)));
+  const base = Math.log(prior / (1 - prior));
+
+  const F = new Float64Array(n).fill(base);
+  const g = new Float64Array(n);
+  const h = new Float64Array(n);
+  const ctx = { g, h, binned, edges, params, gains: new Array(m).fill(0) };
+  const trees = [];
+
+  for (let t = 0; t < params.trees; t += 1) {
+    let loss = 0;
+    for (let i = 0; i < n; i += 1) {
+      const p = sigmoid(F[i]);
+      const weight = weights[y[i]];
+      g[i] = weight * (y[i] - p);
+      h[i] = weight * Math.max(p * (1 - p), 1e-6);
+      loss -= weight * Math.log(Math.max(1e-12, y[i] ? p : 1 - p));
+    }
+    const sample = [];
+    for (let i = 0; i < n; i += 1) if (rng() < params.subsample) sample.push(i);
+    const tree = buildTree(sample, ctx, 0);
+    trees.push(tree);
+    for (let i = 0; i < n; i += 1) F[i] += params.learningRate * leafValue(tree, X[i]);
+    if (onProgress) onProgress(t + 1, params.trees, loss / Math.max(1, weighted));
+  }
+
+  const means = new Array(m).fill(0);
+  const stds = new Array(m).fill(0);
+  for (let j = 0; j < m; j += 1) {
+    means[j] = X.reduce((acc, row) => acc + row[j], 0) / Math.max(1, n);
+    const variance = X.reduce((acc, row) => acc + (row[j] - means[j]) ** 2, 0) / Math.max(1, n - 1);
+    stds[j] = Math.sqrt(variance) || 1;
+  }
+
+  return {
+    algorithm: "gbt",
+    base,
+    learningRate: params.learningRate,
+    trees,
+    featureGains: ctx.gains.map((gain) => Number(gain.toFixed(4))),
+    means,
+    stds,
+  };
+}
+
+// Path-based (Saabas) attribution: each split credits its feature with the change in node value along the row's path.
+function explainGradientBoosting(gbtModel, x) {
+  const contributions = new Array(x.length).fill(0);
+  let bias = gbtModel.base;
+  gbtModel.trees.forEach((tree) => {
+    let node = tree;
+    bias += gbtModel.learningRate * node.value;
+    while (node.left) {
+      const next = x[node.feature] < node.threshold ? node.left : node.right;
+      contributions[node.feature] += gbtModel.learningRate * (next.value - node.value);
+      node = next;
+    }
+  });
+  return { bias, contributions, logit: bias + contributions.reduce((acc, value) => acc + value, 0) };
+}
+
+module.exports = { trainGradientBoosting, explainGradientBoosting };
@@ -0,0 +1,295 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+const webhookEvents = ["alert.opened", "alert.resolved", "customer.high_risk"];
+
+function lookup(context, pathExpr) {
+  return pathExpr.split(".").reduce((value, key) => (value == null ? undefined : value[key]), context);
+}
+
+// Templates are JSON; a string that is exactly "{{path}}" keeps the value's type, otherwise placeholders are interpolated as text.
+function renderTemplate(template, context) {
+  if (typeof template === "string") {
+    const whole = template.match(/^\{\{\s*([\w.]+)\s*\}\}$/);
+    if (whole) return lookup(context, whole[1]) ?? null;
+    return template.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (_match, key) => {
+      const value = lookup(context, key);
+      if (value == null) return "";
+      return typeof value === "object" ? JSON.stringify(value) : String(value);
+    });
+  }
+  if (Array.isArray(template)) return template.map((item) => renderTemplate(item, context));
+  if (template && typeof template === "object") {
+    return Object.fromEntries(Object.entries(template).map(([key, value]) => [key, renderTemplate(value, context)]));
+  }
+  return template;
+}
+
+function sign(secret, body) {
+  return `sha256=${crypto.createHmac("sha256", secret).update(body).digest("hex")}`;
+}
+
+function validateWebhook(hook) {
+  const errors = [];
+  if (!String(hook.name || "").trim()) errors.push("name is required");
+  try {
+    const url = new URL(hook.url);
+    if (!["http:", "https:"].includes(url.protocol)) errors.push("url must use http or https");
+  } catch {
+    errors.push("url must be an absolute URL");
+  }
+  if (!Array.isArray(hook.events) || !hook.events.length || hook.events.some((event) => !webhookEvents.includes(event))) {
+    errors.push(`events must be a non-empty list of ${webhookEvents.join(", ")}`);
+  }
+  if (hook.template !== null && (typeof hook.template !== "object" || Array.isArray(hook.template))) {
+    errors.push("template must be a JSON object or null");
+  }
+  if (hook.riskThreshold !== null && (!Number.isFinite(hook.riskThreshold) || hook.riskThreshold < 0 || hook.riskThreshold > 100)) {
+    errors.push("riskThreshold must be between 0 and 100, or null to follow the decision threshold");
+  }
+  if (!Number.isInteger(hook.maxAttempts) || hook.maxAttempts < 1 || hook.maxAttempts > 10) {
+    errors.push("maxAttempts must be an integer from 1 to 10");
+  }
+  return errors;
+}
+
+function normalizeWebhook(input, current) {
+  let template = input.template === undefined ? current.template : input.template;
+  if (typeof template === "string") {
+    try {
+      template = template.trim() ? JSON.parse(template) : null;
+    } catch {
+      template = "invalid";
+    }
+  }
+  const riskThreshold = input.riskThreshold === undefined ? current.riskThreshold : input.riskThreshold;
+  return {
+    ...current,
+    name: String(input.name ?? current.name ?? "").trim(),
+    url: String(input.url ?? current.url ?? "").trim(),
+    events: input.events ?? current.events,
+    template: template ?? null,
+    riskThreshold: riskThreshold == null || riskThreshold === "" ? null : Number(riskThreshold),
+    maxAttempts: Number(input.maxAttempts ?? current.maxAttempts ?? 5),
+    enabled: input.enabled === undefined ? current.enabled !== false : input.enabled !== false,
+  };
+}
+
+const publicWebhook = ({ secret, ...hook }) => ({ ...hook, hasSecret: Boolean(secret) });
+
+// Deliveries retry with exponential backoff (baseDelay, 2x, 4x...) until a 2xx response or maxAttempts is reached.
+// stop() abandons pending retries and in-flight requests and stops writing to rootDir, which may be about to go away.
+function createWebhookDispatcher(rootDir, { timeout = 5000, baseDelay = 1000, maxDeliveries = 500 } = {}) {
+  const hooksPath = path.join(rootDir, "webhooks.json");
+  const deliveriesPath = path.join(rootDir, "deliveries.json");
+  const notifiedPath = path.join(rootDir, "notified.json");
+  fs.mkdirSync(rootDir, { recursive: true });
+
+  let hooks = fs.existsSync(hooksPath) ? JSON.parse(fs.readFileSync(hooksPath, "utf8")) : [];
+  let deliveries = fs.existsSync(deliveriesPath) ? JSON.parse(fs.readFileSync(deliveriesPath, "utf8")) : [];
+  // Retry timers do not survive a restart, so anything still in flight is closed out as failed.
+  deliveries
+    .filter((delivery) => delivery.status === "pending" || delivery.status === "retrying")
+    .forEach((delivery) => {
+      delivery.status = "failed";
+      delivery.completedAt = new Date().toISOString();
+    });
+
+  // Customers each hook last announced as high risk, by hook id. It is kept on disk so a restart or a switch between
+  // datasets does not announce them again; a customer leaves the set once scored below the hook's threshold.
+  const storedNotified = fs.existsSync(notifiedPath) ? JSON.parse(fs.readFileSync(notifiedPath, "utf8")) : {};
+  const notified = new Map(Object.entries(storedNotified).map(([id, ids]) => [id, new Set(ids)]));
+  const retryTimers = new Set();
+  const controllers = new Set();
+  let stopped = false;
+
+  function saveNotified() {
+    if (stopped) return;
+    fs.writeFileSync(notifiedPath, JSON.stringify(Object.fromEntries([...notified].map(([id, ids]) => [id, [...ids]]))));
+  }
+
+  function saveHooks() {
+    fs.writeFileSync(hooksPath, JSON.stringify(hooks, null, 2));
+  }
+
+  function saveDeliveries() {
+    if (stopped) return;
+    deliveries = deliveries.slice(-maxDeliveries);
+    fs.writeFileSync(deliveriesPath, JSON.stringify(deliveries));
+  }
+
+  async function attempt(delivery, hook) {
+    const timestamp = new Date().toISOString();
+    const controller = new AbortController();
+    controllers.add(controller);
+    const timer = setTimeout(() => controller.abort(), timeout);
+    const started = Date.now();
+    const record = { at: timestamp, statusCode: null, error: null, durationMs: 0 };
+    try {
+      const headers = {
+        "Content-Type": "application/json",
+        "User-Agent": "churn-retention-webhooks",
+        "X-Churn-Event": delivery.event,
+        "X-Churn-Delivery": delivery.id,
+      };
+      if (hook.secret) headers["X-Churn-Signature"] = sign(hook.secret, delivery.body);
+      const res = await fetch(hook.url, { method: "POST", headers, body: delivery.body, signal: controller.signal });
+      record.statusCode = res.status;
+      if (!res.ok) record.error = `HTTP ${res.status}`;
+    } catch (err) {
+      record.error = err.name === "AbortError" ? `Timed out after ${timeout}ms` : err.message;
+    } finally {
+      clearTimeout(timer);
+      controllers.delete(controller);
+      record.durationMs = Date.now() - started;
+    }
+
+    if (stopped) return;
+    delivery.attempts.push(record);
+    if (!record.error) {
+      delivery.status = "delivered";
+      delivery.completedAt = new Date().toISOString();
+    } else if (delivery.attempts.length >= hook.maxAttempts) {
+      delivery.status = "failed";
+      delivery.completedAt = new Date().toISOString();
+    } else {
+      const delay = baseDelay * 2 ** (delivery.attempts.length - 1);
+      delivery.status = "retrying";
+      delivery.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+      const retry = setTimeout(() => {
+        retryTimers.delete(retry);
+        const current = hooks.find((item) => item.id === hook.id);
+        if (current) return run(delivery, current);
+        delivery.status = "failed";
+        delivery.completedAt = new Date().toISOString();
+        saveDeliveries();
+      }, delay);
+      retryTimers.add(retry);
+    }
+    saveDeliveries();
+  }
+
+  // A failed attempt is recorded on the delivery; this only catches what attempt() itself could not handle.
+  function run(delivery, hook) {
+    attempt(delivery, hook).catch((err) => console.error(`Webhook delivery ${delivery.id} failed:`, err));
+  }
+
+  function deliver(hook, event, data) {
+    const id = `dlv-${crypto.randomUUID()}`;
+    const timestamp = new Date().toISOString();
+    const context = { event, deliveryId: id, timestamp, webhook: { id: hook.id, name: hook.name }, ...data };
+    const payload = hook.template ? renderTemplate(hook.template, context) : { event, deliveryId: id, timestamp, data };
+    const delivery = {
+      id,
+      webhookId: hook.id,
+      event,
+      status: "pending",
+      createdAt: timestamp,
+      completedAt: null,
+      nextAttemptAt: null,
+      body: JSON.stringify(payload),
+      attempts: [],
+    };
+    deliveries.push(delivery);
+    run(delivery, hook);
+    return delivery;
+  }
+
+  function dispatch(event, data) {
+    hooks.filter((hook) => hook.enabled && hook.events.includes(event)).forEach((hook) => deliver(hook, event, data));
+  }
+
+  function alertTransitions(transitions) {
+    transitions.forEach(({ type, alert }) => dispatch(`alert.${type}`, { alert }));
+  }
+
+  // A customer crosses when scored at or above the hook's threshold without having been announced to it since they were
+  // last below it.
+  function customersScored(scored, decisionThreshold) {
+    let changed = false;
+    hooks
+      .filter((hook) => hook.enabled && hook.events.includes("customer.high_risk"))
+      .forEach((hook) => {
+        const threshold = hook.riskThreshold ?? decisionThreshold;
+        if (!notified.has(hook.id)) notified.set(hook.id, new Set());
+        const announced = notified.get(hook.id);
+        scored.forEach(({ customer, previousRisk }) => {
+          const key = String(customer.id);
+          if (customer.churnRisk < threshold) {
+            changed = announced.delete(key) || changed;
+          } else if (!announced.has(key)) {
+            announced.add(key);
+            changed = true;
+            deliver(hook, "customer.high_risk", { customer, previousRisk, threshold });
+          }
+        });
+      });
+    if (changed) saveNotified();
+  }
+
+  function list() {
+    return hooks.map(publicWebhook);
+  }
+
+  function create(input) {
+    const hook = normalizeWebhook(input || {}, {
+      id: `whk-${crypto.randomBytes(4).toString("hex")}`,
+      secret: input?.secret || crypto.randomBytes(24).toString("hex"),
+      createdAt: new Date().toISOString(),
+    });
+    const errors = validateWebhook(hook);
+    if (errors.length) return { errors };
+    hooks = [...hooks, hook];
+    saveHooks();
+    return { webhook: { ...publicWebhook(hook), secret: hook.secret } };
+  }
+
+  function update(id, input) {
+    const current = hooks.find((hook) => hook.id === id);
+    if (!current) return null;
+    const hook = normalizeWebhook(input || {}, current);
+    if (input?.secret) hook.secret = String(input.secret);
+    const errors = validateWebhook(hook);
+    if (errors.length) return { errors };
+    hooks = hooks.map((item) => (item.id === id ? hook : item));
+    saveHooks();
+    return { webhook: publicWebhook(hook) };
+  }
+
+  function remove(id) {
+    if (!hooks.some((hook) => hook.id === id)) return false;
+    hooks = hooks.filter((hook) => hook.id !== id);
+    saveHooks();
+    if (notified.delete(id)) saveNotified();
+    return true;
+  }
+
+  function deliveriesFor(id, limit = 50) {
+    return deliveries
+      .filter((delivery) => delivery.webhookId === id)
+      .slice(-Math.max(1, Math.min(500, Number(limit) || 50)))
+      .reverse();
+  }
+
+  function test(id) {
+    const hook = hooks.find((item) => item.id === id);
+    if (!hook) return null;
+    const event = hook.events[0];
+    const sample = event.startsWith("alert.")
+      ? { alert: { id: "alt-test", title: "Test alert", message: "Sent from the webhook test button.", severity: "info", status: event.slice(6) } }
+      : { customer: { id: "test-customer", churnRisk: 99, platform: "Netflix", tier: "Premium", state: "CA" }, previousRisk: null, threshold: hook.riskThreshold ?? 50 };
+    return deliver(hook, event, { ...sample, test: true });
+  }
+
+  function stop() {
+    stopped = true;
+    retryTimers.forEach((retry) => clearTimeout(retry));
+    retryTimers.clear();
+    controllers.forEach((controller) => controller.abort());
+  }
+
+  return { list, create, update, remove, deliveriesFor, test, alertTransitions, customersScored, stop };
+}
+
+module.exports = { createWebhookDispatcher, renderTemplate, webhookEvents };
@@ -0,0 +1,1557 @@
+const fs = require("fs");
+const path = require("path");
+const { telecomMapping, suggestMapping, featureDefsFromMapping, columnFor } = require("./schema");
+const { stratifiedSplit, evaluateModel, selectThreshold } = require("./evaluation");
+const { createModelRegistry } = require("./registry");
+const { learners, explainScore, scoreVector, featureVector: vectorFor, toBoolYes } = require("./model");
+const { profileFeatures, suggestCounterfactual } = require("./counterfactual");
+const { createAlertEngine } = require("./alerts");
+const { createWebhookDispatcher } = require("./webhooks");
+const { diffState } = require("./patches");
+const { readCsv } = require("./csv");
+const { createDatasetLibrary } = require("./datasets");
+const { createHistoryStore } = require("./history");
+const { createDriftReference, measureDrift, driftLevels } = require("./drift");
+const { createRetrainingStore, comparisonMetrics, improvement } = require("./retraining");
+const { normalizeSearch, candidatesFor, bestCandidate, createSearchStore } = require("./search");
+const { imbalanceStrategies, imbalanceCorrection, createImbalanceStore } = require("./imbalance");
+const { startJob } = require("./training");
+const { platforms, hashText, toModelRow: modelRowFor } = require("./rows");
+
+// Time between stream ticks at normal speed.
+const tickMs = 2200;
+
+const trainingConfig = {
+  holdoutRatio: 0.2,
+  folds: Number(process.env.CV_FOLDS) || 0,
+  seed: 42,
+};
+
+function versionSummary(artifact) {
+  return {
+    version: artifact.version,
+    createdAt: artifact.createdAt,
+    algorithm: artifact.algorithm,
+    datasetPath: artifact.dataset.path,
+  };
+}
+
+async function inspectDataset(csvPath, sampleSize = 200) {
+  const records = [];
+  const result = await readCsv(csvPath, {
+    onRecord: (record) => {
+      if (records.length < sampleSize) records.push(record);
+    },
+  });
+  return { ...result, records };
+}
+
+function clamp01(value) {
+  return Math.max(0, Math.min(1, value));
+}
+
+const booleanValues = new Set(["yes", "no", "y", "n", "true", "false", "1", "0"]);
+
+// Fields the dataset's mapping leaves unmapped are null on every row and stay null in the averages.
+function summarizePlatform(rows, platform) {
+  const group = rows.filter((row) => row.platform === platform);
+  if (!group.length) return { name: platform, activeUsers: 0, avgRisk: 0, serviceLoad: 0, avgMinutes: 0, satisfaction: 0 };
+  const avg = (key) => (group[0][key] === null ? null : Number((group.reduce((acc, cur) => acc + cur[key], 0) / group.length).toFixed(2)));
+  return {
+    name: platform,
+    activeUsers: group.length,
+    avgRisk: avg("churnRisk"),
+    serviceLoad: avg("serviceCalls"),
+    avgMinutes: avg("minutes"),
+    satisfaction: avg("satisfaction"),
+  };
+}
+
+const riskBuckets = [
+  { name: "Low", min: 0, max: 34, color: "#45f4b0" },
+  { name: "Medium", min: 34, max: 67, color: "#73beff" },
+  { name: "High", min: 67, max: 101, color: "#ff6ea6" },
+];
+
+function riskBand(risk) {
+  return riskBuckets.find((bucket) => risk >= bucket.min && risk < bucket.max)?.name || "High";
+}
+
+function getRiskDistribution(rows) {
+  const total = rows.length || 1;
+  return riskBuckets.map((bucket) => {
+    const users = rows.filter((row) => row.churnRisk >= bucket.min && row.churnRisk < bucket.max).length;
+    return { ...bucket, users, share: Number(((users / total) * 100).toFixed(2)) };
+  });
+}
+
+// A workspace is one isolated command center: its own dataset library, model registry, alert rules, webhooks,
+// threshold policy and stream loop, all persisted under rootDir. Socket events for all of its clients go through emit,
+// updates for the subscribers of one segment through emitSegment.
+function createWorkspace({ id, rootDir, uploadDir, datasetPath, emit, emitSegment }) {
+  const modelRegistry = createModelRegistry(path.join(rootDir, "models"));
+  const alertEngine = createAlertEngine(path.join(rootDir, "alerts"));
+  const webhooks = createWebhookDispatcher(path.join(rootDir, "webhooks"));
+  const datasetLibrary = createDatasetLibrary(path.join(rootDir, "datasets"));
+  const history = createHistoryStore(path.join(rootDir, "history"));
+  const retraining = createRetrainingStore(path.join(rootDir, "retraining"));
+  const searches = createSearchStore(rootDir);
+  const imbalance = createImbalanceStore(rootDir);
+  let timer = null;
+  let retrainTimer = null;
+  // The challenger being trained, and when the scheduler started counting the retraining interval.
+  let retrainJob = null;
+  let scheduleFrom = Date.now();
+  let running = false;
+
+  let datasetMapping = telecomMapping;
+  let featureDefs = featureDefsFromMapping(datasetMapping);
+  let tierCuts = null;
+
+  const state = {
+    kpis: { activeSessions: 0, avgChurnRisk: 0, predictedChurners: 0, totalMinutes: 0, avgServiceCalls: 0 },
+    platformMetrics: [],
+    riskDistribution: [],
+    trend: [],
+    liveFeed: [],
+    topRiskCustomers: [],
+    alerts: [],
+    modelStats: null,
+    states: [],
+    platforms,
+    updateAt: new Date().toISOString(),
+    datasetInfo: { path: datasetPath, rows: 0, mapping: datasetMapping },
+    thresholdPolicy: null,
+    modelVersion: null,
+    streamSource: null,
+    stream: null,
+    drift: null,
+    retraining: null,
+  };
+
+  let mappedRows = [];
+  let model = null;
+  let currentDatasetPath = datasetPath;
+  let cursor = 0;
+  let streamWindow = [];
+  let trendWindow = [];
+  let holdoutRows = [];
+  let rowsById = new Map();
+  let riskHistory = new Map();
+  let featureProfiles = [];
+  // Training-set distributions the live window is compared against, and the prediction drift of recent ticks.
+  let driftReference = null;
+  let driftTrend = [];
+  let thresholdPolicy = { mode: "fixed", threshold: 50 };
+  const pendingUploads = new Map();
+  let datasetLoading = false;
+  // Raw records received through /api/events or the socket, keyed by customer id; rescored whenever the model changes.
+  let ingestedRecords = new Map();
+  let ingestedSinceTick = [];
+  const streamSource = { demo: process.env.DEMO_STREAM !== "off" };
+  // Pace and size of the stream. While replaying, the window is rebuilt from a recorded cursor position and moves on
+  // a simulated clock; the live window and any records ingested meanwhile are restored when it returns to live.
+  const stream = { paused: false, speed: 1, batchSize: 45, windowSize: 620 };
+  let replay = null;
+  let heldBack = [];
+  // Training and scoring jobs, oldest first. Each running job has a worker handle so it can be cancelled; a job
+  // cancelled while its dataset is still loading stops before its worker starts.
+  const jobs = new Map();
+  const jobHandles = new Map();
+  const cancelRequests = new Set();
+  let jobSeq = 0;
+  // A copy of the state as of the last patch, so each patch only carries what changed since.
+  let seq = 0;
+  let sentState = {};
+  // Segment subscriptions by filter key: the filter, how many clients follow it and the last view sent to them.
+  const segments = new Map();
+
+  const defaultAlgorithm = learners[process.env.MODEL_ALGORITHM] ? process.env.MODEL_ALGORITHM : "logistic";
+
+  // scores holds the worker's score for each modeling row, in order.
+  function installModel(csvPath, prepared, nextModel, scores) {
+    const { modelingRows, test: testRows, report } = prepared;
+    datasetMapping = prepared.mapping;
+    featureDefs = prepared.featureDefs;
+    tierCuts = prepared.tierCuts;
+    model = nextModel;
+    mappedRows = modelingRows.map((row, index) => scoreRow(row, model, scores[index]));
+    const scored = new Map(modelingRows.map((row, index) => [row, mappedRows[index]]));
+    holdoutRows = testRows.map((row) => scored.get(row));
+    rowsById = new Map(mappedRows.map((row) => [String(row.id), row]));
+    if (csvPath !== currentDatasetPath) {
+      riskHistory = new Map();
+      ingestedRecords = new Map();
+    }
+    ingestedRecords.forEach((raw, id) => rowsById.set(id, scoreRow(ingestedModelRow(raw, rowsById.get(id)), model)));
+    featureProfiles = profileFeatures(mappedRows.map((row) => featureVector(row.raw)), featureDefs);
+    setDriftReference(prepared.train.map((row) => scored.get(row)));
+    state.states = [...new Set(mappedRows.map((row) => row.state))].sort();
+    const known = datasetLibrary.findByPath(csvPath);
+    const dataset = datasetLibrary.markActivated(csvPath, {
+      rows: mappedRows.length,
+      columns: known?.columns.length ? known.columns : datasetMapping.fields.map((field) => field.column),
+      mapping: datasetMapping,
+      encoding: report?.encoding ?? null,
+      delimiter: report?.delimiter ?? null,
+    });
+    state.datasetInfo = {
+      id: dataset.id,
+      name: dataset.name,
+      path: csvPath,
+      rows: mappedRows.length,
+      mapping: datasetMapping,
+      parseReport: report,
+    };
+    currentDatasetPath = csvPath;
+    replay = null;
+    heldBack = [];
+    cursor = 0;
+    streamWindow = [];
+    ingestedSinceTick = [];
+    trendWindow = [];
+    state.liveFeed = [];
+    state.trend = [];
+  }
+
+  function setDriftReference(trainRows) {
+    driftReference = createDriftReference(
+      trainRows.map((row) => featureVector(row.raw)),
+      featureDefs,
+      trainRows.map((row) => row.churnRisk),
+    );
+    driftTrend = [];
+  }
+
+  function createJob(kind, label) {
+    jobSeq += 1;
+    const job = {
+      id: `job-${Date.now().toString(36)}-${jobSeq}`,
+      kind,
+      label,
+      status: "running",
+      phase: "loading",
+      step: 0,
+      total: 0,
+      loss: null,
+      progress: 0,
+      etaSeconds: null,
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      error: null,
+      modelVersion: null,
+    };
+    jobs.set(job.id, job);
+    [...jobs.values()]
+      .filter((item) => item.status !== "running")
+      .slice(0, -20)
+      .forEach((item) => jobs.delete(item.id));
+    emit("training:progress", job);
+    if (running) publishState();
+    return job;
+  }
+
+  // Runs spec in a worker, forwarding its progress with an ETA extrapolated from the time spent so far.
+  async function runTrainingJob(job, spec) {
+    if (cancelRequests.has(job.id)) throw Object.assign(new Error("Training was cancelled"), { cancelled: true });
+    const handle = startJob(spec, (message) => {
+      const elapsed = (Date.now() - Date.parse(job.startedAt)) / 1000;
+      Object.assign(job, {
+        phase: message.phase,
+        step: message.step,
+        total: message.total,
+        loss: message.loss === null ? job.loss : Number(message.loss.toFixed(5)),
+        progress: Number(message.progress.toFixed(4)),
+        etaSeconds: message.progress > 0 ? Math.round((elapsed * (1 - message.progress)) / message.progress) : null,
+      });
+      emit("training:progress", job);
+    });
+    jobHandles.set(job.id, handle);
+    try {
+      return await handle.promise;
+    } finally {
+      jobHandles.delete(job.id);
+    }
+  }
+
+  function finishJob(job, error, patch = {}) {
+    let status = "completed";
+    if (error) status = error.cancelled ? "cancelled" : "failed";
+    Object.assign(job, {
+      status,
+      progress: error ? job.progress : 1,
+      etaSeconds: null,
+      finishedAt: new Date().toISOString(),
+      error: error && !error.cancelled ? error.message : null,
+      ...patch,
+    });
+    cancelRequests.delete(job.id);
+    emit("training:progress", job);
+    if (running) publishState();
+  }
+
+  function listJobs() {
+    return [...jobs.values()].reverse();
+  }
+
+  function getJob(jobId) {
+    return jobs.get(jobId) || null;
+  }
+
+  function cancelJob(jobId) {
+    const job = jobs.get(jobId);
+    if (!job) return null;
+    if (job.status !== "running") return { errors: [`Job ${jobId} is ${job.status}`] };
+    cancelRequests.add(jobId);
+    jobHandles.get(jobId)?.cancel();
+    return { job };
+  }
+
+  // Cross-validates every candidate of a hyperparameter search in a worker, on the training split of the serving
+  // dataset only, so the holdout can still judge the configuration that gets picked.
+  function startSearch(input) {
+    const normalized = normalizeSearch(input);
+    if (normalized.errors) return normalized;
+    if (datasetLoading || !model) return { errors: ["The dataset is still loading"] };
+    if ([...jobs.values()].some((item) => item.kind === "search" && item.status === "running")) {
+      return { errors: ["A hyperparameter search is already running"] };
+    }
+    const { spec } = normalized;
+    const candidates = candidatesFor(spec);
+    const { train } = stratifiedSplit(mappedRows, trainingConfig.holdoutRatio, trainingConfig.seed);
+    const dataset = { id: state.datasetInfo.id ?? null, name: state.datasetInfo.name, path: currentDatasetPath };
+    const job = createJob("search", `${spec.strategy} search over ${candidates.length} candidates`);
+    runTrainingJob(job, {
+      algorithm: "logistic",
+      featureDefs,
+      search: {
+        candidates,
+        X: train.map((row) => featureVector(row.raw)),
+        y: train.map((row) => row.actualChurn),
+        folds: spec.folds,
+        seed: spec.seed,
+      },
+    })
+      .then(({ results }) => {
+        const best = bestCandidate(results, spec.metric);
+        searches.add({
+          id: job.id,
+          startedAt: job.startedAt,
+          finishedAt: new Date().toISOString(),
+          dataset,
+          spec,
+          trainRows: train.length,
+          candidates: results.length,
+          best: { index: best, params: results[best].params, score: results[best].crossValidation.summary[spec.metric].mean },
+          results,
+        });
+        console.log(`[${id}] Search ${job.id}: best ${spec.metric} ${results[best].crossValidation.summary[spec.metric].mean}`);
+        finishJob(job, null);
+      })
+      .catch((err) => {
+        if (!err.cancelled) console.error(`[${id}] Hyperparameter search failed:`, err);
+        finishJob(job, err);
+      });
+    return { job };
+  }
+
+  function datasetKey(csvPath) {
+    return datasetLibrary.findByPath(csvPath)?.id ?? path.resolve(csvPath);
+  }
+
+  // The serving model's stored hyperparameters, with defaults for any it was trained without. A model trained with
+  // balanced class weights and no strategy (before strategies existed) reports the classWeight strategy.
+  function servingHyperparameters() {
+    const version = state.modelVersion?.version;
+    const stored = version ? modelRegistry.get(version)?.hyperparameters || {} : {};
+    return imbalanceCorrection(
+      Object.fromEntries(Object.entries(learners[model.algorithm].defaults).map(([key, value]) => [key, stored[key] ?? value])),
+    );
+  }
+
+  // Refits the serving configuration once per imbalance strategy on the training split in a worker and reports each
+  // one's precision, recall and calibration on the holdout, at the current decision threshold.
+  function compareImbalance() {
+    if (datasetLoading || !model) return { errors: ["The dataset is still loading"] };
+    if ([...jobs.values()].some((item) => item.kind === "imbalance" && item.status === "running")) {
+      return { errors: ["An imbalance comparison is already running"] };
+    }
+    const datasetId = datasetKey(currentDatasetPath);
+    const algorithm = model.algorithm;
+    const threshold = decisionThreshold();
+    const { train, test } = stratifiedSplit(mappedRows, trainingConfig.holdoutRatio, trainingConfig.seed);
+    const vectors = (rows) => ({ X: rows.map((row) => featureVector(row.raw)), y: rows.map((row) => row.actualChurn) });
+    const job = createJob("imbalance", `Imbalance strategies on ${state.datasetInfo.name}`);
+    runTrainingJob(job, {
+      algorithm,
+      params: { ...servingHyperparameters(), seed: trainingConfig.seed },
+      featureDefs,
+      imbalance: { strategies: imbalanceStrategies, train: vectors(train), test: vectors(test), threshold },
+    })
+      .then(({ results }) => {
+        imbalance.setReport(datasetId, {
+          id: job.id,
+          finishedAt: new Date().toISOString(),
+          algorithm,
+          threshold,
+          trainRows: train.length,
+          holdoutRows: test.length,
+          positiveShare: Number((train.filter((row) => row.actualChurn === 1).length / Math.max(1, train.length)).toFixed(4)),
+          results,
+        });
+        finishJob(job, null);
+      })
+      .catch((err) => {
+        if (!err.cancelled) console.error(`[${id}] Imbalance comparison failed:`, err);
+        finishJob(job, err);
+      });
+    return { job };
+  }
+
+  // The strategy the next training run on the serving dataset uses; it takes effect when the model is retrained.
+  function setImbalanceStrategy(strategy) {
+    if (!imbalanceStrategies.includes(strategy)) return { errors: [`strategy must be one of ${imbalanceStrategies.join(", ")}`] };
+    const entry = imbalance.setStrategy(datasetKey(currentDatasetPath), strategy);
+    publishState();
+    return { strategy: entry.strategy };
+  }
+
+  function imbalanceStatus() {
+    const { strategy, report } = imbalance.get(datasetKey(currentDatasetPath));
+    return { strategies: imbalanceStrategies, strategy, servingStrategy: model ? servingHyperparameters().imbalance : null, report };
+  }
+
+  function trainingLabel(algorithm, csvPath) {
+    return `${algorithm} on ${datasetLibrary.findByPath(csvPath)?.name || path.basename(csvPath)}`;
+  }
+
+  async function initData(csvPath, options = {}) {
+    const folds = options.folds ?? trainingConfig.folds;
+    const algorithm = learners[options.algorithm] ? options.algorithm : defaultAlgorithm;
+    // The dataset's strategy decides the class weights; a request for balanced weights without a sampling strategy
+    // selects the classWeight strategy, which the dataset keeps once the model goes live.
+    const hyperparameters = imbalanceCorrection({
+      ...learners[algorithm].defaults,
+      imbalance: imbalance.get(datasetKey(csvPath)).strategy,
+      ...(options.hyperparameters || {}),
+    });
+    const job = options.job || createJob("train", trainingLabel(algorithm, csvPath));
+    datasetLoading = true;
+    try {
+      const { prepared, ...result } = await runTrainingJob(job, {
+        algorithm,
+        params: { ...hyperparameters, seed: trainingConfig.seed },
+        dataset: { path: csvPath, mapping: null, holdoutRatio: trainingConfig.holdoutRatio, seed: trainingConfig.seed, folds },
+      });
+      installModel(csvPath, prepared, result.model, result.scores);
+
+      state.modelStats = {
+        ...evaluateModel(holdoutRows),
+        evaluation: { method: "holdout", trainRows: prepared.train.length, testRows: prepared.test.length },
+        crossValidation: result.crossValidation,
+      };
+      applyThresholdPolicy(thresholdPolicy);
+
+      const artifact = modelRegistry.save({
+        algorithm,
+        dataset: { path: csvPath, rows: mappedRows.length, mapping: datasetMapping },
+        featureDefs,
+        hyperparameters: { ...hyperparameters, holdoutRatio: trainingConfig.holdoutRatio, seed: trainingConfig.seed, folds },
+        metrics: state.modelStats,
+        model,
+      });
+      modelRegistry.activate(artifact.version);
+      datasetLibrary.linkModel(csvPath, artifact.version);
+      state.modelVersion = versionSummary(artifact);
+      if (imbalance.get(datasetKey(csvPath)).strategy !== hyperparameters.imbalance) {
+        imbalance.setStrategy(datasetKey(csvPath), hyperparameters.imbalance);
+      }
+
+      console.log(`[${id}] Dataset initialized: ${path.resolve(csvPath)} (${mappedRows.length} rows), model v${artifact.version}`);
+      finishJob(job, null, { modelVersion: artifact.version });
+      return true;
+    } catch (err) {
+      if (err.cancelled) console.log(`[${id}] Training ${job.label} cancelled`);
+      else console.error(`[${id}] Failed to initialize dataset:`, err);
+      finishJob(job, err);
+      return false;
+    } finally {
+      datasetLoading = false;
+    }
+  }
+
+  // Starts training on a dataset and returns its job at once; done resolves to whether the new model went live.
+  function startTraining(csvPath, options = {}) {
+    const algorithm = learners[options.algorithm] ? options.algorithm : defaultAlgorithm;
+    const job = createJob("train", trainingLabel(algorithm, csvPath));
+    return { job, done: initData(csvPath, { ...options, algorithm, job }) };
+  }
+
+  // Serves a stored model version as-is: its dataset is reloaded with the saved mapping and rescored, nothing is retrained.
+  async function serveModelVersion(version) {
+    const artifact = modelRegistry.get(version);
+    if (!artifact) throw new Error(`Model version ${version} not found`);
+    if (!fs.existsSync(artifact.dataset.path)) throw new Error(`Dataset for v${version} is missing: ${artifact.dataset.path}`);
+
+    const job = createJob("serve", `Scoring ${path.basename(artifact.dataset.path)} with v${version}`);
+    datasetLoading = true;
+    try {
+      const { prepared, scores } = await runTrainingJob(job, {
+        algorithm: artifact.algorithm,
+        model: artifact.model,
+        dataset: {
+          path: artifact.dataset.path,
+          mapping: artifact.dataset.mapping,
+          holdoutRatio: trainingConfig.holdoutRatio,
+          seed: trainingConfig.seed,
+        },
+      });
+      installModel(artifact.dataset.path, prepared, artifact.model, scores);
+    } catch (err) {
+      finishJob(job, err);
+      throw err;
+    } finally {
+      datasetLoading = false;
+    }
+    state.modelStats = {
+      ...evaluateModel(holdoutRows),
+      evaluation: artifact.metrics.evaluation,
+      crossValidation: artifact.metrics.crossValidation,
+    };
+    applyThresholdPolicy(thresholdPolicy);
+    state.modelVersion = versionSummary(artifact);
+    console.log(`[${id}] Serving model v${artifact.version} on ${path.resolve(artifact.dataset.path)} (${mappedRows.length} rows)`);
+    finishJob(job, null, { modelVersion: artifact.version });
+    return artifact;
+  }
+
+  async function restoreActiveModel() {
+    const version = modelRegistry.activeVersion();
+    if (!version) return false;
+    try {
+      await serveModelVersion(version);
+      return true;
+    } catch (err) {
+      console.error(`[${id}] Could not restore model v${version}, retraining:`, err.message);
+      return false;
+    }
+  }
+
+  // Registers the bundled dataset and any CSV in the uploads folder the library has not seen yet (e.g. uploads made
+  // before the library existed), linking them to the model versions already trained on them.
+  async function syncDatasetLibrary() {
+    datasetLibrary.prune().forEach((dataset) => console.warn(`[${id}] Dataset file is gone, removed from library: ${dataset.path}`));
+    const candidates = [
+      datasetPath,
+      ...fs
+        .readdirSync(uploadDir)
+        .filter((file) => file.toLowerCase().endsWith(".csv"))
+        .map((file) => path.join(uploadDir, file)),
+    ].filter((csvPath) => fs.existsSync(csvPath) && !datasetLibrary.findByPath(csvPath));
+    if (!candidates.length) return;
+
+    const trained = modelRegistry.list().versions;
+    for (const csvPath of candidates) {
+      const builtIn = csvPath === datasetPath && path.dirname(path.resolve(csvPath)) !== path.resolve(uploadDir);
+      const modelVersions = trained
+        .filter((item) => path.resolve(item.dataset.path) === path.resolve(csvPath))
+        .map((item) => item.version)
+        .sort((a, b) => a - b);
+      try {
+        const { headers, rows, encoding, delimiter } = await inspectDataset(csvPath, 0);
+        datasetLibrary.register(csvPath, {
+          builtIn,
+          status: builtIn || modelVersions.length ? "ready" : "staged",
+          rows,
+          columns: headers,
+          encoding,
+          delimiter,
+          modelVersions,
+          ...(builtIn && { uploadedAt: null }),
+        });
+      } catch (err) {
+        console.warn(`[${id}] Skipping unreadable dataset ${csvPath}: ${err.message}`);
+      }
+    }
+  }
+
+  function featureVector(row) {
+    return vectorFor(row, featureDefs);
+  }
+
+  function toModelRow(row, idx) {
+    return modelRowFor(row, idx, datasetMapping, tierCuts);
+  }
+
+  // Splits a row's log-odds into a bias and one additive effect per feature, whichever learner produced the model.
+  function explainRow(row, activeModel) {
+    return explainScore(activeModel, featureVector(row.raw), featureDefs);
+  }
+
+  // score can be passed in when a worker already computed it.
+  function scoreRow(row, activeModel, score = scoreVector(activeModel, featureVector(row.raw), featureDefs)) {
+    return {
+      ...row,
+      churnRisk: score.churnRisk,
+      bufferingRate: row.serviceCalls === null ? null : Number((clamp01(row.serviceCalls / 8) * 6).toFixed(2)),
+      satisfaction: Math.max(20, Math.min(99, Math.round(100 - score.churnRisk * 0.7))),
+      riskDrivers: score.riskDrivers,
+    };
+  }
+
+  // Ingested customers keep the platform they already had so their segment does not jump between updates.
+  function ingestedModelRow(raw, previous) {
+    const row = toModelRow(raw, rowsById.size);
+    return { ...row, platform: previous?.platform || platforms[hashText(String(row.id)) % platforms.length], source: "ingest" };
+  }
+
+  function validateRecord(record) {
+    if (!record || typeof record !== "object" || Array.isArray(record)) return ["Record must be a JSON object"];
+    const errors = [];
+    featureDefs.forEach((def) => {
+      const value = record[def.key];
+      if (value === undefined || value === null || String(value).trim() === "") {
+        errors.push(`Missing "${def.key}"`);
+      } else if (def.type === "num" && !Number.isFinite(Number(value))) {
+        errors.push(`"${def.key}" must be numeric, got "${value}"`);
+      } else if (def.type === "boolYes" && !booleanValues.has(String(value).trim().toLowerCase())) {
+        errors.push(`"${def.key}" must be yes/no, got "${value}"`);
+      }
+    });
+    return errors;
+  }
+
+  function scoreRecord(record, idx) {
+    const scored = scoreRow(toModelRow(record, idx), model);
+    return {
+      id: scored.id,
+      churnRisk: scored.churnRisk,
+      band: riskBand(scored.churnRisk),
+      flagged: scored.churnRisk >= decisionThreshold(),
+      riskDrivers: scored.riskDrivers,
+    };
+  }
+
+  function applyChanges(raw, changes = {}) {
+    const next = { ...raw };
+    featureDefs.forEach((def) => {
+      if (changes[def.key] === undefined) return;
+      next[def.key] = def.type === "boolYes" ? (toBoolYes(changes[def.key]) ? "yes" : "no") : String(changes[def.key]);
+    });
+    return next;
+  }
+
+  function scenarioSummary(row) {
+    const scored = scoreRow(row, model);
+    return { churnRisk: scored.churnRisk, band: riskBand(scored.churnRisk), riskDrivers: scored.riskDrivers };
+  }
+
+  function whatIf(id, changes) {
+    const base = rowsById.get(String(id));
+    if (!base) return null;
+    const raw = applyChanges(base.raw, changes);
+    const values = featureVector(raw);
+    const baseValues = featureVector(base.raw);
+    return {
+      id: base.id,
+      platform: base.platform,
+      state: base.state,
+      tier: base.tier,
+      threshold: decisionThreshold(),
+      features: featureProfiles.map((profile, j) => ({
+        column: profile.key,
+        name: profile.name,
+        type: profile.type,
+        value: values[j],
+        baseline: baseValues[j],
+        min: profile.min,
+        max: profile.max,
+        low: profile.low,
+        high: profile.high,
+        integer: profile.integer,
+      })),
+      baseline: scenarioSummary(base),
+      scenario: scenarioSummary({ ...base, raw }),
+      raw,
+    };
+  }
+
+  // Returns null for an unknown customer, { errors } for an invalid scenario or locked list, otherwise { suggestion }.
+  function counterfactualFor(id, changes, locked = []) {
+    const base = rowsById.get(String(id));
+    if (!base) return null;
+    if (!Array.isArray(locked)) return { errors: ["locked must be an array of feature columns"] };
+    const errors = locked
+      .filter((key) => !featureDefs.some((def) => def.key === key))
+      .map((key) => `Unknown feature "${key}" in locked`);
+    const raw = applyChanges(base.raw, changes);
+    errors.push(...validateRecord(raw));
+    if (errors.length) return { errors };
+    const toRaw = (vector) => applyChanges(raw, Object.fromEntries(featureDefs.map((def, j) => [def.key, vector[j]])));
+    const suggestion = suggestCounterfactual({
+      x: featureVector(raw),
+      model,
+      profiles: featureProfiles,
+      threshold: decisionThreshold(),
+      locked,
+      riskOf: (vector) => explainRow({ raw: toRaw(vector) }, model).churnRisk,
+    });
+    return { suggestion };
+  }
+
+  function customerDetail(id) {
+    const row = rowsById.get(String(id));
+    if (!row) return null;
+    const { bias, contributions, churnRisk } = explainRow(row, model);
+    const logit = contributions.reduce((acc, item) => acc + item.effect, bias);
+    return {
+      id: row.id,
+      platform: row.platform,
+      tier: row.tier,
+      state: row.state,
+      actualChurn: row.actualChurn,
+      churnRisk,
+      band: riskBand(churnRisk),
+      flagged: churnRisk >= decisionThreshold(),
+      threshold: decisionThreshold(),
+      modelVersion: state.modelVersion?.version ?? null,
+      inWindow: streamWindow.some((item) => String(item.id) === String(id)),
+      raw: row.raw,
+      waterfall: {
+        bias: Number(bias.toFixed(4)),
+        logit: Number(logit.toFixed(4)),
+        contributions: contributions
+          .map((item, j) => ({ ...item, column: featureDefs[j].key, effect: Number(item.effect.toFixed(4)) }))
+          .sort((a, b) => Math.abs(b.effect) - Math.abs(a.effect)),
+      },
+      history: riskHistory.get(String(id)) || [],
+    };
+  }
+
+  function decisionThreshold() {
+    return state.modelStats?.threshold ?? 50;
+  }
+
+  function applyThresholdPolicy(policy) {
+    const { threshold, point } = selectThreshold(holdoutRows, policy);
+    thresholdPolicy = policy;
+    state.modelStats = { ...state.modelStats, ...evaluateModel(holdoutRows, threshold) };
+    state.thresholdPolicy = { ...policy, threshold, expectedCost: point.cost ?? null, flaggedInHoldout: point.flagged };
+    return threshold;
+  }
+
+  function nextBatch(size) {
+    const out = [];
+    if (mappedRows.length === 0) return out;
+    for (let i = 0; i < size; i += 1) {
+      const row = mappedRows[cursor];
+      out.push(ingestedRecords.has(String(row.id)) ? rowsById.get(String(row.id)) : row);
+      cursor = (cursor + 1) % mappedRows.length;
+    }
+    return out;
+  }
+
+  // Later entries for a customer replace earlier ones, so the window holds each customer's latest score once.
+  function admitToWindow(rows) {
+    const latest = new Map(rows.map((row) => [String(row.id), row]));
+    streamWindow = [...streamWindow.filter((row) => !latest.has(String(row.id))), ...latest.values()].slice(-stream.windowSize);
+  }
+
+  function ingestRecords(records) {
+    const idColumn = columnFor(datasetMapping, "id");
+    const admitted = [];
+    const results = records.map((record, index) => {
+      if (!record || typeof record !== "object" || Array.isArray(record)) return { index, errors: ["Record must be a JSON object"] };
+      if (!idColumn) return { index, errors: ["The active dataset mapping has no customer id column"] };
+      const id = record[idColumn];
+      if (id === undefined || id === null || String(id).trim() === "") return { index, errors: [`Missing "${idColumn}"`] };
+
+      // Updates may be partial: known customers are merged over their last record before validation.
+      const previous = rowsById.get(String(id));
+      const raw = { ...(previous?.raw || {}) };
+      Object.entries(record).forEach(([key, value]) => {
+        raw[key] = value === null || value === undefined ? "" : String(value);
+      });
+      const errors = validateRecord(raw);
+      if (errors.length) return { index, id, errors };
+
+      const row = scoreRow(ingestedModelRow(raw, previous), model);
+      ingestedRecords.set(String(row.id), raw);
+      rowsById.set(String(row.id), row);
+      admitted.push(row);
+      return {
+        index,
+        id: row.id,
+        churnRisk: row.churnRisk,
+        band: riskBand(row.churnRisk),
+        flagged: row.churnRisk >= decisionThreshold(),
+        riskDrivers: row.riskDrivers,
+        updated: Boolean(previous),
+      };
+    });
+
+    if (admitted.length) {
+      notifyHighRisk(admitted);
+      recordRiskHistory(admitted, new Date().toISOString());
+      if (replay) {
+        heldBack.push(...admitted);
+      } else {
+        admitToWindow(admitted);
+        ingestedSinceTick.push(...admitted);
+      }
+    }
+    return {
+      threshold: decisionThreshold(),
+      modelVersion: state.modelVersion?.version ?? null,
+      accepted: admitted.length,
+      rejected: records.length - admitted.length,
+      results,
+    };
+  }
+
+  function recordRiskHistory(rows, time) {
+    rows.forEach((row) => {
+      const key = String(row.id);
+      const entries = riskHistory.get(key) || [];
+      entries.push({ time, risk: row.churnRisk, modelVersion: state.modelVersion?.version ?? null });
+      riskHistory.set(key, entries.slice(-50));
+    });
+  }
+
+  function notifyHighRisk(batch) {
+    const scored = batch.map((row) => ({
+      customer: {
+        id: row.id,
+        platform: row.platform,
+        state: row.state,
+        tier: row.tier,
+        churnRisk: row.churnRisk,
+        band: riskBand(row.churnRisk),
+        riskDrivers: row.riskDrivers,
+      },
+      previousRisk: riskHistory.get(String(row.id))?.at(-1)?.risk ?? null,
+    }));
+    webhooks.customersScored(scored, decisionThreshold());
+  }
+
+  // Replayed ticks only move the picture: they do not notify webhooks, extend risk histories, evaluate alert rules
+  // or record KPI history.
+  function refreshState() {
+    if (replay) {
+      replay.at += tickMs;
+      if (replay.at >= replay.until) {
+        goLive();
+        return;
+      }
+    }
+    const batch = streamSource.demo ? nextBatch(stream.batchSize) : [];
+    admitToWindow(batch);
+    if (!replay) {
+      notifyHighRisk(batch);
+      recordRiskHistory(batch, new Date().toISOString());
+    }
+    const arrived = [...ingestedSinceTick, ...batch];
+    ingestedSinceTick = [];
+    publishState(arrived);
+  }
+
+  function schedule() {
+    clearInterval(timer);
+    timer = running && !stream.paused ? setInterval(refreshState, Math.round(tickMs / stream.speed)) : null;
+  }
+
+  function seek(time) {
+    const at = new Date(time).getTime();
+    if (Number.isNaN(at)) return { errors: ["time must be an ISO timestamp"] };
+    if (at >= Date.now()) return { errors: ["time must be in the past"] };
+    const sample = history.sampleAt(at);
+    if (mappedRows.length === 0) return { errors: ["No dataset is loaded"] };
+    if (!sample || !Number.isInteger(sample.cursor)) return { errors: ["No stream position was recorded at that time"] };
+    if (sample.datasetId !== state.datasetInfo.id) return { errors: ["That time was recorded on a different dataset"] };
+
+    if (!replay) replay = { live: { cursor, streamWindow, trendWindow, liveFeed: state.liveFeed } };
+    replay.from = Date.parse(sample.time);
+    replay.at = replay.from;
+    replay.until = Date.now();
+    // The window at that time held the rows that streamed just before the recorded cursor.
+    const count = Math.min(stream.windowSize, mappedRows.length);
+    cursor = (((sample.cursor - count) % mappedRows.length) + mappedRows.length) % mappedRows.length;
+    streamWindow = [];
+    trendWindow = [];
+    state.liveFeed = [];
+    ingestedSinceTick = [];
+    admitToWindow(nextBatch(count));
+    publishState();
+    return {};
+  }
+
+  function goLive() {
+    ({ cursor, streamWindow, trendWindow } = replay.live);
+    state.liveFeed = replay.live.liveFeed;
+    replay = null;
+    admitToWindow(heldBack);
+    ingestedSinceTick = heldBack;
+    heldBack = [];
+    publishState();
+  }
+
+  function streamStatus() {
+    return {
+      ...stream,
+      tickMs: Math.round(tickMs / stream.speed),
+      mode: replay ? "replay" : "live",
+      replay: replay && { from: new Date(replay.from).toISOString(), at: new Date(replay.at).toISOString() },
+    };
+  }
+
+  function validateStreamSettings(input) {
+    const errors = [];
+    const ranges = { speed: [0.25, 10], batchSize: [1, 500], windowSize: [50, 5000] };
+    Object.entries(ranges).forEach(([key, [min, max]]) => {
+      if (input[key] === undefined) return;
+      const value = Number(input[key]);
+      if (!Number.isFinite(value) || value < min || value > max || (key !== "speed" && !Number.isInteger(value))) {
+        errors.push(`${key} must be ${key === "speed" ? "a number" : "an integer"} between ${min} and ${max}`);
+      }
+    });
+    return errors;
+  }
+
+  // Shared by the REST endpoint and the stream:control socket command. Returns the new stream status, or errors.
+  function controlStream(command = {}) {
+    const action = command.action;
+    if (action === "pause") {
+      stream.paused = true;
+    } else if (action === "resume") {
+      stream.paused = false;
+    } else if (action === "step") {
+      if (!stream.paused) return { errors: ["Pause the stream before stepping"] };
+      refreshState();
+      return { stream: state.stream };
+    } else if (action === "configure") {
+      const errors = validateStreamSettings(command);
+      if (errors.length) return { errors };
+      ["speed", "batchSize", "windowSize"].forEach((key) => {
+        if (command[key] !== undefined) stream[key] = Number(command[key]);
+      });
+      streamWindow = streamWindow.slice(-stream.windowSize);
+    } else if (action === "seek") {
+      const result = seek(command.time);
+      return result.errors ? result : { stream: state.stream };
+    } else if (action === "live") {
+      if (replay) goLive();
+      return { stream: state.stream };
+    } else {
+      return { errors: ['action must be one of "pause", "resume", "step", "configure", "seek" or "live"'] };
+    }
+    schedule();
+    publishState();
+    return { stream: state.stream };
+  }
+
+  // Recomputes every window-derived view and sends the changes as a patch. Called with an empty batch when only
+  // settings changed.
+  function publishState(batch = []) {
+    const threshold = decisionThreshold();
+    const activeSessions = streamWindow.length;
+    const avgChurnRisk =
+      activeSessions > 0 ? Number((streamWindow.reduce((acc, cur) => acc + cur.churnRisk, 0) / activeSessions).toFixed(2)) : 0;
+    const predictedChurners = streamWindow.filter((row) => row.churnRisk >= threshold).length;
+    const totalMinutes = columnFor(datasetMapping, "usage")
+      ? Number(streamWindow.reduce((acc, cur) => acc + cur.minutes, 0).toFixed(2))
+      : null;
+    const avgServiceCalls = !columnFor(datasetMapping, "support")
+      ? null
+      : activeSessions > 0
+        ? Number((streamWindow.reduce((acc, cur) => acc + cur.serviceCalls, 0) / activeSessions).toFixed(2))
+        : 0;
+
+    const platformMetrics = platforms.map((platform) => summarizePlatform(streamWindow, platform));
+    const distribution = getRiskDistribution(streamWindow);
+    const topRiskCustomers = streamWindow
+      .filter((row) => row.churnRisk >= threshold)
+      .sort((a, b) => b.churnRisk - a.churnRisk)
+      .slice(0, 14)
+      .map((row) => ({
+        id: row.id,
+        platform: row.platform,
+        state: row.state,
+        tier: row.tier,
+        risk: row.churnRisk,
+        serviceCalls: row.serviceCalls,
+        interactionPulse: row.interactionPulse,
+        riskDrivers: row.riskDrivers,
+      }));
+
+    const now = new Date(replay ? replay.at : Date.now());
+    const trendPoint = {
+      time: now.toLocaleTimeString("en-US", { hour12: false }),
+      risk: avgChurnRisk,
+      churners: predictedChurners,
+      active: activeSessions,
+    };
+    if (batch.length > 0) trendWindow = [...trendWindow, trendPoint].slice(-24);
+
+    const drift = measureDrift(
+      driftReference,
+      streamWindow.map((row) => featureVector(row.raw)),
+      streamWindow.map((row) => row.churnRisk),
+    );
+    if (drift && batch.length > 0) {
+      driftTrend = [...driftTrend, { time: trendPoint.time, psi: drift.prediction.psi, ks: drift.prediction.ks }].slice(-40);
+    }
+
+    const pulse = batch.length > 0 ? {
+      id: `${now.getTime()}-${cursor}`,
+      customerId: batch[batch.length - 1].id,
+      platform: batch[batch.length - 1].platform,
+      state: batch[batch.length - 1].state,
+      tier: batch[batch.length - 1].tier,
+      interactionPulse: batch[batch.length - 1].interactionPulse,
+      risk: batch[batch.length - 1].churnRisk,
+      bufferingRate: batch[batch.length - 1].bufferingRate,
+      riskDrivers: batch[batch.length - 1].riskDrivers,
+    } : null;
+
+    state.kpis = { activeSessions, avgChurnRisk, predictedChurners, totalMinutes, avgServiceCalls };
+    state.platformMetrics = platformMetrics;
+    state.riskDistribution = distribution;
+    state.trend = trendWindow;
+    if (pulse) state.liveFeed = [pulse, ...state.liveFeed].slice(0, 30);
+    state.topRiskCustomers = topRiskCustomers;
+    state.drift = drift && { ...drift, trend: driftTrend, levels: driftLevels };
+    if (!replay) webhooks.alertTransitions(alertEngine.evaluate(streamWindow, { threshold, drift, now }));
+    state.alerts = alertEngine.activeAlerts().slice(0, 12);
+    state.streamSource = { demo: streamSource.demo, ingestedCustomers: ingestedRecords.size };
+    state.stream = streamStatus();
+    state.retraining = retrainingStatus();
+    state.imbalance = imbalanceStatus();
+    state.jobs = [...jobs.values()].filter((job) => job.status === "running");
+    state.updateAt = now.toISOString();
+    if (!replay && activeSessions > 0 && history.isDue(now.getTime())) {
+      history.append({
+        time: state.updateAt,
+        ...state.kpis,
+        threshold,
+        predictionDrift: drift?.prediction.psi ?? null,
+        modelVersion: state.modelVersion?.version ?? null,
+        // Where the demo stream stood, so the window can be rebuilt when replaying from this time.
+        datasetId: state.datasetInfo.id ?? null,
+        cursor,
+        platforms: segmentAggregates(streamWindow, (row) => row.platform, threshold),
+        states: segmentAggregates(streamWindow, (row) => row.state, threshold),
+      });
+    }
+
+    emit("analytics:patch", nextPatch());
+    publishSegments();
+  }
+
+  function normalizeSegment(input) {
+    const filter = {
+      platform: input?.platform || "All",
+      state: input?.state || "All",
+      riskBand: input?.riskBand || "All",
+    };
+    const errors = [];
+    if (filter.platform !== "All" && !platforms.includes(filter.platform)) {
+      errors.push(`platform must be All or one of ${platforms.join(", ")}`);
+    }
+    if (filter.state !== "All" && !state.states.includes(filter.state)) errors.push(`state "${filter.state}" is not in the dataset`);
+    if (filter.riskBand !== "All" && !riskBuckets.some((bucket) => bucket.name === filter.riskBand)) {
+      errors.push(`riskBand must be All or one of ${riskBuckets.map((bucket) => bucket.name).join(", ")}`);
+    }
+    return { filter, errors };
+  }
+
+  // KPIs, risk cohorts, platform matrix, leaderboard and top drivers for one segment of every scored customer,
+  // including ingested ones, not just the stream window.
+  function segmentView(filter) {
+    const threshold = decisionThreshold();
+    const rows = [...rowsById.values()].filter(
+      (row) =>
+        (filter.platform === "All" || row.platform === filter.platform) &&
+        (filter.state === "All" || row.state === filter.state) &&
+        (filter.riskBand === "All" || riskBand(row.churnRisk) === filter.riskBand),
+    );
+    const customers = rows.length;
+    const average = (calc) => (customers ? Number((rows.reduce((acc, row) => acc + calc(row), 0) / customers).toFixed(2)) : 0);
+    const driverImpact = {};
+    rows.forEach((row) =>
+      row.riskDrivers.forEach((driver) => {
+        if (driver.direction === "up") driverImpact[driver.feature] = (driverImpact[driver.feature] || 0) + driver.impact;
+      }),
+    );
+    return {
+      filter,
+      threshold,
+      modelVersion: state.modelVersion?.version ?? null,
+      kpis: {
+        customers,
+        avgChurnRisk: average((row) => row.churnRisk),
+        predictedChurners: rows.filter((row) => row.churnRisk >= threshold).length,
+        avgServiceCalls: columnFor(datasetMapping, "support") ? average((row) => row.serviceCalls) : null,
+      },
+      riskDistribution: getRiskDistribution(rows),
+      platformMetrics: platforms.map((platform) => summarizePlatform(rows, platform)),
+      topRiskCustomers: rows
+        .filter((row) => row.churnRisk >= threshold)
+        .sort((a, b) => b.churnRisk - a.churnRisk)
+        .slice(0, 10)
+        .map((row) => ({
+          id: row.id,
+          platform: row.platform,
+          state: row.state,
+          tier: row.tier,
+          risk: row.churnRisk,
+          serviceCalls: row.serviceCalls,
+          interactionPulse: row.interactionPulse,
+          riskDrivers: row.riskDrivers,
+        })),
+      drivers: Object.entries(driverImpact)
+        .map(([feature, impact]) => ({ feature, impact: Number(impact.toFixed(3)) }))
+        .sort((a, b) => b.impact - a.impact)
+        .slice(0, 3),
+    };
+  }
+
+  // Returns the key to pass to unsubscribeSegment and the current view of the segment.
+  function subscribeSegment(input) {
+    const { filter, errors } = normalizeSegment(input);
+    if (errors.length) return { errors };
+    const key = JSON.stringify(filter);
+    const entry = segments.get(key) || { filter, subscribers: 0, sent: null };
+    const view = segmentView(filter);
+    entry.subscribers += 1;
+    entry.sent = JSON.stringify(view);
+    segments.set(key, entry);
+    return { key, view };
+  }
+
+  function unsubscribeSegment(key) {
+    const entry = segments.get(key);
+    if (!entry) return;
+    entry.subscribers -= 1;
+    if (entry.subscribers <= 0) segments.delete(key);
+  }
+
+  // Segments only change when scores, the threshold or the model do, so views are pushed only when they differ.
+  function publishSegments() {
+    segments.forEach((entry, key) => {
+      const view = segmentView(entry.filter);
+      const json = JSON.stringify(view);
+      if (json === entry.sent) return;
+      entry.sent = json;
+      emitSegment(key, view);
+    });
+  }
+
+  function segmentAggregates(rows, keyOf, threshold) {
+    const groups = {};
+    rows.forEach((row) => {
+      const key = keyOf(row);
+      if (!groups[key]) groups[key] = { customers: 0, avgRisk: 0, flagged: 0 };
+      const group = groups[key];
+      group.customers += 1;
+      group.avgRisk += row.churnRisk;
+      if (row.churnRisk >= threshold) group.flagged += 1;
+    });
+    Object.values(groups).forEach((group) => {
+      group.avgRisk = Number((group.avgRisk / group.customers).toFixed(2));
+    });
+    return groups;
+  }
+
+  // Full state for clients that connect, switch workspace or missed a patch. Changes made since the last patch are
+  // published first, so the snapshot is exactly the state at its sequence number and the next patch applies to it.
+  function snapshot() {
+    const { set, changes } = diffState(sentState, state);
+    if (Object.keys(set).length || Object.keys(changes).length) emit("analytics:patch", nextPatch());
+    return { ...state, seq };
+  }
+
+  // Each patch carries the next sequence number, the keys sent whole (set) and the incremental changes to the others
+  // (changes, see patches.js) since the previous patch.
+  function nextPatch() {
+    const patch = diffState(sentState, state);
+    sentState = JSON.parse(JSON.stringify(state));
+    seq += 1;
+    return { seq, ...patch };
+  }
+
+  // Opens the mapping and data-quality review for a file in the uploads folder; nothing goes live until it is activated.
+  async function stageUpload(csvPath, originalName) {
+    const { headers, records, rows, rejected, rejectedCount, delimiter, encoding } = await inspectDataset(csvPath);
+    const { fields, profiles } = suggestMapping(headers, records);
+    const pending = {
+      id: path.basename(csvPath),
+      path: csvPath,
+      originalName,
+      headers,
+      rows,
+      parseReport: { rejectedCount, rejected: rejected.slice(0, 50), delimiter, encoding },
+      sample: records.slice(0, 10),
+      profiles,
+      suggestedMapping: { fields },
+    };
+    pendingUploads.set(pending.id, pending);
+    const known = datasetLibrary.findByPath(csvPath);
+    datasetLibrary.register(csvPath, {
+      originalName,
+      status: known?.status === "ready" ? "ready" : "staged",
+      rows,
+      columns: headers,
+      encoding,
+      delimiter,
+    });
+    return pending;
+  }
+
+  function datasetSummary(dataset) {
+    return {
+      ...dataset,
+      modelVersion: dataset.modelVersions.at(-1) ?? null,
+      active: path.resolve(dataset.path) === path.resolve(state.datasetInfo.path),
+    };
+  }
+
+  function thresholdSweep() {
+    return selectThreshold(holdoutRows, thresholdPolicy).sweep;
+  }
+
+  // The dataset rows plus ingested customers whose record carries a churn label, with ingested updates replacing
+  // the dataset row of the same customer.
+  function currentTrainingRows() {
+    const labelColumn = columnFor(datasetMapping, "label");
+    const byId = new Map(mappedRows.map((row) => [String(row.id), row]));
+    if (labelColumn) {
+      ingestedRecords.forEach((raw, customerId) => {
+        if (String(raw[labelColumn] ?? "").trim() !== "") byId.set(customerId, rowsById.get(customerId));
+      });
+    }
+    return [...byId.values()];
+  }
+
+  const comparedMetrics = (metrics) => Object.fromEntries(comparisonMetrics.map((metric) => [metric, metrics[metric]]));
+
+  // Puts a retrained model in service without resetting the stream: every known row is rescored in place, the
+  // dataset rows and the training/holdout rows with the scores the worker already computed.
+  function swapModel(nextModel, { train, test, scoreOf, mappedScores }) {
+    model = nextModel;
+    mappedRows = mappedRows.map((row, index) => scoreRow(row, model, mappedScores[index]));
+    holdoutRows = test.map((row) => scoreRow(row, model, scoreOf.get(row)));
+    rowsById = new Map(mappedRows.map((row) => [String(row.id), row]));
+    ingestedRecords.forEach((raw, customerId) =>
+      rowsById.set(customerId, scoreRow(ingestedModelRow(raw, rowsById.get(customerId)), model)),
+    );
+    streamWindow = streamWindow.map((row) => rowsById.get(String(row.id)) || scoreRow(row, model));
+    setDriftReference(train.map((row) => scoreRow(row, model, scoreOf.get(row))));
+  }
+
+  // Trains a challenger with the champion's algorithm and hyperparameters on the current data in a worker thread,
+  // scores both on the same holdout and promotes the challenger only if it beats the champion by the policy margin.
+  async function runRetraining(trigger) {
+    if (retrainJob) return { errors: ["A retraining run is already in progress"] };
+    if (datasetLoading || !model) return { errors: ["The dataset is still loading"] };
+
+    const policy = retraining.getPolicy();
+    const champion = { model, version: state.modelVersion?.version ?? null };
+    const datasetAtStart = currentDatasetPath;
+    const algorithm = model.algorithm;
+    // The challenger follows the imbalance strategy chosen for the dataset, which may differ from the champion's, and
+    // takes its class weights from that strategy alone.
+    const hyperparameters = imbalanceCorrection({
+      ...servingHyperparameters(),
+      imbalance: imbalance.get(datasetKey(currentDatasetPath)).strategy,
+      classWeight: "none",
+    });
+    const { train, test } = stratifiedSplit(currentTrainingRows(), trainingConfig.holdoutRatio, trainingConfig.seed);
+    const report = {
+      id: `rt-${Date.now().toString(36)}`,
+      trigger,
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      algorithm,
+      hyperparameters,
+      trainRows: train.length,
+      holdoutRows: test.length,
+      metric: policy.metric,
+      margin: policy.margin,
+      champion: { version: champion.version, metrics: null },
+      challenger: { version: null, metrics: null },
+      improvement: null,
+      decision: null,
+      error: null,
+    };
+    retrainJob = report;
+    scheduleFrom = Date.now();
+    const job = createJob("challenger", `${algorithm} challenger for v${champion.version ?? "?"}`);
+    report.jobId = job.id;
+    publishState();
+
+    try {
+      // The worker also scores the dataset rows, so a promoted challenger can be swapped in without blocking.
+      const rows = [...train, ...test];
+      const result = await runTrainingJob(job, {
+        algorithm,
+        params: { ...hyperparameters, seed: trainingConfig.seed },
+        featureDefs,
+        train: { X: train.map((row) => featureVector(row.raw)), y: train.map((row) => row.actualChurn) },
+        score: [...rows, ...mappedRows].map((row) => featureVector(row.raw)),
+      });
+      if (!running) throw new Error("The workspace was closed");
+      const challengerModel = result.model;
+      const scoreOf = new Map(rows.map((row, index) => [row, result.scores[index]]));
+      // The current rows were scored by the champion when they were collected.
+      const championMetrics = evaluateModel(test);
+      const challengerMetrics = evaluateModel(test.map((row) => scoreRow(row, challengerModel, scoreOf.get(row))));
+      report.champion.metrics = comparedMetrics(championMetrics);
+      report.challenger.metrics = comparedMetrics(challengerMetrics);
+      report.improvement = Number(improvement(policy.metric, championMetrics[policy.metric], challengerMetrics[policy.metric]).toFixed(4));
+
+      if (model !== champion.model || currentDatasetPath !== datasetAtStart) {
+        report.decision = "discarded";
+        report.error = "The serving model changed while the challenger was training";
+      } else if (report.improvement < policy.margin) {
+        report.decision = "kept";
+      } else {
+        swapModel(challengerModel, { train, test, scoreOf, mappedScores: result.scores.slice(rows.length) });
+        state.modelStats = {
+          ...evaluateModel(holdoutRows),
+          evaluation: { method: "holdout", trainRows: train.length, testRows: test.length },
+          crossValidation: null,
+        };
+        applyThresholdPolicy(thresholdPolicy);
+        const artifact = modelRegistry.save({
+          algorithm,
+          dataset: { path: currentDatasetPath, rows: train.length + test.length, mapping: datasetMapping },
+          featureDefs,
+          hyperparameters: { ...hyperparameters, holdoutRatio: trainingConfig.holdoutRatio, seed: trainingConfig.seed, folds: 0 },
+          metrics: state.modelStats,
+          model,
+          retraining: { reportId: report.id, trigger, champion: champion.version },
+        });
+        modelRegistry.activate(artifact.version);
+        datasetLibrary.linkModel(currentDatasetPath, artifact.version);
+        state.modelVersion = versionSummary(artifact);
+        report.challenger.version = artifact.version;
+        report.decision = "promoted";
+      }
+      console.log(
+        `[${id}] Retraining (${trigger.reason}): challenger ${policy.metric} ${report.improvement >= 0 ? "+" : ""}${report.improvement}, ${report.decision}`,
+      );
+      finishJob(job, null, { modelVersion: report.challenger.version });
+    } catch (err) {
+      if (err.cancelled) {
+        console.log(`[${id}] Retraining (${trigger.reason}) cancelled`);
+        report.decision = "cancelled";
+      } else {
+        console.error(`[${id}] Retraining failed:`, err);
+        report.decision = "failed";
+        report.error = err.message;
+      }
+      finishJob(job, err);
+    } finally {
+      report.finishedAt = new Date().toISOString();
+      retrainJob = null;
+      if (running) {
+        retraining.addReport(report);
+        publishState();
+      }
+    }
+    return { report };
+  }
+
+  // Why a retraining run is due now, or null. Drift and metric triggers wait out the cooldown after the last run.
+  function retrainingTrigger() {
+    const policy = retraining.getPolicy();
+    if (!policy.enabled || retrainJob || datasetLoading || replay || !model) return null;
+    const now = Date.now();
+    if (policy.intervalHours > 0 && now - scheduleFrom >= policy.intervalHours * 60 * 60 * 1000) {
+      return { reason: "schedule", detail: `Every ${policy.intervalHours}h` };
+    }
+    const lastRun = Date.parse(retraining.listReports()[0]?.startedAt || 0);
+    if (now - lastRun < policy.cooldownMinutes * 60 * 1000) return null;
+
+    if (policy.onDrift && state.drift) {
+      const drifted = [{ name: "Predicted risk", psi: state.drift.prediction.psi }, ...state.drift.features].find(
+        (item) => item.psi >= policy.driftPsi,
+      );
+      if (drifted) return { reason: "drift", detail: `${drifted.name} PSI ${drifted.psi} >= ${policy.driftPsi}` };
+    }
+    if (policy.onMetricDrop && state.modelStats) {
+      const { test } = stratifiedSplit(currentTrainingRows(), trainingConfig.holdoutRatio, trainingConfig.seed);
+      const current = evaluateModel(test)[policy.metric];
+      const drop = -improvement(policy.metric, state.modelStats[policy.metric], current);
+      if (drop >= policy.maxDrop) {
+        return { reason: "metricDrop", detail: `${policy.metric} ${state.modelStats[policy.metric]} → ${current} on current data` };
+      }
+    }
+    return null;
+  }
+
+  function checkRetraining() {
+    const trigger = retrainingTrigger();
+    if (trigger) runRetraining(trigger);
+  }
+
+  function retrainingStatus() {
+    const policy = retraining.getPolicy();
+    return {
+      policy,
+      running: retrainJob && { trigger: retrainJob.trigger, startedAt: retrainJob.startedAt, algorithm: retrainJob.algorithm },
+      lastReport: retraining.listReports()[0] || null,
+      nextScheduledAt:
+        policy.enabled && policy.intervalHours > 0 ? new Date(scheduleFrom + policy.intervalHours * 60 * 60 * 1000).toISOString() : null,
+    };
+  }
+
+  function updateRetrainingPolicy(input) {
+    const result = retraining.updatePolicy(input);
+    if (!result.errors) publishState();
+    return result;
+  }
+
+  async function start() {
+    fs.mkdirSync(uploadDir, { recursive: true });
+    await syncDatasetLibrary();
+    if (!(await restoreActiveModel())) await initData(datasetPath);
+    running = true;
+    refreshState();
+    schedule();
+    retrainTimer = setInterval(checkRetraining, 60 * 1000);
+  }
+
+  function stop() {
+    running = false;
+    clearInterval(timer);
+    timer = null;
+    clearInterval(retrainTimer);
+    retrainTimer = null;
+    jobHandles.forEach((handle) => handle.cancel());
+    webhooks.stop();
+  }
+
+  return {
+    id,
+    uploadDir,
+    state,
+    streamSource,
+    pendingUploads,
+    modelRegistry,
+    alertEngine,
+    webhooks,
+    datasetLibrary,
+    history,
+    retraining,
+    searches,
+    algorithms: Object.keys(learners),
+    defaultAlgorithm,
+    get featureDefs() {
+      return featureDefs;
+    },
+    get featureProfiles() {
+      return featureProfiles;
+    },
+    get loading() {
+      return datasetLoading;
+    },
+    start,
+    stop,
+    initData,
+    startTraining,
+    serveModelVersion,
+    listJobs,
+    getJob,
+    cancelJob,
+    startSearch,
+    compareImbalance,
+    setImbalanceStrategy,
+    imbalanceStatus,
+    stageUpload,
+    datasetSummary,
+    thresholdSweep,
+    applyThresholdPolicy,
+    decisionThreshold,
+    validateRecord,
+    scoreRecord,
+    ingestRecords,
+    customerDetail,
+    whatIf,
+    counterfactualFor,
+    publishState,
+    controlStream,
+    runRetraining,
+    updateRetrainingPolicy,
+    snapshot,
+    subscribeSegment,
+    unsubscribeSegment,
+  };
+}
+
+const defaultWorkspace = { id: "default", name: "Default" };
+
+function validateName(name) {
+  const trimmed = String(name ?? "").trim();
+  if (!trimmed) return { errors: ["name is required"] };
+  if (trimmed.length > 60) return { errors: ["name must be at most 60 characters"] };
+  return { name: trimmed };
+}
+
+// The list of workspaces (id, name, creation time). The default workspace always exists and cannot be removed.
+function createWorkspaceDirectory(rootDir) {
+  const indexPath = path.join(rootDir, "workspaces.json");
+  fs.mkdirSync(rootDir, { recursive: true });
+
+  let workspaces = fs.existsSync(indexPath) ? JSON.parse(fs.readFileSync(indexPath, "utf8")) : [];
+
+  function save() {
+    fs.writeFileSync(indexPath, JSON.stringify(workspaces, null, 2));
+  }
+
+  if (!workspaces.some((workspace) => workspace.id === defaultWorkspace.id)) {
+    workspaces = [{ ...defaultWorkspace, createdAt: new Date().toISOString() }, ...workspaces];
+    save();
+  }
+
+  function list() {
+    return workspaces;
+  }
+
+  function get(id) {
+    return workspaces.find((workspace) => workspace.id === id) || null;
+  }
+
+  function create(input) {
+    const { name, errors } = validateName(input?.name);
+    if (errors) return { errors };
+    const base = name.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "") || "workspace";
+    let id = base;
+    for (let n = 2; get(id); n += 1) id = `${base}-${n}`;
+    const workspace = { id, name, createdAt: new Date().toISOString() };
+    workspaces = [...workspaces, workspace];
+    save();
+    return { workspace };
+  }
+
+  function rename(id, input) {
+    const workspace = get(id);
+    if (!workspace) return null;
+    const { name, errors } = validateName(input?.name);
+    if (errors) return { errors };
+    workspace.name = name;
+    save();
+    return { workspace };
+  }
+
+  function remove(id) {
+    if (id === defaultWorkspace.id || !get(id)) return false;
+    workspaces = workspaces.filter((workspace) => workspace.id !== id);
+    save();
+    return true;
+  }
+
+  return { list, get, create, rename, remove };
+}
+
+module.exports = { createWorkspace, createWorkspaceDirectory, defaultWorkspaceId: defaultWorkspace.id };